@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// fx30-calc — hyperfocale / profondeur de champ en ligne de commande.
+// Même moteur que l'interface (src/optics.js). Les listes séparées par des virgules
+// (--focal 17,24,35 --aperture 4,8) calculent toutes les combinaisons.
+
+import { parseArgs } from "node:util";
+import {
+  FX30_DEFAULTS, computeOptics, parseDistanceMeters, formatDistanceMeters, formatDistanceOrInf, toFixedSmart,
+} from "../src/optics.js";
+
+const USAGE = `Usage : fx30-calc --focal <mm> --aperture <N> [options]
+
+Options :
+  -f, --focal <mm[,mm…]>        focale(s) en mm (obligatoire)
+  -a, --aperture <N[,N…]>       ouverture(s) f/N (obligatoire)
+  -m, --mode <standard|active>  mode de stabilisation, liste possible (défaut : standard)
+  -s, --focus <dist[,dist…]>    distance(s) de MAP : 3m, 250cm, 10ft, 6ft4in… (optionnel)
+      --coc <mm>                cercle de confusion de base (défaut : ${FX30_DEFAULTS.coc_base_mm})
+      --sensor <LxH>            capteur en mm (défaut : ${FX30_DEFAULTS.sensorW_mm}x${FX30_DEFAULTS.sensorH_mm})
+      --active-crop <×>         recadrage du mode Actif (défaut : ${FX30_DEFAULTS.activeCrop})
+  -u, --unit <m|ft>             unité d'affichage texte (défaut : m)
+      --json                    sortie JSON (tableau, une entrée par combinaison)
+  -h, --help                    affiche cette aide
+
+Exemple : fx30-calc --focal 35 --aperture 8 --mode active --focus 3m --json`;
+
+class UsageError extends Error {}
+
+function list(value, parse, name) {
+  return String(value).split(",").map((raw) => {
+    const v = parse(raw.trim());
+    if (v === undefined || (typeof v === "number" && !(isFinite(v) && v > 0))) throw new UsageError(`valeur invalide pour --${name} : « ${raw} »`);
+    return v;
+  });
+}
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      focal: { type: "string", short: "f" },
+      aperture: { type: "string", short: "a" },
+      mode: { type: "string", short: "m", default: "standard" },
+      focus: { type: "string", short: "s" },
+      coc: { type: "string" },
+      sensor: { type: "string" },
+      "active-crop": { type: "string" },
+      unit: { type: "string", short: "u", default: "m" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+    strict: true,
+  });
+  if (values.help) return { help: true };
+  if (values.focal == null || values.aperture == null) throw new UsageError("--focal et --aperture sont obligatoires");
+  if (!["m", "ft"].includes(values.unit)) throw new UsageError(`unité inconnue : « ${values.unit} »`);
+
+  let sensorW_mm = FX30_DEFAULTS.sensorW_mm;
+  let sensorH_mm = FX30_DEFAULTS.sensorH_mm;
+  if (values.sensor != null) {
+    const m = values.sensor.match(/^(\d+(?:\.\d+)?)\s*[x×]\s*(\d+(?:\.\d+)?)$/i);
+    if (!m) throw new UsageError(`capteur invalide : « ${values.sensor} » (attendu LxH, ex. 23.5x15.6)`);
+    sensorW_mm = Number(m[1]); sensorH_mm = Number(m[2]);
+  }
+  const [coc_base_mm] = values.coc != null ? list(values.coc, Number, "coc") : [FX30_DEFAULTS.coc_base_mm];
+  const [activeCrop] = values["active-crop"] != null ? list(values["active-crop"], Number, "active-crop") : [FX30_DEFAULTS.activeCrop];
+
+  return {
+    focals: list(values.focal, Number, "focal"),
+    apertures: list(values.aperture, Number, "aperture"),
+    modes: list(values.mode, (v) => (["standard", "active"].includes(v) ? v : undefined), "mode"),
+    focuses: values.focus != null ? list(values.focus, (v) => parseDistanceMeters(v, values.unit), "focus") : [undefined],
+    coc_base_mm, sensorW_mm, sensorH_mm, activeCrop,
+    unit: values.unit,
+    json: values.json,
+  };
+}
+
+// Infinity n'existe pas en JSON → null
+const finiteOrNull = (x) => (isFinite(x) ? x : null);
+
+function toJSON(mode, r) {
+  return {
+    mode,
+    focal_mm: r.focal_mm,
+    aperture: r.N,
+    crop: r.crop,
+    coc_mm: r.coc_mm,
+    hyperfocal_m: r.H_m,
+    near_at_hyperfocal_m: r.nearAtH_m,
+    sensor_effective_mm: [r.effW, r.effH],
+    fov_deg: { h: r.hFOV, v: r.vFOV, d: r.dFOV },
+    ff_equivalent_mm: r.ffEq_mm,
+    dof: r.dof && { focus_m: r.dof.s_m, near_m: r.dof.near, far_m: finiteOrNull(r.dof.far), total_m: finiteOrNull(r.dof.total) },
+  };
+}
+
+function toText(mode, r, unit) {
+  let line = `${toFixedSmart(r.focal_mm, 1)} mm f/${toFixedSmart(r.N, 1)} ${mode} — H ${formatDistanceMeters(r.H_m, unit)} (H/2 ${formatDistanceMeters(r.nearAtH_m, unit)})`
+    + ` · FOV ${toFixedSmart(r.hFOV, 1)}°×${toFixedSmart(r.vFOV, 1)}° · éq. ${toFixedSmart(r.ffEq_mm, 1)} mm`;
+  if (r.dof) {
+    line += ` · MAP ${formatDistanceMeters(r.dof.s_m, unit)} : ${formatDistanceMeters(r.dof.near, unit)} → ${formatDistanceOrInf(r.dof.far, unit)}`;
+  }
+  return line;
+}
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseOptions(argv);
+  } catch (err) {
+    process.stderr.write(`fx30-calc : ${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (opts.help) { process.stdout.write(`${USAGE}\n`); return 0; }
+
+  const rows = [];
+  for (const mode of opts.modes) {
+    const crop = mode === "active" ? opts.activeCrop : 1;
+    for (const focal_mm of opts.focals) {
+      for (const N of opts.apertures) {
+        for (const s_m of opts.focuses) {
+          const r = computeOptics({ focal_mm, N, coc_base_mm: opts.coc_base_mm, sensorW_mm: opts.sensorW_mm, sensorH_mm: opts.sensorH_mm, crop, s_m });
+          rows.push(opts.json ? toJSON(mode, r) : toText(mode, r, opts.unit));
+        }
+      }
+    }
+  }
+  process.stdout.write(opts.json ? `${JSON.stringify(rows, null, 2)}\n` : `${rows.join("\n")}\n`);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
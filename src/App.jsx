@@ -1,5 +1,19 @@
 import React, { useMemo, useState, useEffect, useRef, useCallback } from "react";
 import { motion } from "framer-motion";
+import {
+  toFixedSmart, formatDistanceMeters, formatDistanceOrInf, formatFeetInches, metersToUnit, unitToMeters, INCH_FRACTIONS,
+  computeHyperfocalMeters, computeNearFarMeters, fullFrameCropFactor, fullFrameEquivalentFocal, computeFieldOfView,
+  computeOptics, parseDistanceMeters, computeHyperfocalGrid, computeCocFromViewing,
+  diffractionAnalysis, optimalApertureForRange, airyDiskDiameterMm, solveFocusForRange, longestFocalForRange,
+  frameSizeAtDistance, distanceToFit, deliveryArea, computeDeliveryFieldOfView, VIDEO_ASPECT,
+  snapAperture, apertureStops, tStopFromFNumber, fNumberFromTStop,
+  shutterSecondsFromAngle, shutterAngleFromSeconds, ndForExposure, isoForExposure, ndFilterStrength,
+  computeHyperfocalExactMeters, computeNearFarExact, magnificationFromSensorDistance, sensorDistanceForMagnification, effectiveAperture,
+  blurDiscDiameterMm, magnificationAt, distanceForMagnification,
+} from "./optics.js";
+import { onUpdateAvailable } from "./pwa.js";
+import { readShotMetadata, hasShotData, parseSonyXml, parseExif } from "./metadata.js";
+import { LANGUAGES, detectLanguage, createI18n, catalogKeys } from "./i18n.js";
 
 // FX30 Hyperfocal Calculator — v2.3
 // - Unifie la gestion du thème via classes conditionnelles (plus de `dark:` Tailwind).
@@ -13,24 +27,110 @@ import { motion } from "framer-motion";
 /* ===================== Constantes module ===================== */
 const PRESET_FOCALS = [17, 20, 24, 28, 35, 50, 70];
 const PRESET_APERTURES = [2.8, 4, 5.6, 8, 11, 16, 22];
+const PRESET_FOCUS_M = [1.5, 2, 3, 4, 6];
+const FOCUS_MIN_M = 0.3;
+const FOCUS_MAX_M = 30;
 
-/* ===================== Utilitaires généraux ===================== */
-function clamp(n, min, max) { return Math.min(Math.max(n, min), max); }
-function toFixedSmart(num, digits = 2) {
-  if (!isFinite(num)) return "—";
-  if (Math.abs(num) < 1e-9) return "0";
-  const p = Math.pow(10, digits);
-  return (Math.round(num * p) / p).toString();
-}
-function formatDistanceMeters(meters, unit) {
-  if (!isFinite(meters)) return "—";
-  if (unit === "ft") {
-    const ft = meters * 3.280839895; // exact
-    return `${toFixedSmart(ft, ft < 10 ? 2 : 1)} ft`;
+// Profils boîtiers : capteur (mm), CoC de base (mm), recadrage Stabilisation Active (×),
+// recadrage en 4K 100/120p (×, approx. ; 1 = pas de recadrage, null = cadence absente ;
+// ≈ 1,6× sur les APS-C FX30 / A6700, ≈ 1,1× sur les plein format), photosites en largeur,
+// ISO de base en S-Log3 (deux valeurs = double ISO de base)
+const CAMERA_BODIES = [
+  { id: "fx30", name: "Sony FX30", sensorW: 23.5, sensorH: 15.6, cocBase: 0.019, activeCrop: 1.10, hfrCrop: 1.6, pixelsW: 6192, baseIsos: [800, 2500] },
+  { id: "fx3", name: "Sony FX3", sensorW: 35.6, sensorH: 23.8, cocBase: 0.029, activeCrop: 1.10, hfrCrop: 1.10, pixelsW: 4240, baseIsos: [640, 12800] },
+  { id: "a7s3", name: "Sony A7S III", sensorW: 35.6, sensorH: 23.8, cocBase: 0.029, activeCrop: 1.10, hfrCrop: 1.10, pixelsW: 4240, baseIsos: [640, 12800] },
+  { id: "zve1", name: "Sony ZV-E1", sensorW: 35.6, sensorH: 23.8, cocBase: 0.029, activeCrop: 1.10, hfrCrop: 1.10, pixelsW: 4240, baseIsos: [640, 12800] },
+  { id: "fx6", name: "Sony FX6", sensorW: 35.7, sensorH: 18.8, cocBase: 0.029, activeCrop: 1.0, hfrCrop: 1.10, pixelsW: 4264, baseIsos: [800, 12800] },
+  { id: "a6700", name: "Sony A6700", sensorW: 23.3, sensorH: 15.5, cocBase: 0.019, activeCrop: 1.10, hfrCrop: 1.6, pixelsW: 6192, baseIsos: [800] },
+  { id: "zve10", name: "Sony ZV-E10", sensorW: 23.5, sensorH: 15.6, cocBase: 0.019, activeCrop: 1.10, hfrCrop: null, pixelsW: 6000, baseIsos: [800] },
+];
+const DEFAULT_BASE_ISOS = [800, 2500]; // boîtier libre ou perso sans valeur : FX30
+
+// Boîtiers perso valides (stockage local) : mesures non numériques → écartés, hors plage → ramenées (bornes des champs avancés)
+function sanitizeCustomBodies(list) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  for (const b of list) {
+    if (!b || typeof b.id !== "string" || !b.id || typeof b.name !== "string" || !b.name.trim()) continue;
+    const { sensorW, sensorH, cocBase, activeCrop } = b;
+    if (![sensorW, sensorH, cocBase, activeCrop].every((v) => typeof v === "number" && isFinite(v))) continue;
+    const hfrCrop = b.hfrCrop === null ? null : isFinite(Number(b.hfrCrop)) ? clamp(Number(b.hfrCrop), 1, 3) : 1;
+    const pixelsW = Number(b.pixelsW) > 0 ? Number(b.pixelsW) : null;
+    const baseIsos = Array.isArray(b.baseIsos) && b.baseIsos.length && b.baseIsos.every((iso) => Number(iso) > 0) ? b.baseIsos.map(Number) : undefined;
+    out.push({
+      id: b.id, name: b.name.trim().slice(0, 40),
+      sensorW: clamp(sensorW, 10, 40), sensorH: clamp(sensorH, 7, 30), cocBase: clamp(cocBase, 0.005, 0.05), activeCrop: clamp(activeCrop, 1, 1.5),
+      hfrCrop, pixelsW, baseIsos, custom: true,
+    });
   }
-  if (meters < 1) return `${toFixedSmart(meters * 100, 0)} cm`;
-  return `${toFixedSmart(meters, meters < 10 ? 2 : 1)} m`;
+  return out;
 }
+
+// Formats d'enregistrement : Clear Image Zoom plafonné selon la définition
+const RESOLUTIONS = [{ id: "4k", label: "4K", cizMax: 1.5 }, { id: "hd", label: "HD", cizMax: 2 }];
+const FRAME_RATES = [24, 25, 30, 50, 60, 100, 120, 240]; // 240 : HD en S&Q uniquement
+const HFR_MIN_FPS = 100; // 4K ≥ 100p → recadrage propre au boîtier (`hfrCrop`)
+const S35_CROP = 1.5; // mode APS-C / Super 35 des boîtiers plein format
+const CUSTOM_BODIES_KEY = "fx30.customBodies";
+const FOCUS_MARKS_KEY = "fx30.focusMarks";
+const LAST_SETTINGS_KEY = "fx30.lastSettings"; // requête du permalien, restaurée à l'ouverture sans paramètres
+const LANG_KEY = "fx30.lang"; // langue choisie explicitement ; absente = langue du navigateur
+const T_LOSS_KEY = "fx30.tStopLoss"; // perte de transmission (IL) par objectif : { [lensId]: number }
+const EXPOSURE_KEY = "fx30.exposure"; // exposition de référence du compagnon d'exposition
+const APERTURE_SCALE_IDS = ["third", "half", "full", "free"];
+
+// Profils objectifs : plage focale (mm), ouverture max. selon la focale ([focale, N] interpolés),
+// ouverture min. (N max) et distance mini de MAP selon la focale ([focale, m]).
+const LENS_PROFILES = [
+  { id: "tamron1770", name: "Tamron 17-70 f/2.8 Di III-A", minFocal: 17, maxFocal: 70, maxAperture: [[17, 2.8], [70, 2.8]], minAperture: 22, minFocus: [[17, 0.19], [70, 0.39]] },
+  { id: "sony18105", name: "Sony E PZ 18-105 f/4 G", minFocal: 18, maxFocal: 105, maxAperture: [[18, 4], [105, 4]], minAperture: 22, minFocus: [[18, 0.45], [105, 0.95]] },
+  { id: "sony1635", name: "Sony FE PZ 16-35 f/4 G", minFocal: 16, maxFocal: 35, maxAperture: [[16, 4], [35, 4]], minAperture: 22, minFocus: [[16, 0.24], [35, 0.28]] },
+  { id: "sony1650", name: "Sony E PZ 16-50 f/3.5-5.6 (kit)", minFocal: 16, maxFocal: 50, maxAperture: [[16, 3.5], [20, 4], [24, 4.5], [35, 5], [50, 5.6]], minAperture: 22, minFocus: [[16, 0.25], [50, 0.3]] },
+  { id: "sony18135", name: "Sony E 18-135 f/3.5-5.6 (kit)", minFocal: 18, maxFocal: 135, maxAperture: [[18, 3.5], [24, 4], [35, 4.5], [50, 5], [80, 5.6], [135, 5.6]], minAperture: 22, minFocus: [[18, 0.45], [135, 0.45]] },
+  { id: "sigma16", name: "Sigma 16 mm f/1.4 DC DN", minFocal: 16, maxFocal: 16, maxAperture: [[16, 1.4]], minAperture: 16, minFocus: [[16, 0.25]] },
+  { id: "sony35", name: "Sony E 35 mm f/1.8 OSS", minFocal: 35, maxFocal: 35, maxAperture: [[35, 1.8]], minAperture: 22, minFocus: [[35, 0.3]] },
+  { id: "sigma56", name: "Sigma 56 mm f/1.4 DC DN", minFocal: 56, maxFocal: 56, maxAperture: [[56, 1.4]], minAperture: 16, minFocus: [[56, 0.5]] },
+  { id: "free", name: "Autre (sans limite)", minFocal: 5, maxFocal: 200, maxAperture: [[5, 1.0]], minAperture: 22, minFocus: null },
+];
+
+// Assistant CoC : ratios et conditions de diffusion types (noms dans les catalogues : coc.delivery.<id>)
+const DELIVERY_ASPECTS = [
+  { id: "2.39", label: "2.39:1", value: 2.39 },
+  { id: "1.85", label: "1.85:1", value: 1.85 },
+  { id: "16:9", label: "16:9", value: 16 / 9 },
+  { id: "4:5", label: "4:5", value: 4 / 5 },
+  { id: "9:16", label: "9:16", value: 9 / 16 },
+];
+const COC_DELIVERIES = [
+  { id: "cinema", aspect: 2.39, outputWidth: 3840, displayWidth: 10, viewingDistance: 12 },
+  { id: "tv", aspect: 16 / 9, outputWidth: 3840, displayWidth: 1.43, viewingDistance: 2.5 },
+  { id: "web", aspect: 16 / 9, outputWidth: 1920, displayWidth: 0.33, viewingDistance: 0.6 },
+  { id: "social", aspect: 9 / 16, outputWidth: 1080, displayWidth: 0.068, viewingDistance: 0.3 },
+];
+const DEFAULT_COC_VIEW = { deliveryId: "tv", aspect: 16 / 9, outputWidth: 3840, displayWidth: 1.43, viewingDistance: 2.5, strict: false };
+
+// Cadrage : sujets types (l × h en m) et valeurs de plan pour une personne debout (part de sa taille dans la hauteur d'image) ;
+// noms dans les catalogues (framing.subject.<id>, framing.shot.<id>)
+const FRAMING_SUBJECTS = [
+  { id: "person", w: 0.6, h: 1.75 },
+  { id: "group", w: 2, h: 1.8 },
+  { id: "car", w: 4.5, h: 1.5 },
+  { id: "facade", w: 12, h: 10 },
+  { id: "custom" },
+];
+const SHOT_SIZES = [
+  { id: "ECU", part: 0.08 },
+  { id: "CU", part: 0.2 },
+  { id: "MS", part: 0.5 },
+  { id: "MLS", part: 0.72 },
+  { id: "WS", part: 1.25 },
+];
+const DEFAULT_PERSON_HEIGHT_M = 1.75;
+
+/* ===================== Utilitaires généraux ===================== */
+// Nom affiché d'un objectif : seul le profil libre est traduit, les autres sont des noms commerciaux
+function lensName(lens, t) { return lens.id === "free" ? t("lens.free") : lens.name; }
+function clamp(n, min, max) { return Math.min(Math.max(n, min), max); }
 function niceMax(maxValue) {
   if (!isFinite(maxValue) || maxValue <= 0) return 1;
   const steps = [1, 2, 5];
@@ -42,64 +142,634 @@ function niceMax(maxValue) {
   }
   return 10 * base;
 }
-function deg(x) { return (x * 180) / Math.PI; }
+function loadJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch (_) { return fallback; } // SSR, mode privé, JSON corrompu
+}
+function saveJSON(key, value) {
+  try { window.localStorage.setItem(key, JSON.stringify(value)); return true; } catch (_) { return false; }
+}
+function downloadFile(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+}
 function rad(x) { return (x * Math.PI) / 180; }
+// "2.39", "2,76:1", "4:3", "9/16" → largeur / hauteur ; null si illisible ou hors plage
+function parseAspect(text) {
+  const m = String(text).trim().replace(/,/g, ".").match(/^(\d+(?:\.\d+)?)\s*(?:[:/x×]\s*(\d+(?:\.\d+)?))?$/i);
+  if (!m) return null;
+  const a = Number(m[1]) / (m[2] !== undefined ? Number(m[2]) : 1);
+  return isFinite(a) && a >= 0.3 && a <= 3 ? a : null;
+}
+function aspectLabel(aspect) {
+  const preset = DELIVERY_ASPECTS.find((a) => Math.abs(a.value - aspect) < 1e-3);
+  return preset ? preset.label : `${toFixedSmart(aspect, 2)}:1`;
+}
+
+/* ===================== Format d'enregistrement ===================== */
+// Cadences proposées : 4K ≥ 100p seulement si le boîtier la filme (`hfrCrop` non nul)
+function frameRatesFor(resolution, sq, hfrCrop = 1) {
+  return FRAME_RATES.filter((fps) => (fps !== 240 || (resolution === "hd" && sq))
+    && (resolution !== "4k" || fps < HFR_MIN_FPS || hfrCrop != null));
+}
+// Combine toutes les sources de recadrage (multiplicatives) : cadence, Super 35, Clear Image Zoom, stabilisation
+function recordingCrops({ hfrCrop = 1, resolution, fps, s35, ciz, fullFrame, mode, activeCrop }) {
+  const res = RESOLUTIONS.find((r) => r.id === resolution) || RESOLUTIONS[0];
+  const c = {
+    hfr: resolution === "4k" && fps >= HFR_MIN_FPS ? hfrCrop ?? 1 : 1,
+    s35: s35 && fullFrame ? S35_CROP : 1,
+    ciz: clamp(Number(ciz) || 1, 1, res.cizMax),
+    stab: mode === "active" ? activeCrop : 1,
+  };
+  c.format = c.hfr * c.s35 * c.ciz;
+  c.total = c.format * c.stab;
+  return c;
+}
+function recordingLabel({ resolution, fps, sq, crops }, { t, num }) {
+  const res = RESOLUTIONS.find((r) => r.id === resolution) || RESOLUTIONS[0];
+  const parts = [`${res.label} ${fps}p${sq ? " S&Q" : ""}`];
+  if (crops.hfr !== 1) parts.push(`HFR ${num(crops.hfr, 2)}×`);
+  if (crops.s35 !== 1) parts.push("S35");
+  if (crops.ciz !== 1) parts.push(`CIZ ${num(crops.ciz, 2)}×`);
+  if (crops.stab !== 1) parts.push(`${t("mode.active")} ${num(crops.stab, 2)}×`);
+  return parts.join(" · ");
+}
+
+/* ===================== Profils objectifs ===================== */
+// Interpolation linéaire dans une table [[x, y], …] triée (bornée aux extrémités)
+function interpolateTable(points, x) {
+  if (!points || points.length === 0) return NaN;
+  if (x <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (x <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+    }
+  }
+  return points[points.length - 1][1];
+}
+function lensMaxApertureAt(lens, focal_mm) {
+  // arrondi à 0,1 : les zooms variables s'affichent par paliers
+  return Math.round(interpolateTable(lens.maxAperture, focal_mm) * 10) / 10;
+}
+function lensMinFocusAt(lens, focal_mm) {
+  return lens.minFocus ? interpolateTable(lens.minFocus, focal_mm) : 0;
+}
+// Ramène focale/ouverture dans les possibilités de l'objectif
+function fitToLens(lens, focal_mm, N) {
+  const f = clamp(focal_mm, lens.minFocal, lens.maxFocal);
+  const n = clamp(N, lensMaxApertureAt(lens, f), lens.minAperture);
+  return { focal: f, aperture: n, adjusted: f !== focal_mm || n !== N };
+}
+// Ouverture optimale (défocalisation + diffraction) pour une zone nette demandée, dans les limites de l'objectif.
+// Ne dépend que de la zone cible : l'appliquer ne change pas la recommandation.
+function sweetSpotFor({ lens, focal_mm, near_m, far_m }) {
+  const opt = optimalApertureForRange({ focal_mm, near_m, far_m });
+  const N = clamp(Math.round(opt.N * 10) / 10, lensMaxApertureAt(lens, clamp(focal_mm, lens.minFocal, lens.maxFocal)), lens.minAperture);
+  return { ...opt, N, clamped: Math.abs(N - opt.N) > 0.05, idealN: opt.N };
+}
+// Messages d'avertissement (null si la valeur est possible)
+function lensIssues(lens, focal_mm, N, focus_m, { t, num }) {
+  const out = { focal: null, aperture: null, focus: null };
+  if (focal_mm < lens.minFocal || focal_mm > lens.maxFocal) {
+    out.focal = lens.minFocal === lens.maxFocal
+      ? t("issues.primeFocal", { focal: lens.minFocal })
+      : t("issues.focalRange", { min: lens.minFocal, max: lens.maxFocal });
+  }
+  const fIn = clamp(focal_mm, lens.minFocal, lens.maxFocal);
+  const maxN = lensMaxApertureAt(lens, fIn);
+  if (N < maxN) out.aperture = t("issues.maxAperture", { focal: num(fIn, 1), N: num(maxN, 1) });
+  else if (N > lens.minAperture) out.aperture = t("issues.minAperture", { N: num(lens.minAperture, 1) });
+  const mfd = lensMinFocusAt(lens, fIn);
+  if (focus_m < mfd) out.focus = t("issues.minFocus", { distance: num(mfd, 2), focal: num(fIn, 1) });
+  return out;
+}
+
+/* ===================== Presets ===================== */
+const PRESETS_KEY = "fx30.presets";
+// Presets d'origine : nom traduit (presets.default.<nameKey>) tant qu'il n'est pas renommé
+const DEFAULT_PRESETS = [
+  { id: "street", nameKey: "street", mode: "standard", focal: 17, aperture: 8 },
+  { id: "land", nameKey: "land", mode: "standard", focal: 24, aperture: 11 },
+  { id: "tele", nameKey: "tele", mode: "standard", focal: 50, aperture: 8 },
+  { id: "night", nameKey: "night", mode: "active", focal: 17, aperture: 2.8 },
+];
+const DEFAULT_PRESET_NAME_KEYS = DEFAULT_PRESETS.map((p) => p.nameKey);
+
+function presetName(p, t) { return p.nameKey ? t(`presets.default.${p.nameKey}`) : p.name; }
+// Renommage : un nom vide ou blanc est ignoré (bouton vide, puis preset écarté au rechargement)
+function renamePreset(p, value) {
+  const name = value.trimStart().slice(0, 40);
+  if (!name.trim()) return p;
+  const renamed = { ...p, name };
+  delete renamed.nameKey;
+  return renamed;
+}
+
+// Valide une liste de presets (stockage local ou import JSON) ; les entrées invalides sont écartées
+function sanitizePresets(list) {
+  if (!Array.isArray(list)) return null;
+  const seen = new Set();
+  const out = [];
+  for (const p of list) {
+    if (!p) continue;
+    const nameKey = DEFAULT_PRESET_NAME_KEYS.includes(p.nameKey) ? p.nameKey : null;
+    if (!nameKey && (typeof p.name !== "string" || !p.name.trim())) continue;
+    if (!["standard", "active"].includes(p.mode)) continue;
+    const focal = Number(p.focal), aperture = Number(p.aperture);
+    if (!isFinite(focal) || !isFinite(aperture)) continue;
+    let id = typeof p.id === "string" && p.id ? p.id : `preset-${out.length}`;
+    while (seen.has(id)) id = `${id}-b`;
+    seen.add(id);
+    const preset = { id, ...(nameKey ? { nameKey } : { name: p.name.trim().slice(0, 40) }), mode: p.mode, focal: clamp(focal, 5, 200), aperture: clamp(aperture, 1, 22) };
+    const focusM = Number(p.focusM);
+    if (p.focusM != null && isFinite(focusM)) preset.focusM = clamp(focusM, FOCUS_MIN_M, FOCUS_MAX_M);
+    out.push(preset);
+  }
+  return out;
+}
+
+/* ===================== Permalien ===================== */
+// Un champ d'état ↔ un paramètre d'URL. Nombres bornés (hors plage → ramenés), énumérations strictes.
+const PERMALINK_FIELDS = [
+  { key: "mode", param: "m", type: "enum", values: ["standard", "active"] },
+  { key: "focal", param: "f", type: "number", min: 5, max: 200, digits: 1 },
+  { key: "aperture", param: "n", type: "number", min: 1, max: 22, digits: 2 },
+  { key: "apertureScale", param: "as", type: "enum", values: APERTURE_SCALE_IDS },
+  { key: "stopType", param: "st", type: "enum", values: ["f", "t"] },
+  { key: "tLoss", param: "tl", type: "number", min: 0, max: 2, digits: 2 },
+  { key: "unit", param: "u", type: "enum", values: ["m", "ft"] },
+  { key: "dofModel", param: "dm", type: "enum", values: ["simple", "exact"] },
+  { key: "pupilMag", param: "pm", type: "number", min: 0.2, max: 5, digits: 2 },
+  { key: "inchFraction", param: "in", type: "enum", values: INCH_FRACTIONS.map(String), parse: Number },
+  { key: "focusM", param: "s", type: "number", min: FOCUS_MIN_M, max: FOCUS_MAX_M, digits: 2 },
+  { key: "cocBase", param: "coc", type: "number", min: 0.005, max: 0.05, digits: 4 },
+  { key: "sensorW", param: "sw", type: "number", min: 10, max: 40, digits: 2 },
+  { key: "sensorH", param: "sh", type: "number", min: 7, max: 30, digits: 2 },
+  { key: "activeCrop", param: "ac", type: "number", min: 1, max: 1.5, digits: 3 },
+  { key: "bodyId", param: "body", type: "id" },
+  { key: "lensId", param: "lens", type: "enum", values: LENS_PROFILES.map((l) => l.id) },
+  { key: "theme", param: "t", type: "enum", values: ["light", "dark"] },
+  { key: "resolution", param: "res", type: "enum", values: RESOLUTIONS.map((r) => r.id) },
+  { key: "fps", param: "fps", type: "enum", values: FRAME_RATES.map(String), parse: Number },
+  { key: "sq", param: "sq", type: "bool" },
+  { key: "s35", param: "s35", type: "bool" },
+  { key: "ciz", param: "ciz", type: "number", min: 1, max: 2, digits: 2 },
+  { key: "cocSource", param: "cs", type: "enum", values: ["manual", "auto"] },
+  { key: "cocAspect", param: "asp", type: "number", min: 0.3, max: 3, digits: 4 },
+  { key: "cocOutputWidth", param: "opx", type: "number", min: 320, max: 8192, digits: 0 },
+  { key: "cocDisplayWidth", param: "dw", type: "number", min: 0.02, max: 30, digits: 3 },
+  { key: "cocViewingDistance", param: "vd", type: "number", min: 0.1, max: 50, digits: 2 },
+  { key: "cocStrict", param: "px", type: "bool" },
+  { key: "deliveryAspect", param: "ar", type: "number", min: 0.3, max: 3, digits: 4 },
+];
+
+function encodePermalink(state) {
+  const params = new URLSearchParams();
+  for (const fld of PERMALINK_FIELDS) {
+    const v = state[fld.key];
+    if (v == null || v === "") continue;
+    params.set(fld.param, fld.type === "number" ? toFixedSmart(v, fld.digits) : fld.type === "bool" ? (v ? "1" : "0") : String(v));
+  }
+  return params.toString();
+}
+
+// → { values, issues } ; `issues` liste les paramètres ignorés ({ param }) ou corrigés ({ param, value })
+function decodePermalink(search) {
+  const params = new URLSearchParams(search);
+  const values = {};
+  const issues = [];
+  for (const fld of PERMALINK_FIELDS) {
+    const raw = params.get(fld.param);
+    if (raw == null) continue;
+    if (fld.type === "number") {
+      const n = Number(raw.replace(",", "."));
+      if (raw.trim() === "" || !isFinite(n)) { issues.push({ param: fld.param }); continue; }
+      const c = clamp(n, fld.min, fld.max);
+      if (c !== n) issues.push({ param: fld.param, value: c });
+      values[fld.key] = c;
+    } else if (fld.type === "enum") {
+      if (fld.values.includes(raw)) values[fld.key] = fld.parse ? fld.parse(raw) : raw;
+      else issues.push({ param: fld.param });
+    } else if (fld.type === "bool") {
+      if (raw === "1" || raw === "0") values[fld.key] = raw === "1";
+      else issues.push({ param: fld.param });
+    } else if (/^[\w-]{1,64}$/.test(raw)) {
+      values[fld.key] = raw;
+    } else {
+      issues.push({ param: fld.param });
+    }
+  }
+  return { values, issues };
+}
+
+// Retrouve le preset de diffusion correspondant aux réglages de l'assistant CoC (sinon personnalisé)
+function matchCocDelivery(view) {
+  const preset = COC_DELIVERIES.find((d) => d.aspect === view.aspect && d.outputWidth === view.outputWidth && d.displayWidth === view.displayWidth && d.viewingDistance === view.viewingDistance);
+  return { ...view, deliveryId: preset ? preset.id : null };
+}
+
+// Note affichée quand un permalien contient des paramètres ignorés ou corrigés
+function permalinkNote(issues, { t, num }) {
+  if (!issues.length) return null;
+  const list = issues.map((it) => (it.value === undefined ? t("link.ignored", { param: it.param }) : t("link.clamped", { param: it.param, value: num(it.value, 4) })));
+  return t("link.invalid", { list: list.join(", ") });
+}
 
 /* ===================== Composant principal ===================== */
 export default function FX30Hyperfocale() {
+  // État initial lu dans l'URL (permalien), sinon derniers réglages utilisés (appli installée, hors ligne)
+  const [initialLink] = useState(() => {
+    if (typeof window === "undefined") return { values: {}, issues: [] };
+    if (window.location.search) return decodePermalink(window.location.search);
+    const last = loadJSON(LAST_SETTINGS_KEY, "");
+    return { values: typeof last === "string" ? decodePermalink(last).values : {}, issues: [] };
+  });
+  const init = initialLink.values;
+  const [linkIssues, setLinkIssues] = useState(initialLink.issues);
+
+  // Langue : choix explicite mémorisé, sinon celle du navigateur (hors permalien : préférence du lecteur)
+  const [langChoice, setLangChoice] = useState(() => loadJSON(LANG_KEY, null));
+  const lang = LANGUAGES.some((l) => l.id === langChoice) ? langChoice : detectLanguage(typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language]);
+  const [inchFraction, setInchFraction] = useState(init.inchFraction ?? 1); // précision des pouces en ft-in (1 = au pouce)
+  const i18n = useMemo(() => createI18n(lang, { inchFraction }), [lang, inchFraction]);
+  const { t, num, dist, distInf } = i18n;
+  const chooseLang = useCallback((id) => { setLangChoice(id); saveJSON(LANG_KEY, id); }, []);
+  useEffect(() => { document.documentElement.lang = lang; }, [lang]);
+  const linkNote = useMemo(() => permalinkNote(linkIssues, i18n), [linkIssues, i18n]);
+
   // Thème
-  const [dark, setDark] = useState(false);
+  const [dark, setDark] = useState(init.theme === "dark");
 
   // Contrôles principaux
-  const [mode, setMode] = useState("standard"); // "standard" | "active"
-  const [focal, setFocal] = useState(35); // mm
-  const [aperture, setAperture] = useState(4); // f/
-  const [unit, setUnit] = useState("m"); // "m" | "ft"
+  const [mode, setMode] = useState(init.mode ?? "standard"); // "standard" | "active"
+  const [focal, setFocal] = useState(init.focal ?? 35); // mm
+  const [aperture, setAperture] = useState(init.aperture ?? 4); // f/ géométrique (profondeur de champ)
+  const [apertureScale, setApertureScale] = useState(init.apertureScale ?? "third"); // crans du curseur, "free" = au 1/10
+  const [stopType, setStopType] = useState(init.stopType ?? "f"); // saisie en f/ ou en T (objectifs cinéma)
+  const [unit, setUnit] = useState(init.unit ?? "m"); // "m" | "ft"
+  const [dofModel, setDofModel] = useState(init.dofModel ?? "simple"); // "simple" | "exact" (lentille mince, proche MAP)
+  const [pupilMag, setPupilMag] = useState(init.pupilMag ?? 1); // grandissement pupillaire (modèle exact)
+  const [focusM, setFocusM] = useState(init.focusM ?? 3); // distance de MAP (m)
+
+  // Format d'enregistrement
+  const [resolution, setResolution] = useState(init.resolution ?? "4k"); // "4k" | "hd"
+  const [fps, setFps] = useState(init.fps ?? 24);
+  const [sq, setSq] = useState(init.sq ?? false); // Slow & Quick
+  const [s35, setS35] = useState(init.s35 ?? false); // APS-C/S35 sur plein format
+  const [ciz, setCiz] = useState(init.ciz ?? 1); // Clear Image Zoom (×)
+  const [deliveryAspect, setDeliveryAspect] = useState(init.deliveryAspect ?? null); // ratio livré, null = capteur entier
 
   // Avancés
-  const [cocBase, setCocBase] = useState(0.019); // mm APS-C
-  const [sensorW, setSensorW] = useState(23.5);
-  const [sensorH, setSensorH] = useState(15.6);
-  const [activeCrop, setActiveCrop] = useState(1.10);
-  const [limitLens, setLimitLens] = useState(true); // 17–70
+  const [cocManual, setCocManual] = useState(init.cocBase ?? 0.019); // mm APS-C
+  const [cocSource, setCocSource] = useState(init.cocSource ?? "manual"); // "manual" | "auto" (assistant)
+  const [cocView, setCocView] = useState(() => ({
+    ...DEFAULT_COC_VIEW,
+    ...(init.cocAspect !== undefined && { aspect: init.cocAspect, deliveryId: null }),
+    ...(init.cocOutputWidth !== undefined && { outputWidth: init.cocOutputWidth, deliveryId: null }),
+    ...(init.cocDisplayWidth !== undefined && { displayWidth: init.cocDisplayWidth, deliveryId: null }),
+    ...(init.cocViewingDistance !== undefined && { viewingDistance: init.cocViewingDistance, deliveryId: null }),
+    ...(init.cocStrict !== undefined && { strict: init.cocStrict }),
+  }));
+  const [sensorW, setSensorW] = useState(init.sensorW ?? 23.5);
+  const [sensorH, setSensorH] = useState(init.sensorH ?? 15.6);
+  const [activeCrop, setActiveCrop] = useState(init.activeCrop ?? 1.10);
+  const [lensId, setLensId] = useState(init.lensId ?? "tamron1770");
+  const [tLosses, setTLosses] = useState(() => {
+    const saved = loadJSON(T_LOSS_KEY, {});
+    const losses = saved && typeof saved === "object" ? saved : {};
+    return init.tLoss !== undefined ? { ...losses, [init.lensId ?? "tamron1770"]: init.tLoss } : losses;
+  });
+  const [presetNote, setPresetNote] = useState(null);
+  const [presets, setPresets] = useState(() => sanitizePresets(loadJSON(PRESETS_KEY, null)) || DEFAULT_PRESETS);
+  const lens = useMemo(() => LENS_PROFILES.find((l) => l.id === lensId) || LENS_PROFILES[0], [lensId]);
+  const isPrime = lens.minFocal === lens.maxFocal;
+  const tLoss = Number(tLosses[lens.id]) || 0;
+  const setTLoss = useCallback((v) => setTLosses((m) => ({ ...m, [lensId]: clamp(Number(v) || 0, 0, 2) })), [lensId]);
+  useEffect(() => { saveJSON(T_LOSS_KEY, tLosses); }, [tLosses]);
 
-  const cropMode = mode === "active" ? activeCrop : 1.0;
+  // Boîtiers (catalogue + boîtiers perso persistés)
+  const [bodyId, setBodyId] = useState(init.bodyId ?? "fx30");
+  const [customBodies, setCustomBodies] = useState(() => sanitizeCustomBodies(loadJSON(CUSTOM_BODIES_KEY, [])));
+  const [newBodyName, setNewBodyName] = useState("");
+  const bodies = useMemo(() => [...CAMERA_BODIES, ...customBodies], [customBodies]);
+  const body = useMemo(() => bodies.find((b) => b.id === bodyId) || null, [bodies, bodyId]);
+  const bodyDirty = !!body && (body.sensorW !== sensorW || body.sensorH !== sensorH || body.cocBase !== cocManual || body.activeCrop !== activeCrop);
+  const bodyLabel = body ? (bodyDirty ? t("body.modified", { name: body.name }) : body.name) : t("body.custom");
+
+  useEffect(() => { saveJSON(CUSTOM_BODIES_KEY, customBodies); }, [customBodies]);
+
+  const applyBody = useCallback((id) => {
+    const b = bodies.find((x) => x.id === id);
+    if (!b) return;
+    setBodyId(b.id);
+    setSensorW(b.sensorW); setSensorH(b.sensorH); setCocManual(b.cocBase); setActiveCrop(b.activeCrop);
+  }, [bodies]);
+  const saveCustomBody = useCallback(() => {
+    const name = newBodyName.trim();
+    if (!name) return;
+    const b = { id: `custom-${Date.now()}`, name, sensorW, sensorH, cocBase: cocManual, activeCrop, hfrCrop: body ? body.hfrCrop : 1, pixelsW: body ? body.pixelsW : null, baseIsos: body ? body.baseIsos : undefined, custom: true };
+    setCustomBodies((list) => [...list, b]);
+    setBodyId(b.id);
+    setNewBodyName("");
+  }, [newBodyName, sensorW, sensorH, cocManual, activeCrop, body]);
+  const deleteCustomBody = useCallback((id) => {
+    setCustomBodies((list) => list.filter((b) => b.id !== id));
+    if (bodyId === id) setBodyId(null);
+  }, [bodyId]);
+
+  // CoC de base : saisi à la main ou déduit de la diffusion (capteur entier, avant recadrages)
+  const cocAssist = useMemo(() => computeCocFromViewing({
+    sensorW_mm: sensorW, sensorH_mm: sensorH, deliveryAspect: cocView.aspect, outputWidth_px: cocView.outputWidth,
+    displayWidth_m: cocView.displayWidth, viewingDistance_m: cocView.viewingDistance, strict: cocView.strict,
+  }), [sensorW, sensorH, cocView]);
+  const cocBase = cocSource === "auto" ? cocAssist.coc_mm : cocManual;
+
+  // Recadrage total : format d'enregistrement × stabilisation
+  const fullFrame = fullFrameCropFactor(sensorW, sensorH) < 1.2;
+  const hfrCrop = body ? body.hfrCrop : 1;
+  const fpsOptions = useMemo(() => frameRatesFor(resolution, sq, hfrCrop), [resolution, sq, hfrCrop]);
+  // Cadence indisponible (définition, S&Q ou boîtier changés) → la plus proche en dessous
+  useEffect(() => {
+    if (!fpsOptions.includes(fps)) setFps(fpsOptions.filter((v) => v < fps).pop() ?? fpsOptions[0]);
+  }, [fpsOptions, fps]);
+  const crops = useMemo(() => recordingCrops({ hfrCrop, resolution, fps, s35, ciz, fullFrame, mode, activeCrop }),
+    [body, resolution, fps, s35, ciz, fullFrame, mode, activeCrop]);
+  const cropMode = crops.total;
+  const cropByMode = useMemo(() => ({
+    standard: recordingCrops({ hfrCrop, resolution, fps, s35, ciz, fullFrame, mode: "standard", activeCrop }).total,
+    active: recordingCrops({ hfrCrop, resolution, fps, s35, ciz, fullFrame, mode: "active", activeCrop }).total,
+  }), [body, resolution, fps, s35, ciz, fullFrame, activeCrop]);
+  const formatLabel = useMemo(() => recordingLabel({ resolution, fps, sq, crops }, i18n), [resolution, fps, sq, crops, i18n]);
   const cocEquiv = useMemo(() => cocBase / cropMode, [cocBase, cropMode]); // recadrage → CoC plus petit
 
-  // Hyperfocale (mm → m)
-  const H_mm = useMemo(() => {
-    const f = clamp(Number(focal) || 0, 1, 1000);
-    const N = clamp(Number(aperture) || 1.0, 0.7, 64);
-    const c = Math.max(Number(cocEquiv) || 0.0001, 0.000001);
-    return (f * f) / (N * c) + f; // mm
-  }, [focal, aperture, cocEquiv]);
-  const H_m = useMemo(() => H_mm / 1000, [H_mm]);
-  const nearAtH_m = useMemo(() => H_m / 2, [H_m]);
+  // Hyperfocale (m) — moteur optique partagé avec la CLI ; modèle exact : distances depuis le capteur
+  const hyperInput = useMemo(() => ({
+    focal_mm: clamp(Number(focal) || 0, 1, 1000),
+    N: clamp(Number(aperture) || 1.0, 0.7, 64),
+    coc_base_mm: Math.max(Number(cocEquiv) || 0.0001, 0.000001),
+  }), [focal, aperture, cocEquiv]);
+  const H_m = useMemo(() => (dofModel === "exact" ? computeHyperfocalExactMeters(hyperInput) : computeHyperfocalMeters(hyperInput)), [hyperInput, dofModel]);
+  const nearAtH_m = useMemo(() => (dofModel === "exact" ? computeNearFarExact({ ...hyperInput, s_m: H_m, pupilMag }).near : H_m / 2), [hyperInput, H_m, dofModel, pupilMag]);
 
   // Champ de vision (FOV) et dérivés
-  const effW = useMemo(() => sensorW / cropMode, [sensorW, cropMode]);
-  const effH = useMemo(() => sensorH / cropMode, [sensorH, cropMode]);
   const f = useMemo(() => Number(focal) || 1, [focal]);
-  const hFOV = useMemo(() => 2 * deg(Math.atan(effW / (2 * f))), [effW, f]);
-  const vFOV = useMemo(() => 2 * deg(Math.atan(effH / (2 * f))), [effH, f]);
-  const ffEq = useMemo(() => f * 1.5 * cropMode, [f, cropMode]);
+  const { effW, effH } = useMemo(() => computeFieldOfView({ focal_mm: f, sensorW_mm: sensorW, sensorH_mm: sensorH, crop: cropMode }), [f, sensorW, sensorH, cropMode]);
+  // Angles et équivalence sur la zone réellement livrée (ratio de diffusion)
+  const delivered = useMemo(() => computeDeliveryFieldOfView({ focal_mm: f, sensorW_mm: sensorW, sensorH_mm: sensorH, crop: cropMode, deliveryAspect }),
+    [f, sensorW, sensorH, cropMode, deliveryAspect]);
+  const { hFOV, vFOV, dFOV, ffEq_mm: ffEq } = delivered;
+  // Le ratio livré pilote aussi celui de l'assistant CoC
+  const applyDeliveryAspect = useCallback((a) => {
+    setDeliveryAspect(a);
+    if (a) setCocView((cv) => matchCocDelivery({ ...cv, aspect: a }));
+  }, []);
 
-  const maxScaleM = useMemo(() => niceMax(H_m * 1.15), [H_m]);
-  const displayH = useMemo(() => formatDistanceMeters(H_m, unit), [H_m, unit]);
-  const displayNear = useMemo(() => formatDistanceMeters(nearAtH_m, unit), [nearAtH_m, unit]);
+  // Profondeur de champ à la distance de MAP
+  // Modèle exact : grandissement, tirage et pupilles ; inapplicable en deçà de 4f (modèle simple conservé)
+  const simpleDof = useMemo(() => computeNearFarMeters({ focal_mm: f, N: Number(aperture) || 1.0, coc_base_mm: cocBase, crop: cropMode, s_m: focusM }),
+    [f, aperture, cocBase, cropMode, focusM]);
+  const closeFocus = useMemo(() => computeNearFarExact({ focal_mm: f, N: Number(aperture) || 1.0, coc_base_mm: cocBase, crop: cropMode, s_m: focusM, pupilMag }),
+    [f, aperture, cocBase, cropMode, focusM, pupilMag]);
+  const exactDof = dofModel === "exact" && isFinite(closeFocus.m);
+  const dof = useMemo(() => {
+    const { near, far } = exactDof ? closeFocus : simpleDof;
+    const total = far - near;
+    const front = focusM - near;
+    const back = far - focusM;
+    const frontPct = isFinite(total) && total > 0 ? (front / total) * 100 : NaN;
+    return { near, far, total, front, back, frontPct };
+  }, [exactDof, closeFocus, simpleDof, focusM]);
 
-  const copyText = useMemo(() => `FX30 Hyperfocale — f=${toFixedSmart(f,1)}mm (eq. ${toFixedSmart(ffEq,1)}mm), N=f/${toFixedSmart(aperture,1)}, mode=${mode}, H≈${displayH} (near≈${displayNear}).`, [f, ffEq, aperture, mode, displayH, displayNear]);
+  const maxScaleM = useMemo(() => niceMax(Math.max(H_m, focusM) * 1.15), [H_m, focusM]);
+  const displayH = useMemo(() => dist(H_m, unit), [H_m, unit, dist]);
+  const displayNear = useMemo(() => dist(nearAtH_m, unit), [nearAtH_m, unit, dist]);
+  const focusInUnit = useMemo(() => Number(toFixedSmart(metersToUnit(focusM, unit), 2)), [focusM, unit]); // curseur en unité décimale
+  const setFocusInUnit = useCallback((v) => setFocusM(clamp(unitToMeters(Number(v) || 0, unit), FOCUS_MIN_M, FOCUS_MAX_M)), [unit]);
+  const dofSplit = isFinite(dof.frontPct) ? `${num(dof.frontPct, 0)} % / ${num(100 - dof.frontPct, 0)} %` : `${dist(dof.front, unit)} / ∞`;
 
-  // Presets rapides (useCallback pour éviter recréations)
+  const lensMaxN = useMemo(() => lensMaxApertureAt(lens, clamp(f, lens.minFocal, lens.maxFocal)), [lens, f]);
+
+  // Ouverture affichée : N (f/) ou T ; la profondeur de champ reste calculée sur N, l'exposition sur T
+  const tStop = tStopFromFNumber(Number(aperture) || 1.0, tLoss);
+  const toShown = useCallback((N) => Math.round((stopType === "t" ? tStopFromFNumber(N, tLoss) : N) * 100) / 100, [stopType, tLoss]);
+  const setShownAperture = useCallback((v) => {
+    const N = stopType === "t" ? fNumberFromTStop(Number(v) || 1.0, tLoss) : Number(v);
+    setAperture(Math.round(N * 100) / 100);
+  }, [stopType, tLoss]);
+  const stopPrefix = stopType === "t" ? "T" : "f/";
+  const shownN = toShown(Number(aperture) || 1.0);
+  const shownMin = toShown(lensMaxN), shownMax = toShown(lens.minAperture);
+  const apertureOptions = useMemo(() => {
+    if (apertureScale === "free") return [];
+    const stops = apertureStops(apertureScale, shownMin, shownMax);
+    return stops.some((v) => Math.abs(v - shownN) < 0.005) ? stops : [...stops, shownN].sort((a, b) => a - b);
+  }, [apertureScale, shownMin, shownMax, shownN]);
+  const apertureIndex = apertureOptions.reduce((best, v, i) => (Math.abs(v - shownN) < Math.abs(apertureOptions[best] - shownN) ? i : best), 0);
+  const chooseApertureScale = useCallback((id) => {
+    setApertureScale(id);
+    if (id !== "free") setShownAperture(clamp(snapAperture(shownN, id), shownMin, shownMax));
+  }, [setShownAperture, shownN, shownMin, shownMax]);
+
+  // Zone nette demandée (champs du solveur inverse), partagée avec l'ouverture optimale
+  const [targetRange, setTargetRange] = useState({ nearM: 2, farM: 6, toInfinity: false });
+  const targetFar = targetRange.toInfinity ? Infinity : targetRange.farM;
+
+  // Diffraction : Airy vs CoC et photosites ; ouverture optimale pour la zone nette demandée
+  const pixelPitch = body && body.pixelsW ? sensorW / body.pixelsW : null; // mm
+  const diffraction = useMemo(() => diffractionAnalysis({ N: Number(aperture) || 1.0, coc_mm: cocEquiv, pixelPitch_mm: pixelPitch }), [aperture, cocEquiv, pixelPitch]);
+  const sweetSpot = useMemo(() => sweetSpotFor({ lens, focal_mm: f, near_m: targetRange.nearM, far_m: targetFar }), [lens, f, targetRange.nearM, targetFar]);
+  const diffractionNote = diffraction.exceedsCoc
+    ? t("diffraction.limiting", { airy: num(diffraction.airy_mm * 1000, 1), coc: num(cocEquiv * 1000, 1), N: num(diffraction.limitN, 1) })
+    : diffraction.visibleAtPixel
+      ? t("diffraction.visible", { N: num(diffraction.onsetN, 1) })
+      : null;
+  const issues = useMemo(() => lensIssues(lens, f, Number(aperture) || 1.0, focusM, i18n), [lens, f, aperture, focusM, i18n]);
+  const lensLabel = lensName(lens, t);
+
+  const applyLens = useCallback((id) => {
+    const l = LENS_PROFILES.find((x) => x.id === id);
+    if (!l) return;
+    setLensId(l.id);
+    setPresetNote(null);
+    const fit = fitToLens(l, f, Number(aperture) || 1.0);
+    setFocal(fit.focal); setAperture(fit.aperture);
+  }, [f, aperture]);
+
+  // Carte image : statistiques clés et contexte, schéma lu dans le DOM au moment de l'export
+  const diagramRef = useRef(null);
+  const cardStats = useMemo(() => [
+    { label: t("stats.H"), value: displayH },
+    { label: t("stats.nearAtH"), value: displayNear },
+    { label: "hFOV / vFOV", value: `${num(hFOV, 1)}° / ${num(vFOV, 1)}°` },
+    { label: t("stats.ffEq"), value: `${num(ffEq, 1)} mm` },
+    { label: t("stats.coc"), value: `${num(cocEquiv, 3)} mm` },
+    { label: t("stats.mode"), value: `${t(`mode.${mode}`)} · ×${num(cropMode, 2)}` },
+  ], [displayH, displayNear, hFOV, vFOV, ffEq, cocEquiv, mode, cropMode, t, num]);
+  const cardSubtitle = t("card.subtitle", {
+    focal: num(f, 1), N: num(aperture, 1), format: `${formatLabel}${deliveryAspect ? ` · ${aspectLabel(deliveryAspect)}` : ""}`,
+    focus: dist(focusM, unit), near: dist(dof.near, unit), far: distInf(dof.far, unit),
+  });
+
+  const copyText = useMemo(() => t("app.summary", {
+    body: bodyLabel, lens: lensLabel, focal: num(f, 1), ffEq: num(ffEq, 1), N: num(aperture, 1), mode: t(`mode.${mode}`),
+    format: formatLabel, crop: num(cropMode, 2), H: displayH, near: displayNear,
+  }), [f, ffEq, aperture, mode, formatLabel, cropMode, displayH, displayNear, bodyLabel, lensLabel, t, num]);
+
+  // Permalien : état ↔ URL, synchronisé avec l'historique du navigateur
+  const permalinkState = useMemo(() => ({
+    mode, focal, aperture, apertureScale, stopType, tLoss, unit, dofModel, pupilMag, inchFraction, focusM, cocBase: cocManual, sensorW, sensorH, activeCrop, bodyId, lensId, theme: dark ? "dark" : "light",
+    resolution, fps, sq, s35, ciz,
+    cocSource, cocAspect: cocView.aspect, cocOutputWidth: cocView.outputWidth, cocDisplayWidth: cocView.displayWidth,
+    cocViewingDistance: cocView.viewingDistance, cocStrict: cocView.strict, deliveryAspect,
+  }), [mode, focal, aperture, apertureScale, stopType, tLoss, unit, dofModel, pupilMag, inchFraction, focusM, cocManual, sensorW, sensorH, activeCrop, bodyId, lensId, dark, resolution, fps, sq, s35, ciz, cocSource, cocView, deliveryAspect]);
+  const permalinkQuery = useMemo(() => encodePermalink(permalinkState), [permalinkState]);
+  const permalink = useMemo(() => {
+    const base = typeof window === "undefined" ? "" : `${window.location.origin}${window.location.pathname}`;
+    return `${base}?${permalinkQuery}`;
+  }, [permalinkQuery]);
+  const stateRef = useRef(permalinkState);
+  stateRef.current = permalinkState;
+  const canonicalRef = useRef(permalinkQuery); // requête issue d'une restauration → replaceState
+
+  const applyPermalink = useCallback((v) => {
+    if (v.mode !== undefined) setMode(v.mode);
+    if (v.focal !== undefined) setFocal(v.focal);
+    if (v.aperture !== undefined) setAperture(v.aperture);
+    if (v.apertureScale !== undefined) setApertureScale(v.apertureScale);
+    if (v.stopType !== undefined) setStopType(v.stopType);
+    if (v.tLoss !== undefined) setTLosses((m) => ({ ...m, [v.lensId ?? stateRef.current.lensId]: v.tLoss }));
+    if (v.unit !== undefined) setUnit(v.unit);
+    if (v.dofModel !== undefined) setDofModel(v.dofModel);
+    if (v.pupilMag !== undefined) setPupilMag(v.pupilMag);
+    if (v.inchFraction !== undefined) setInchFraction(v.inchFraction);
+    if (v.focusM !== undefined) setFocusM(v.focusM);
+    if (v.cocBase !== undefined) setCocManual(v.cocBase);
+    if (v.cocSource !== undefined) setCocSource(v.cocSource);
+    setCocView((cv) => {
+      const next = { ...cv };
+      if (v.cocAspect !== undefined) next.aspect = v.cocAspect;
+      if (v.cocOutputWidth !== undefined) next.outputWidth = v.cocOutputWidth;
+      if (v.cocDisplayWidth !== undefined) next.displayWidth = v.cocDisplayWidth;
+      if (v.cocViewingDistance !== undefined) next.viewingDistance = v.cocViewingDistance;
+      if (v.cocStrict !== undefined) next.strict = v.cocStrict;
+      return matchCocDelivery(next);
+    });
+    if (v.sensorW !== undefined) setSensorW(v.sensorW);
+    if (v.sensorH !== undefined) setSensorH(v.sensorH);
+    if (v.activeCrop !== undefined) setActiveCrop(v.activeCrop);
+    if (v.bodyId !== undefined) setBodyId(v.bodyId);
+    if (v.lensId !== undefined) setLensId(v.lensId);
+    if (v.theme !== undefined) setDark(v.theme === "dark");
+    if (v.resolution !== undefined) setResolution(v.resolution);
+    if (v.fps !== undefined) setFps(v.fps);
+    if (v.sq !== undefined) setSq(v.sq);
+    if (v.s35 !== undefined) setS35(v.s35);
+    if (v.ciz !== undefined) setCiz(v.ciz);
+    if (v.deliveryAspect !== undefined) setDeliveryAspect(v.deliveryAspect);
+  }, []);
+
+  useEffect(() => {
+    const onPop = () => {
+      const { values, issues } = decodePermalink(window.location.search);
+      const next = { ...stateRef.current, deliveryAspect: null, ...values }; // pas de ratio dans l'URL = capteur entier
+      canonicalRef.current = encodePermalink(next);
+      setLinkIssues(issues);
+      applyPermalink(next);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [applyPermalink]);
+
+  useEffect(() => {
+    const query = `?${permalinkQuery}`;
+    if (query === window.location.search) return;
+    const url = `${window.location.pathname}${query}${window.location.hash}`;
+    if (permalinkQuery === canonicalRef.current) { window.history.replaceState(null, "", url); return; }
+    const t = setTimeout(() => window.history.pushState(null, "", url), 500); // regroupe les glissements de slider
+    return () => clearTimeout(t);
+  }, [permalinkQuery]);
+  useEffect(() => { saveJSON(LAST_SETTINGS_KEY, permalinkQuery); }, [permalinkQuery]);
+
+  // Nouvelle version en cache (service worker) : proposée plutôt qu'appliquée en silence
+  const [applyUpdate, setApplyUpdate] = useState(null);
+  useEffect(() => onUpdateAvailable((apply) => setApplyUpdate(() => apply)), []);
+
+  // Presets (persistés localement) — ajustés à l'objectif
+  useEffect(() => { saveJSON(PRESETS_KEY, presets); }, [presets]);
   const applyPreset = useCallback((p) => {
-    if (p === "street") { setMode("standard"); setFocal(17); setAperture(8); }
-    if (p === "land") { setMode("standard"); setFocal(24); setAperture(11); }
-    if (p === "tele") { setMode("standard"); setFocal(50); setAperture(8); }
-    if (p === "night") { setMode("active"); setFocal(17); setAperture(2.8); }
+    const fit = fitToLens(lens, p.focal, p.aperture);
+    setMode(p.mode); setFocal(fit.focal); setAperture(fit.aperture);
+    if (p.focusM != null) setFocusM(p.focusM);
+    setPresetNote(fit.adjusted
+      ? t("presets.adjusted", { focal: num(p.focal, 1), N: num(p.aperture, 1), fitFocal: num(fit.focal, 1), fitN: num(fit.aperture, 1) })
+      : null);
+  }, [lens, t, num]);
+  const currentPresetValues = useMemo(() => ({ mode, focal: f, aperture: Number(aperture) || 1.0, focusM }), [mode, f, aperture, focusM]);
+
+  // Comparaison A/B : emplacements épinglés, recalculés avec le boîtier, le format et le CoC courants
+  const [compareSlots, setCompareSlots] = useState(() => sanitizeCompareSlots(loadJSON(COMPARE_KEY, null)) || []);
+  useEffect(() => { saveJSON(COMPARE_KEY, compareSlots); }, [compareSlots]);
+  const compareRows = useMemo(() => compareSlots.map((slot) => ({ slot, ...compareSlot({ slot, cocBase, crop: cropByMode[slot.mode], sensorW, sensorH, deliveryAspect }) })),
+    [compareSlots, cropByMode, cocBase, sensorW, sensorH, deliveryAspect]);
+  const pinCompareSlot = useCallback(() => setCompareSlots((list) => {
+    const id = freeCompareId(list);
+    return id ? [...list, { id, lensId, mode, focal: f, aperture: Number(aperture) || 1.0, focusM }] : list;
+  }), [lensId, mode, f, aperture, focusM]);
+  const promoteCompareSlot = useCallback((slot) => {
+    setLensId(slot.lensId); setMode(slot.mode); setFocal(slot.focal); setAperture(slot.aperture); setFocusM(slot.focusM);
+    setPresetNote(null);
   }, []);
+  const diagramCompare = useMemo(() => compareRows.map((r) => ({ id: r.slot.id, color: compareColor(r.slot.id), H_m: r.H_m, nearAtH_m: r.nearAtH_m })), [compareRows]);
+
+  // Flou d'arrière-plan : largeur livrée et CoC de chaque mode (mêmes recadrages que l'hyperfocale)
+  const bokehViews = useMemo(() => ["standard", "active"].map((id) => ({
+    id, crop: cropByMode[id], coc_mm: cocBase / cropByMode[id],
+    usedW_mm: computeDeliveryFieldOfView({ focal_mm: f, sensorW_mm: sensorW, sensorH_mm: sensorH, crop: cropByMode[id], deliveryAspect }).usedW_mm,
+  })), [cropByMode, cocBase, f, sensorW, sensorH, deliveryAspect]);
+
+  // Vérification d'une prise : métadonnées d'un XML Sony ou EXIF, lues localement puis appliquées aux réglages
+  const [shot, setShot] = useState(null); // { meta, fileName }
+  const [shotNote, setShotNote] = useState(null);
+  const importShot = useCallback(async (file) => {
+    try {
+      const meta = await readShotMetadata(file);
+      if (!meta) { setShotNote(t("shot.unsupported", { name: file.name })); return; }
+      if (!hasShotData(meta)) { setShotNote(t("shot.empty", { name: file.name })); return; }
+      const N = shotAperture(meta, tLoss);
+      if (meta.focal_mm != null) setFocal(clamp(Math.round(meta.focal_mm * 10) / 10, 5, 200));
+      if (N != null) setAperture(clamp(Math.round(N * 100) / 100, 1, 22));
+      if (meta.mode) setMode(meta.mode);
+      if (meta.focus_m != null) setFocusM(clamp(meta.focus_m, FOCUS_MIN_M, FOCUS_MAX_M));
+      setShot({ meta, fileName: file.name });
+      setShotNote(null);
+    } catch (_) {
+      setShotNote(t("shot.unreadable", { name: file.name }));
+    }
+  }, [tLoss, t]);
+  const shotResult = useMemo(() => shot && checkShot({ meta: shot.meta, focal_mm: f, N: Number(aperture) || 1.0, s_m: focusM, tLoss, cocBase, crop: cropMode }),
+    [shot, f, aperture, focusM, tLoss, cocBase, cropMode]);
+  const onFileDragOver = useCallback((e) => { if (e.dataTransfer && [...e.dataTransfer.types].includes("Files")) e.preventDefault(); }, []);
+  const onFileDrop = useCallback((e) => {
+    const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+    if (!file) return;
+    e.preventDefault();
+    importShot(file);
+  }, [importShot]);
 
   return (
-    <div>
+    <div onDragOver={onFileDragOver} onDrop={onFileDrop}>
       <div className={`min-h-screen w-full bg-gradient-to-br transition-colors ${dark ? "from-slate-900 via-slate-950 to-black text-slate-100" : "from-slate-50 via-slate-100 to-slate-200 text-slate-900"}`}>
         {/* Style sliders (webkit) */}
         <style>{`
@@ -113,22 +783,30 @@ export default function FX30Hyperfocale() {
           <motion.header initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35 }}
             className={`mb-6 flex flex-wrap items-center justify-between gap-3 rounded-2xl border px-4 py-3 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
             <div>
-              <h1 className="text-2xl font-semibold tracking-tight">FX30 · Hyperfocale & Cadrage</h1>
-              <p className={`text-sm ${dark ? "text-slate-300" : "text-slate-600"}`}>Calcul instantané (Tamron 17–70 ou autre). Mode Standard / Actif, schéma, presets.</p>
+              <h1 className="text-2xl font-semibold tracking-tight">{t("app.title")}</h1>
+              <p className={`text-sm ${dark ? "text-slate-300" : "text-slate-600"}`}>{t("app.tagline")}</p>
             </div>
-            <div className="flex items-center gap-2">
+            <div className="flex flex-wrap items-center gap-2">
               <Segmented
-                options={[{ id: "m", label: "m" }, { id: "ft", label: "ft" }]}
+                options={LANGUAGES.map((l) => ({ id: l.id, label: l.label, title: l.name }))}
+                value={lang}
+                onChange={chooseLang}
+                ariaLabel={t("app.language")}
+                isDark={dark}
+              />
+              <Segmented
+                options={[{ id: "m", label: "m" }, { id: "ft", label: "ft-in" }]}
                 value={unit}
                 onChange={setUnit}
-                ariaLabel="Unités"
+                ariaLabel={t("app.units")}
                 isDark={dark}
               />
-              <button onClick={() => setDark((d) => !d)}
+              <button onClick={() => setDark((d) => !d)} aria-label={t("app.theme")}
                 className={`rounded-xl border px-3 py-2 text-sm shadow ${dark ? "border-white/20 bg-gradient-to-br from-slate-800 to-slate-700" : "border-white/20 bg-gradient-to-br from-slate-100 to-slate-200 hover:from-slate-200 hover:to-slate-300"}`}>
                 {dark ? "☀️" : "🌙"}
               </button>
-              <CopyButton text={copyText} isDark={dark} />
+              <CopyButton text={copyText} i18n={i18n} isDark={dark} />
+              <CopyButton text={permalink} label={t("app.copyLink")} i18n={i18n} isDark={dark} />
             </div>
           </motion.header>
 
@@ -136,128 +814,1581 @@ export default function FX30Hyperfocale() {
             {/* Panneau de contrôles */}
             <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.05 }}
               className={`rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
-              <h2 className="mb-4 text-lg font-semibold">Paramètres</h2>
+              <h2 className="mb-4 text-lg font-semibold">{t("app.settings")}</h2>
+              {linkNote && <div className="-mt-2 mb-4"><WarnText text={linkNote} isDark={dark} /></div>}
+
+              {/* Boîtier */}
+              <div className="mb-5">
+                <label className="mb-2 block text-sm font-medium">{t("body.label")}</label>
+                <Select
+                  value={body ? bodyId : ""}
+                  onChange={applyBody}
+                  options={[
+                    ...(body ? [] : [{ id: "", label: t("body.customManual"), disabled: true }]),
+                    ...bodies.map((b) => ({ id: b.id, label: b.custom ? t("body.customTag", { name: b.name }) : b.name })),
+                  ]}
+                  ariaLabel={t("body.label")}
+                  isDark={dark}
+                />
+                <p className={`mt-2 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>
+                  {t("body.info", { w: num(sensorW, 1), h: num(sensorH, 1), coc: num(cocBase, 3), crop: num(fullFrameCropFactor(sensorW, sensorH), 2) })}{bodyDirty ? t("body.infoModified") : ""}
+                </p>
+              </div>
+
+              {/* Objectif */}
+              <div className="mb-5">
+                <label className="mb-2 block text-sm font-medium">{t("lens.label")}</label>
+                <Select
+                  value={lensId}
+                  onChange={applyLens}
+                  options={LENS_PROFILES.map((l) => ({ id: l.id, label: lensName(l, t) }))}
+                  ariaLabel={t("lens.label")}
+                  isDark={dark}
+                />
+                <p className={`mt-2 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>
+                  {t("lens.info", { range: isPrime ? `${lens.minFocal} mm` : `${lens.minFocal}–${lens.maxFocal} mm`, maxN: num(lensMaxN, 1), focal: num(clamp(f, lens.minFocal, lens.maxFocal), 1), minN: num(lens.minAperture, 1) })}
+                  {lens.minFocus ? t("lens.minFocus", { distance: num(lensMinFocusAt(lens, clamp(f, lens.minFocal, lens.maxFocal)), 2) }) : ""}
+                </p>
+              </div>
+
+              {/* Format d'enregistrement */}
+              <div className="mb-5">
+                <label className="mb-2 block text-sm font-medium">{t("format.label")}</label>
+                <div className="flex flex-wrap items-center gap-2">
+                  <Segmented
+                    options={RESOLUTIONS.map((r) => ({ id: r.id, label: r.label }))}
+                    value={resolution}
+                    onChange={(r) => {
+                      setResolution(r);
+                      setCiz((z) => Math.min(z, RESOLUTIONS.find((x) => x.id === r).cizMax));
+                    }}
+                    ariaLabel={t("format.resolution")}
+                    isDark={dark}
+                  />
+                  <div className="w-28">
+                    <Select value={String(fps)} onChange={(v) => setFps(Number(v))} options={fpsOptions.map((v) => ({ id: String(v), label: `${v}p` }))} ariaLabel={t("format.fps")} isDark={dark} />
+                  </div>
+                  <label className={`flex items-center gap-1 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>
+                    <input type="checkbox" checked={sq} onChange={(e) => setSq(e.target.checked)} />
+                    S&Q
+                  </label>
+                  <label className={`flex items-center gap-1 text-xs ${fullFrame ? "" : "opacity-40"} ${dark ? "text-slate-300" : "text-slate-600"}`}>
+                    <input type="checkbox" checked={s35 && fullFrame} disabled={!fullFrame} onChange={(e) => setS35(e.target.checked)} />
+                    APS-C / S35
+                  </label>
+                </div>
+                <div className="mt-3 flex items-center gap-3">
+                  <span className={`whitespace-nowrap text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>Clear Image Zoom</span>
+                  <input type="range" min={1} max={RESOLUTIONS.find((r) => r.id === resolution).cizMax} step={0.05} value={ciz} onChange={(e) => setCiz(Number(e.target.value))} aria-label="Clear Image Zoom" className="h-2 w-full cursor-pointer rounded-full" />
+                  <NumberBox value={ciz} setValue={setCiz} min={1} max={RESOLUTIONS.find((r) => r.id === resolution).cizMax} step={0.05} suffix="×" isDark={dark} />
+                </div>
+                <p className={`mt-2 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>{t("format.hint", { format: formatLabel, crop: num(cropMode, 2) })}</p>
+                {resolution === "4k" && hfrCrop == null && (
+                  <p className={`mt-1 text-xs ${dark ? "text-amber-300" : "text-amber-700"}`}>{t("format.noHfr", { body: body.name })}</p>
+                )}
+              </div>
+
+              {/* Ratio de livraison */}
+              <div className="mb-5">
+                <label className="mb-2 block text-sm font-medium">{t("delivery.label")}</label>
+                <DeliveryAspectField value={deliveryAspect} onChange={applyDeliveryAspect} i18n={i18n} isDark={dark} />
+                <p className={`mt-2 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>
+                  {deliveryAspect
+                    ? t("delivery.cropped", { aspect: aspectLabel(deliveryAspect), w: num(delivered.usedW_mm, 1), h: num(delivered.usedH_mm, 1) })
+                    : t("delivery.sensor")}
+                </p>
+              </div>
 
               {/* Mode */}
               <div className="mb-5">
-                <label className="mb-2 block text-sm font-medium">Mode de stabilisation</label>
+                <label className="mb-2 block text-sm font-medium">{t("mode.label")}</label>
                 <Segmented
-                  options={[{ id: "standard", label: "Standard (IBIS)" }, { id: "active", label: "Actif (recadrage)" }]}
+                  options={[{ id: "standard", label: t("mode.standardOption") }, { id: "active", label: t("mode.activeOption") }]}
                   value={mode}
                   onChange={setMode}
-                  ariaLabel="Mode de stabilisation"
+                  ariaLabel={t("mode.label")}
                   isDark={dark}
                 />
-                <p className={`mt-2 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>Actif resserre le cadre (~{(activeCrop * 100 - 100).toFixed(0)}%) et réduit le CoC → H augmente légèrement.</p>
+                <p className={`mt-2 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>{t("mode.hint", { pct: (activeCrop * 100 - 100).toFixed(0) })}</p>
               </div>
 
               {/* Focale */}
               <div className="mb-5">
                 <div className="flex items-end justify-between">
-                  <label className="block text-sm font-medium">Focale (mm)</label>
-                  <div className={`text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>Équiv. 24×36 ≈ {toFixedSmart(ffEq, 1)} mm</div>
+                  <label className="block text-sm font-medium">{t("focal.label")}</label>
+                  <div className={`text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>{t("focal.ffEq", { focal: num(ffEq, 1) })}</div>
                 </div>
                 <div className="mt-2 flex items-center gap-3">
-                  <input type="range" min={limitLens ? 17 : 5} max={limitLens ? 70 : 200} step={0.1} value={focal} onChange={(e) => setFocal(Number(e.target.value))} className="h-2 w-full cursor-pointer rounded-full" />
-                  <NumberBox value={focal} setValue={setFocal} min={limitLens ? 17 : 5} max={limitLens ? 70 : 200} step={0.1} suffix="mm" isDark={dark} />
+                  <input type="range" min={lens.minFocal} max={lens.maxFocal} step={0.1} value={focal} disabled={isPrime} onChange={(e) => setFocal(Number(e.target.value))} aria-label={t("focal.label")} className={`h-2 w-full rounded-full ${isPrime ? "cursor-not-allowed opacity-50" : "cursor-pointer"}`} />
+                  <NumberBox value={focal} setValue={setFocal} min={lens.minFocal} max={lens.maxFocal} step={0.1} suffix="mm" isDark={dark} />
                 </div>
                 <div className="mt-3 flex flex-wrap gap-2">
                   {PRESET_FOCALS.map((v) => (
-                    <Chip key={v} onClick={() => setFocal(v)} isDark={dark}>{v} mm</Chip>
+                    <Chip key={v} onClick={() => setFocal(v)} disabled={v < lens.minFocal || v > lens.maxFocal} isDark={dark}>{v} mm</Chip>
                   ))}
                 </div>
-                <label className={`mt-3 flex items-center gap-2 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>
-                  <input type="checkbox" checked={limitLens} onChange={(e) => setLimitLens(e.target.checked)} />
-                  Limiter à 17–70 mm (Tamron)
-                </label>
+                <WarnText text={issues.focal} isDark={dark} />
               </div>
 
               {/* Ouverture */}
               <div className="mb-2">
-                <label className="mb-2 block text-sm font-medium">Ouverture (N = f/x)</label>
+                <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+                  <label className="block text-sm font-medium">{t(stopType === "t" ? "aperture.labelT" : "aperture.label")}</label>
+                  <div className="flex flex-wrap gap-2">
+                    <Segmented options={APERTURE_SCALE_IDS.map((id) => ({ id, label: t(`aperture.scales.${id}`) }))} value={apertureScale} onChange={chooseApertureScale} ariaLabel={t("aperture.scale")} isDark={dark} />
+                    <Segmented options={[{ id: "f", label: "f/" }, { id: "t", label: "T" }]} value={stopType} onChange={setStopType} ariaLabel={t("aperture.stopType")} isDark={dark} />
+                  </div>
+                </div>
                 <div className="mt-1 flex items-center gap-3">
-                  <input type="range" min={1.0} max={22} step={0.1} value={aperture} onChange={(e) => setAperture(Number(e.target.value))} className="h-2 w-full cursor-pointer rounded-full" />
-                  <NumberBox value={aperture} setValue={setAperture} min={1.0} max={22} step={0.1} prefix="f/" isDark={dark} />
+                  {apertureScale === "free" ? (
+                    <>
+                      <input type="range" min={shownMin} max={shownMax} step={0.1} value={shownN} onChange={(e) => setShownAperture(e.target.value)} aria-label={t("aperture.label")} className="h-2 w-full cursor-pointer rounded-full" />
+                      <NumberBox value={shownN} setValue={setShownAperture} min={shownMin} max={shownMax} step={0.1} prefix={stopPrefix} isDark={dark} />
+                    </>
+                  ) : (
+                    <>
+                      <input type="range" min={0} max={apertureOptions.length - 1} step={1} value={apertureIndex} onChange={(e) => setShownAperture(apertureOptions[Number(e.target.value)])}
+                        aria-label={t("aperture.label")} aria-valuetext={`${stopPrefix}${num(shownN, 1)}`} className="h-2 w-full cursor-pointer rounded-full" />
+                      <div className="w-28 shrink-0">
+                        <Select value={String(apertureOptions[apertureIndex])} onChange={(v) => setShownAperture(Number(v))} ariaLabel={t("aperture.label")} isDark={dark}
+                          options={apertureOptions.map((v) => ({ id: String(v), label: `${stopPrefix}${num(v, 1)}` }))} />
+                      </div>
+                    </>
+                  )}
                 </div>
                 <div className="mt-3 flex flex-wrap gap-2">
                   {PRESET_APERTURES.map((v) => (
-                    <Chip key={v} onClick={() => setAperture(v)} isDark={dark}>f/{v}</Chip>
+                    <Chip key={v} onClick={() => setShownAperture(v)} disabled={v < shownMin - 0.005 || v > shownMax + 0.005} isDark={dark}>{stopPrefix}{num(v, 1)}</Chip>
+                  ))}
+                </div>
+                {stopType === "t" && (
+                  <div className={`mt-3 flex flex-wrap items-center gap-2 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>
+                    <span>{t("aperture.tLoss")}</span>
+                    <NumberBox value={tLoss} setValue={setTLoss} min={0} max={2} step={0.05} suffix={t("aperture.ev")} isDark={dark} />
+                    <span>{t("aperture.tInfo", { T: num(tStop, 1), N: num(Number(aperture) || 1.0, 2) })}</span>
+                  </div>
+                )}
+                <WarnText text={issues.aperture} isDark={dark} />
+              </div>
+
+              {/* Distance de mise au point */}
+              <div className="mt-5">
+                <div className="flex items-end justify-between">
+                  <label className="block text-sm font-medium">{t("focus.label")}</label>
+                  <div className={`text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>H ≈ {displayH}</div>
+                </div>
+                <div className="mt-2 flex items-center gap-3">
+                  <input type="range" min={metersToUnit(FOCUS_MIN_M, unit)} max={metersToUnit(FOCUS_MAX_M, unit)} step={0.05} value={focusInUnit} onChange={(e) => setFocusInUnit(e.target.value)} aria-label={t("focus.label")} className="h-2 w-full cursor-pointer rounded-full" />
+                  <DistanceBox meters={focusM} setMeters={setFocusM} min={FOCUS_MIN_M} max={FOCUS_MAX_M} unit={unit} ariaLabel={t("focus.label")} i18n={i18n} isDark={dark} />
+                </div>
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {PRESET_FOCUS_M.map((v) => (
+                    <Chip key={v} onClick={() => setFocusM(v)} isDark={dark}>{dist(v, unit)}</Chip>
                   ))}
+                  <Chip onClick={() => setFocusM(clamp(H_m, FOCUS_MIN_M, FOCUS_MAX_M))} isDark={dark}>{t("focus.onH")}</Chip>
                 </div>
+                <WarnText text={issues.focus} isDark={dark} />
               </div>
 
               {/* Presets pratiques */}
               <div className="mt-4">
-                <div className={`mb-2 text-xs font-medium ${dark ? "text-slate-300" : "text-slate-600"}`}>Presets rapides</div>
+                <div className={`mb-2 text-xs font-medium ${dark ? "text-slate-300" : "text-slate-600"}`}>{t("presets.quick")}</div>
                 <div className="flex flex-wrap gap-2">
-                  <Chip onClick={() => applyPreset("street")} isDark={dark}>Street / Docu</Chip>
-                  <Chip onClick={() => applyPreset("land")} isDark={dark}>Paysage</Chip>
-                  <Chip onClick={() => applyPreset("tele")} isDark={dark}>Télé safe</Chip>
-                  <Chip onClick={() => applyPreset("night")} isDark={dark}>Night walk</Chip>
+                  {presets.map((p) => (
+                    <Chip key={p.id} onClick={() => applyPreset(p)} isDark={dark}>{presetName(p, t)}</Chip>
+                  ))}
+                </div>
+                <WarnText text={presetNote} isDark={dark} />
+                <PresetManager presets={presets} setPresets={setPresets} current={currentPresetValues} i18n={i18n} isDark={dark} />
+              </div>
+            </motion.section>
+
+            {/* Résultats + Schéma */}
+            <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.08 }}
+              className={`rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
+              <h2 className="mb-4 text-lg font-semibold">{t("app.results")}</h2>
+              <div className="grid grid-cols-2 gap-3 text-sm md:grid-cols-3">
+                <Stat label={t("stats.H")} value={displayH} isDark={dark} />
+                <Stat label={t("stats.nearAtH")} value={displayNear} isDark={dark} />
+                <Stat label={`hFOV / vFOV / dFOV${deliveryAspect ? ` (${aspectLabel(deliveryAspect)})` : ""}`} value={`${num(hFOV,1)}° / ${num(vFOV,1)}° / ${num(dFOV,1)}°`} isDark={dark} />
+                <Stat label={t("stats.ffEq")} value={`${num(ffEq,1)} mm`} isDark={dark} />
+                <Stat label={t("stats.coc")} value={`${num(cocEquiv,3)} mm`} isDark={dark} />
+                <Stat label={t("stats.effSensor", { crop: num(cropMode, 2) })} value={`${num(effW,1)}×${num(effH,1)} mm`} isDark={dark} />
+              </div>
+
+              <div className="mb-2 mt-5 flex flex-wrap items-center justify-between gap-2">
+                <h3 className={`text-sm font-medium ${dark ? "text-slate-300" : "text-slate-700"}`}>{t("stats.dofTitle", { focus: dist(focusM, unit) })}</h3>
+                <Segmented
+                  options={[{ id: "simple", label: t("closeFocus.simple") }, { id: "exact", label: t("closeFocus.exact") }]}
+                  value={dofModel}
+                  onChange={setDofModel}
+                  ariaLabel={t("closeFocus.model")}
+                  isDark={dark}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3 text-sm md:grid-cols-4">
+                <Stat label={t("stats.near")} value={dist(dof.near, unit)} isDark={dark} />
+                <Stat label={t("stats.far")} value={distInf(dof.far, unit)} isDark={dark} />
+                <Stat label={t("stats.total")} value={distInf(dof.total, unit)} isDark={dark} />
+                <Stat label={t("stats.split")} value={dofSplit} isDark={dark} />
+              </div>
+              {dofModel === "exact" && (
+                <CloseFocusDetails result={closeFocus} simple={simpleDof} N={Number(aperture) || 1.0} focal={f} pupilMag={pupilMag} setPupilMag={setPupilMag}
+                  minFocusIssue={issues.focus} unit={unit} i18n={i18n} isDark={dark} />
+              )}
+
+              <h3 className={`mb-2 mt-5 text-sm font-medium ${dark ? "text-slate-300" : "text-slate-700"}`}>{t("diffraction.title")}</h3>
+              <div className="grid grid-cols-2 gap-3 text-sm md:grid-cols-3">
+                <Stat label={t("diffraction.airy")} value={`${num(diffraction.airy_mm * 1000, 1)} µm`} isDark={dark} />
+                <Stat label={t("diffraction.airyPx")} value={isFinite(diffraction.airyPx) ? `${num(diffraction.airyPx, 1)} px` : "—"} isDark={dark} />
+                <Stat label="Airy / CoC" value={`${num((diffraction.airy_mm / cocEquiv) * 100, 0)} %`} isDark={dark} />
+              </div>
+              <WarnText text={diffractionNote} isDark={dark} />
+              <div className={`mt-2 flex flex-wrap items-center gap-2 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>
+                <span>
+                  {i18n.rich("diffraction.optimal", {
+                    near: dist(targetRange.nearM, unit), far: distInf(targetFar, unit), N: <b>f/{num(sweetSpot.N, 1)}</b>,
+                    clamped: sweetSpot.clamped ? t("diffraction.clamped", { N: num(sweetSpot.idealN, 1) }) : "",
+                    focus: dist(sweetSpot.focus_m, unit), blur: num(sweetSpot.blur_mm * 1000, 1),
+                  })}
+                </span>
+                <Chip onClick={() => { setAperture(sweetSpot.N); setFocusM(clamp(sweetSpot.focus_m, FOCUS_MIN_M, FOCUS_MAX_M)); }} isDark={dark}>{t("common.apply")}</Chip>
+              </div>
+
+              {/* Lignes de cadre */}
+              <h3 className={`mb-2 mt-5 text-sm font-medium ${dark ? "text-slate-300" : "text-slate-700"}`}>{t("frameLines.title")}</h3>
+              <FrameLines sensorW={sensorW} sensorH={sensorH} formatCrop={crops.format} activeCrop={activeCrop} mode={mode} deliveryAspect={deliveryAspect} i18n={i18n} isDark={dark} />
+
+              {/* Schéma SVG */}
+              <div className="mt-6">
+                <h3 className={`mb-2 text-sm font-medium ${dark ? "text-slate-300" : "text-slate-700"}`}>{t("diagram.title")}</h3>
+                <div ref={diagramRef} className={`relative rounded-2xl border p-3 shadow-inner ${dark ? "border-white/10 bg-gradient-to-b from-slate-800/60 to-slate-900/60" : "border-white/10 bg-gradient-to-b from-white/80 to-white/50"}`}>
+                  <SVGDiagram H_m={H_m} nearAtH_m={nearAtH_m} maxScaleM={maxScaleM} unit={unit} hFOV={hFOV} focus_m={focusM} near_m={dof.near} far_m={dof.far}
+                    compare={diagramCompare} onFocusChange={setFocusM} i18n={i18n} isDark={dark} />
+                  <p className={`mt-2 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>{i18n.rich("diagram.caption", { half: <b>H/2</b>, inf: <b>∞</b> })}</p>
                 </div>
+                <ResultCardExport getDiagram={() => diagramRef.current && diagramRef.current.querySelector("svg")}
+                  title={`${bodyLabel} + ${lensLabel}`} subtitle={cardSubtitle} stats={cardStats}
+                  fileBase={`fx30-${toFixedSmart(f, 1)}mm-f${toFixedSmart(aperture, 1)}`} i18n={i18n} isDark={dark} />
               </div>
             </motion.section>
+          </div>
+
+          {/* Comparaison A/B */}
+          <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.1 }}
+            className={`mt-5 rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
+            <CompareSlots rows={compareRows} onPin={pinCompareSlot} onPromote={promoteCompareSlot}
+              onRemove={(id) => setCompareSlots((list) => list.filter((s) => s.id !== id))} onClear={() => setCompareSlots([])}
+              unit={unit} i18n={i18n} isDark={dark} />
+          </motion.section>
+
+          {/* Solveur inverse */}
+          <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.1 }}
+            className={`mt-5 rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
+            <ReverseSolver focal={f} lens={lens} cocBase={cocBase} crop={cropMode} unit={unit} range={targetRange} setRange={setTargetRange}
+              onApply={({ focal: nf, aperture: nN, focusM: ns }) => { if (nf !== undefined) setFocal(nf); setAperture(nN); setFocusM(clamp(ns, FOCUS_MIN_M, FOCUS_MAX_M)); }}
+              i18n={i18n} isDark={dark} />
+          </motion.section>
+
+          {/* Flou d'arrière-plan */}
+          <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.1 }}
+            className={`mt-5 rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
+            <BokehCalculator focal={f} N={Number(aperture) || 1.0} focusM={focusM} lens={lens} views={bokehViews} mode={mode} unit={unit} i18n={i18n} isDark={dark} />
+          </motion.section>
+
+          {/* Exposition */}
+          <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.1 }}
+            className={`mt-5 rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
+            <ExposureCompanion N={Number(aperture) || 1.0} tLoss={tLoss} stopType={stopType} fps={fps} baseIsos={(body && body.baseIsos) || DEFAULT_BASE_ISOS} i18n={i18n} isDark={dark} />
+          </motion.section>
+
+          {/* Vérification d'une prise (métadonnées) */}
+          <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.1 }}
+            className={`mt-5 rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
+            <ShotCheck shot={shot} result={shotResult} note={shotNote} onFile={importShot} unit={unit} i18n={i18n} isDark={dark} />
+          </motion.section>
+
+          {/* Cadrage */}
+          <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.1 }}
+            className={`mt-5 rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
+            <FramingCalculator focal={f} sensorW={sensorW} sensorH={sensorH} formatCrop={crops.format} activeCrop={activeCrop} deliveryAspect={deliveryAspect} mode={mode} focusM={focusM} unit={unit} i18n={i18n} isDark={dark} />
+          </motion.section>
+
+          {/* Planificateur de points */}
+          <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.1 }}
+            className={`mt-5 rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
+            <FocusPlanner focal={f} aperture={Number(aperture) || 1.0} cocBase={cocBase} crop={cropMode} lens={lens} focusM={focusM} unit={unit}
+              onFocus={(m) => setFocusM(clamp(m, FOCUS_MIN_M, FOCUS_MAX_M))}
+              title={`${bodyLabel} + ${lensLabel} · ${num(f, 1)} mm f/${num(aperture, 1)} · ${formatLabel}${mode === "active" ? ` · ${t("mode.active")}` : ""}`} i18n={i18n} isDark={dark} />
+          </motion.section>
+
+          {/* Aide-mémoire imprimable */}
+          <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.1 }}
+            className={`mt-5 rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
+            <CheatSheet lens={lens} cocBase={cocBase} activeCrop={activeCrop} formatCrop={crops.format} unit={unit} title={`${bodyLabel} + ${lensLabel} · ${recordingLabel({ resolution, fps, sq, crops: { ...crops, stab: 1 } }, i18n)}`} i18n={i18n} isDark={dark} />
+          </motion.section>
+
+          {/* Réglages avancés */}
+          <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.12 }}
+            className={`mt-5 rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
+            <details>
+              <summary className="cursor-pointer select-none text-sm font-semibold">{t("advanced.title")}</summary>
+              <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-2">
+                <AdvField label={t("advanced.coc")}>
+                  <Segmented
+                    options={[{ id: "manual", label: t("advanced.cocManual") }, { id: "auto", label: t("advanced.cocAuto") }]}
+                    value={cocSource}
+                    onChange={setCocSource}
+                    ariaLabel={t("advanced.cocSource")}
+                    isDark={dark}
+                  />
+                  {cocSource === "manual"
+                    ? <NumberBox value={cocManual} setValue={setCocManual} min={0.005} max={0.05} step={0.001} isDark={dark} />
+                    : <span className="text-sm font-semibold">{num(cocAssist.coc_mm, 4)} mm</span>}
+                  <p className={`mt-1 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>{t("advanced.cocHint", { apsc: num(0.019, 3), ff: num(0.029, 3) })}</p>
+                </AdvField>
+                {cocSource === "auto" && (
+                  <div className="md:col-span-2">
+                    <CocAssistant view={cocView} setView={setCocView} result={cocAssist} unit={unit} i18n={i18n} isDark={dark} />
+                  </div>
+                )}
+                <AdvField label={t("advanced.activeCrop")}>
+                  <NumberBox value={activeCrop} setValue={setActiveCrop} min={1} max={1.5} step={0.01} isDark={dark} />
+                  <p className={`mt-1 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>{t("advanced.activeCropHint", { crop: num(1.1, 2) })}</p>
+                </AdvField>
+                <AdvField label={t("advanced.sensorW")}><NumberBox value={sensorW} setValue={setSensorW} min={10} max={40} step={0.1} isDark={dark} /></AdvField>
+                <AdvField label={t("advanced.sensorH")}><NumberBox value={sensorH} setValue={setSensorH} min={7} max={30} step={0.1} isDark={dark} /></AdvField>
+                <AdvField label={t("advanced.inchFraction")}>
+                  <Segmented
+                    options={INCH_FRACTIONS.map((d) => ({ id: d, label: d === 1 ? '1"' : `1/${d}"` }))}
+                    value={inchFraction}
+                    onChange={setInchFraction}
+                    ariaLabel={t("advanced.inchFraction")}
+                    isDark={dark}
+                  />
+                  <p className={`mt-1 w-full text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>{t("advanced.inchFractionHint", { example: formatFeetInches(1.9304 + 0.0254 * 0.3, inchFraction) })}</p>
+                </AdvField>
+                <AdvField label={t("advanced.saveBody")}>
+                  <TextBox value={newBodyName} setValue={setNewBodyName} placeholder={t("advanced.saveBodyPlaceholder")} isDark={dark} />
+                  <Chip onClick={saveCustomBody} isDark={dark}>{t("common.save")}</Chip>
+                  <p className={`mt-1 w-full text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>{t("advanced.saveBodyHint")}</p>
+                </AdvField>
+                {customBodies.length > 0 && (
+                  <AdvField label={t("advanced.customBodies")}>
+                    {customBodies.map((b) => (
+                      <Chip key={b.id} onClick={() => deleteCustomBody(b.id)} isDark={dark}>✕ {b.name}</Chip>
+                    ))}
+                  </AdvField>
+                )}
+              </div>
+            </details>
+          </motion.section>
+
+          {/* Tests (vérification de calcul) */}
+          <TestPanel i18n={i18n} isDark={dark} />
+
+          <footer className={`mt-6 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>
+            <p>{t("app.footer")}</p>
+          </footer>
+
+          {/* Mise à jour disponible */}
+          {applyUpdate && (
+            <div role="status" className={`fixed inset-x-4 bottom-4 z-40 mx-auto flex max-w-md flex-wrap items-center gap-3 rounded-2xl border p-3 text-sm shadow-xl ${dark ? "border-white/10 bg-slate-900 text-slate-100" : "border-white/20 bg-white text-slate-900"}`}>
+              <span className="flex-1">{t("update.available")}</span>
+              <button onClick={() => applyUpdate()} className="rounded-xl border border-white/20 bg-gradient-to-br from-cyan-500 to-indigo-500 px-3 py-1.5 text-sm font-medium text-white shadow hover:opacity-90">{t("update.reload")}</button>
+              <button onClick={() => setApplyUpdate(null)} className={`rounded-lg border px-3 py-1.5 text-sm ${dark ? "border-white/20" : "border-slate-200"}`}>{t("update.later")}</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ===================== Proche mise au point ===================== */
+// Rapport de reproduction : 1:n sous le grandissement 1, n:1 au-delà
+function reproductionRatio(m, num) {
+  return m >= 1 ? `${num(m, 2)}:1` : `1:${num(1 / m, 1)}`;
+}
+
+function CloseFocusDetails({ result, simple, N, focal, pupilMag, setPupilMag, minFocusIssue, unit, i18n, isDark }) {
+  const { t, num, dist, distInf } = i18n;
+  const hint = isDark ? "text-slate-300" : "text-slate-600";
+  const tooClose = !isFinite(result.m);
+  const lossEv = 2 * Math.log2(result.Nw / N); // perte d'exposition due au tirage
+
+  return (
+    <div className="mt-3">
+      {tooClose
+        ? <WarnText text={t("closeFocus.tooClose", { distance: dist((4 * focal) / 1000, unit), focal: num(focal, 1) })} isDark={isDark} />
+        : (
+          <div className="grid grid-cols-2 gap-3 text-sm md:grid-cols-3">
+            <Stat label={t("closeFocus.magnification")} value={`×${num(result.m, result.m < 0.01 ? 4 : 3)}`} isDark={isDark} />
+            <Stat label={t("closeFocus.ratio")} value={reproductionRatio(result.m, num)} isDark={isDark} />
+            <Stat label={t("closeFocus.effective", { loss: num(lossEv, 1) })} value={`f/${num(result.Nw, 1)}`} isDark={isDark} />
+          </div>
+        )}
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <span className={`text-xs ${hint}`}>{t("closeFocus.pupil")}</span>
+        <NumberBox value={pupilMag} setValue={(v) => setPupilMag(clamp(Number(v) || 1, 0.2, 5))} min={0.2} max={5} step={0.05} prefix="P" isDark={isDark} />
+        <span className={`text-xs ${hint}`}>{t("closeFocus.pupilHint")}</span>
+      </div>
+      <p className={`mt-2 text-xs ${hint}`}>
+        {t("closeFocus.simpleCompare", { near: dist(simple.near, unit), far: distInf(simple.far, unit), total: distInf(simple.far - simple.near, unit), H: dist(simple.H_m, unit) })}
+      </p>
+      <WarnText text={minFocusIssue} isDark={isDark} />
+    </div>
+  );
+}
+
+/* ===================== Solveur inverse ===================== */
+// Zone nette demandée → MAP + ouverture minimale ; sinon focale la plus longue ou meilleur compromis
+function solveForLens({ focal, lens, cocBase, crop, near_m, far_m }) {
+  const fIn = clamp(focal, lens.minFocal, lens.maxFocal);
+  const maxN = lensMaxApertureAt(lens, fIn);
+  const r = solveFocusForRange({ focal_mm: fIn, coc_base_mm: cocBase, crop, near_m, far_m });
+  if (!r.ok) return { status: "invalid" };
+  const N = Math.max(Math.ceil(r.N * 10) / 10, maxN); // plus ouvert que l'objectif ne sert à rien
+  if (N <= lens.minAperture) return { status: "ok", focal: fIn, N, requiredN: r.N, s_m: r.s_m, diffraction: diffractionAnalysis({ N, coc_mm: cocBase / crop }) };
+
+  // Impossible à cette focale : focale plus courte qui tient à f/min, sinon compromis à f/min
+  const longest = longestFocalForRange({ minFocal: lens.minFocal, maxFocal: fIn, N_max: lens.minAperture, coc_base_mm: cocBase, crop, near_m, far_m });
+  if (isFinite(longest) && longest < fIn) {
+    const fl = Math.floor(longest * 10) / 10;
+    const rl = solveFocusForRange({ focal_mm: fl, coc_base_mm: cocBase, crop, near_m, far_m });
+    const Nl = Math.max(Math.ceil(rl.N * 10) / 10, lensMaxApertureAt(lens, fl));
+    return { status: "shorter", focal: fl, N: Nl, requiredN: r.N, s_m: rl.s_m };
+  }
+  const Nc = lens.minAperture;
+  const H_m = computeHyperfocalMeters({ focal_mm: fIn, N: Nc, coc_base_mm: cocBase, crop });
+  const f_m = fIn / 1000;
+  const s_m = isFinite(far_m) ? (far_m * (H_m + f_m)) / (H_m + far_m) : H_m; // garde la limite lointaine
+  const { near } = computeNearFarMeters({ focal_mm: fIn, N: Nc, coc_base_mm: cocBase, crop, s_m });
+  return { status: "compromise", focal: fIn, N: Nc, requiredN: r.N, s_m, near_m: near };
+}
+
+// `range` : zone demandée { nearM, farM, toInfinity }, tenue par le composant principal (aussi utilisée par l'ouverture optimale)
+function ReverseSolver({ focal, lens, cocBase, crop, unit, range, setRange, onApply, i18n, isDark }) {
+  const { t, rich, num, dist, distInf } = i18n;
+  const { nearM, farM, toInfinity } = range;
+  const setNearM = (v) => setRange((r) => ({ ...r, nearM: v }));
+  const setFarM = (v) => setRange((r) => ({ ...r, farM: v }));
+  const setToInfinity = (v) => setRange((r) => ({ ...r, toInfinity: v }));
+  const far = toInfinity ? Infinity : farM;
+  const res = useMemo(() => solveForLens({ focal, lens, cocBase, crop, near_m: nearM, far_m: far }), [focal, lens, cocBase, crop, nearM, far]);
+  const hint = isDark ? "text-slate-300" : "text-slate-600";
+
+  return (
+    <details>
+      <summary className="cursor-pointer select-none text-sm font-semibold">{t("solver.title")}</summary>
+      <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-3">
+        <AdvField label={t("solver.near")}>
+          <DistanceBox meters={nearM} setMeters={setNearM} min={0.05} max={1000} unit={unit} ariaLabel={t("solver.near")} i18n={i18n} isDark={isDark} />
+        </AdvField>
+        <AdvField label={t("solver.far")}>
+          {toInfinity ? <span className="text-sm font-semibold">∞</span> : <DistanceBox meters={farM} setMeters={setFarM} min={0.05} max={1000} unit={unit} ariaLabel={t("solver.far")} i18n={i18n} isDark={isDark} />}
+          <label className={`flex items-center gap-2 text-xs ${hint}`}>
+            <input type="checkbox" checked={toInfinity} onChange={(e) => setToInfinity(e.target.checked)} />
+            {t("solver.toInfinity")}
+          </label>
+        </AdvField>
+        <div className={`text-xs ${hint}`}>{t("solver.context", { focal: num(focal, 1), coc: num((cocBase / crop) * 1000, 1), crop: num(crop, 2), lens: lensName(lens, t) })}</div>
+      </div>
+
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        {res.status === "invalid" && <WarnText text={t("solver.invalid")} isDark={isDark} />}
+        {res.status === "ok" && (
+          <div className="flex flex-wrap items-center gap-3">
+            <span>{rich("solver.ok", { focus: <b>{dist(res.s_m, unit)}</b>, N: <b>f/{num(res.N, 1)}</b> })}{res.N > res.requiredN + 0.05 ? t("solver.lensLimited", { N: num(res.requiredN, 1) }) : ""}</span>
+            <Chip onClick={() => onApply({ aperture: res.N, focusM: res.s_m })} isDark={isDark}>{t("common.apply")}</Chip>
+          </div>
+        )}
+        {res.status === "ok" && res.diffraction.exceedsCoc && <WarnText text={t("solver.diffraction", { N: num(res.N, 1) })} isDark={isDark} />}
+        {res.status === "shorter" && (
+          <>
+            <WarnText text={t("solver.impossibleAtFocal", { focal: num(focal, 1), N: num(res.requiredN, 1), minN: num(lens.minAperture, 1) })} isDark={isDark} />
+            <div className="mt-2 flex flex-wrap items-center gap-3">
+              <span>{rich("solver.shorter", { focal: <b>{num(res.focal, 1)} mm</b>, N: num(res.N, 1), focus: dist(res.s_m, unit) })}</span>
+              <Chip onClick={() => onApply({ focal: res.focal, aperture: res.N, focusM: res.s_m })} isDark={isDark}>{t("common.apply")}</Chip>
+            </div>
+          </>
+        )}
+        {res.status === "compromise" && (
+          <>
+            <WarnText text={t("solver.impossibleWithLens", { lens: lensName(lens, t), N: num(res.requiredN, 1), focal: num(focal, 1) })} isDark={isDark} />
+            <div className="mt-2 flex flex-wrap items-center gap-3">
+              <span>{t("solver.compromise", { N: num(res.N, 1), focus: dist(res.s_m, unit), near: dist(res.near_m, unit), far: distInf(far, unit) })}</span>
+              <Chip onClick={() => onApply({ aperture: res.N, focusM: res.s_m })} isDark={isDark}>{t("common.apply")}</Chip>
+            </div>
+          </>
+        )}
+      </div>
+    </details>
+  );
+}
+
+/* ===================== Flou d'arrière-plan ===================== */
+const DEFAULT_BACKGROUND_M = 10;
+
+// Disque de flou rapporté à la largeur livrée (`usedW_mm`) et au CoC du mode (`coc_mm`), MAP sur le sujet
+function bokehAt({ focal_mm, N, s_m, d_m, usedW_mm, coc_mm }) {
+  const disc_mm = blurDiscDiameterMm({ focal_mm, N, s_m, d_m });
+  return { disc_mm, framePct: (disc_mm / usedW_mm) * 100, cocs: disc_mm / coc_mm };
+}
+
+// Même cadrage : le sujet occupe la même part de la largeur livrée (grandissement / largeur constant) ;
+// la caméra recule ou avance, l'arrière-plan reste à la même distance derrière le sujet
+function bokehComparison({ focals, N, s_m, d_m, ref, views }) {
+  const share = magnificationAt({ focal_mm: ref.focal_mm, s_m }) / ref.usedW_mm;
+  const behind = d_m - s_m; // Infinity si l'arrière-plan est à l'infini
+  return focals.map((focal_mm) => ({
+    focal_mm,
+    cells: views.map((v) => {
+      const s = distanceForMagnification({ focal_mm, magnification: share * v.usedW_mm });
+      return { id: v.id, s_m: s, ...bokehAt({ focal_mm, N, s_m: s, d_m: s + behind, usedW_mm: v.usedW_mm, coc_mm: v.coc_mm }) };
+    }),
+  }));
+}
+
+function BokehCalculator({ focal, N, focusM, lens, views, mode, unit, i18n, isDark }) {
+  const { t, num, dist } = i18n;
+  const [subjectM, setSubjectM] = useState(focusM);
+  const [backgroundM, setBackgroundM] = useState(DEFAULT_BACKGROUND_M);
+  const [toInfinity, setToInfinity] = useState(false);
+  const d_m = toInfinity ? Infinity : backgroundM;
+  const behind = d_m > subjectM;
+  const current = views.find((v) => v.id === mode) || views[0];
+  const res = useMemo(() => bokehAt({ focal_mm: focal, N, s_m: subjectM, d_m, usedW_mm: current.usedW_mm, coc_mm: current.coc_mm }), [focal, N, subjectM, d_m, current]);
+  const focals = useMemo(() => [...new Set([...cheatSheetFocals(lens), focal])].sort((a, b) => a - b), [lens, focal]);
+  const rows = useMemo(() => (behind ? bokehComparison({ focals, N, s_m: subjectM, d_m, ref: { focal_mm: focal, usedW_mm: current.usedW_mm }, views }) : []),
+    [behind, focals, N, subjectM, d_m, focal, current, views]);
+  const hint = isDark ? "text-slate-300" : "text-slate-600";
+  const pct = (v) => `${num(v, v < 1 ? 2 : 1)} %`;
+
+  return (
+    <details>
+      <summary className="cursor-pointer select-none text-sm font-semibold">{t("bokeh.title")}</summary>
+      <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-3">
+        <AdvField label={t("bokeh.subject")}>
+          <DistanceBox meters={subjectM} setMeters={setSubjectM} min={0.05} max={1000} unit={unit} ariaLabel={t("bokeh.subject")} i18n={i18n} isDark={isDark} />
+          <Chip onClick={() => setSubjectM(focusM)} isDark={isDark}>{t("bokeh.useFocus")}</Chip>
+        </AdvField>
+        <AdvField label={t("bokeh.background")}>
+          {toInfinity ? <span className="text-sm font-semibold">∞</span> : <DistanceBox meters={backgroundM} setMeters={setBackgroundM} min={0.05} max={1000} unit={unit} ariaLabel={t("bokeh.background")} i18n={i18n} isDark={isDark} />}
+          <label className={`flex items-center gap-2 text-xs ${hint}`}>
+            <input type="checkbox" checked={toInfinity} onChange={(e) => setToInfinity(e.target.checked)} />
+            {t("bokeh.infinity")}
+          </label>
+        </AdvField>
+        <div className={`text-xs ${hint}`}>{t("bokeh.context", { focal: num(focal, 1), N: num(N, 1), mode: t(`mode.${current.id}`), width: num(current.usedW_mm, 1), coc: num(current.coc_mm * 1000, 1) })}</div>
+      </div>
+
+      {!behind ? <WarnText text={t("bokeh.notBehind")} isDark={isDark} /> : (
+        <>
+          <div className="mt-3 grid grid-cols-2 gap-3 text-sm md:grid-cols-3">
+            <Stat label={t("bokeh.disc")} value={isFinite(res.disc_mm) ? `${num(res.disc_mm * 1000, 0)} µm` : "—"} isDark={isDark} />
+            <Stat label={t("bokeh.framePct")} value={isFinite(res.framePct) ? pct(res.framePct) : "—"} isDark={isDark} />
+            <Stat label={t("bokeh.cocs")} value={isFinite(res.cocs) ? `×${num(res.cocs, 1)}` : "—"} isDark={isDark} />
+          </div>
+          {res.cocs < 1 && <WarnText text={t("bokeh.looksSharp")} isDark={isDark} />}
+
+          <div className={`mt-3 overflow-x-auto rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+            <div className="mb-2 text-sm font-medium">{t("bokeh.sameFraming")}</div>
+            <table className="w-full text-center">
+              <thead>
+                <tr className={`text-xs ${hint}`}>
+                  <th className="px-2 py-1 text-left">{t("cheat.focal")}</th>
+                  {views.map((v) => <th key={v.id} className="px-2 py-1">{t(`mode.${v.id}`)} ×{num(v.crop, 2)}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.focal_mm} className={`border-t ${isDark ? "border-white/20" : "border-slate-200"}`}>
+                    <th className="px-2 py-1 text-left font-medium">{num(row.focal_mm, 1)} mm</th>
+                    {row.cells.map((c) => {
+                      const isCurrent = row.focal_mm === focal && c.id === current.id;
+                      return (
+                        <td key={c.id} className={`px-2 py-1 ${isCurrent ? `rounded-lg ${isDark ? "bg-cyan-400/15" : "bg-cyan-100"}` : ""}`}>
+                          <div className="font-semibold">{pct(c.framePct)}</div>
+                          <div className={`text-xs ${hint}`}>{t("bokeh.cell", { distance: dist(c.s_m, unit), disc: num(c.disc_mm * 1000, 0) })}</div>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className={`mt-2 text-xs ${hint}`}>{t("bokeh.sameFramingHint")}</p>
+          </div>
+        </>
+      )}
+    </details>
+  );
+}
+
+/* ===================== Exposition ===================== */
+const DEFAULT_EXPOSURE = { refN: 2.8, shutterMode: "angle", angle: 180, speed: 50, iso: 800, nd: 0, vndMin: 2, vndMax: 8 };
+const SHUTTER_TOLERANCE_STOPS = 1 / 3; // écart toléré à la règle des 180° avant avertissement
+
+function sanitizeExposure(saved) {
+  const out = { ...DEFAULT_EXPOSURE };
+  if (!saved || typeof saved !== "object") return out;
+  const take = (k, min, max) => { const v = Number(saved[k]); if (isFinite(v)) out[k] = clamp(v, min, max); };
+  take("refN", 0.7, 64); take("angle", 1, 360); take("speed", 1, 16000); take("iso", 50, 409600);
+  take("nd", 0, 20); take("vndMin", 0, 20); take("vndMax", 0, 20);
+  if (out.vndMin > out.vndMax) [out.vndMin, out.vndMax] = [out.vndMax, out.vndMin]; // plage VND inversée
+  if (saved.shutterMode === "speed") out.shutterMode = "speed";
+  return out;
+}
+
+// Exposition constante en changeant d'ouverture : ND à visser (par ISO de base) ou ISO à monter ; T pour la lumière
+function exposurePlan({ refN, N, tLoss, fps, shutterMode, angle, speed, iso, nd, vndMin, vndMax, baseIsos }) {
+  const shutter_s = shutterMode === "angle" ? shutterSecondsFromAngle(angle, fps) : 1 / speed;
+  const ref = { T: tStopFromFNumber(refN, tLoss), shutter_s, iso, nd_stops: nd };
+  const T = tStopFromFNumber(N, tLoss);
+  const ndStatus = (stops) => (stops < -0.05 ? "dark" : stops > vndMax + 0.05 ? "over" : stops > 0.05 && stops < vndMin - 0.05 ? "under" : "ok");
+  const isos = [iso, ...baseIsos.filter((b) => b !== iso)];
+  const rows = isos.map((i) => { const stops = ndForExposure({ ref, T, shutter_s, iso: i }); return { iso: i, nd: stops, status: ndStatus(stops), ...ndFilterStrength(stops) }; });
+  const rule_s = shutterSecondsFromAngle(180, fps);
+  return {
+    T, refT: ref.T, shutter_s, rows,
+    lostStops: 2 * Math.log2(T / ref.T),
+    isoKeepingNd: isoForExposure({ ref, T, shutter_s, nd_stops: nd }),
+    angle: shutterAngleFromSeconds(shutter_s, fps),
+    rule_s, ruleOffset: Math.log2(shutter_s / rule_s),
+    tooLong: shutter_s > 1 / fps + 1e-9,
+  };
+}
+
+function ExposureCompanion({ N, tLoss, stopType, fps, baseIsos, i18n, isDark }) {
+  const { t, rich, num } = i18n;
+  const [exp, setExp] = useState(() => sanitizeExposure(loadJSON(EXPOSURE_KEY, null)));
+  useEffect(() => { saveJSON(EXPOSURE_KEY, exp); }, [exp]);
+  const set = (patch) => setExp((e) => ({ ...e, ...patch }));
+  const plan = useMemo(() => exposurePlan({ ...exp, N, tLoss, fps, baseIsos }), [exp, N, tLoss, fps, baseIsos]);
+  const hint = isDark ? "text-slate-300" : "text-slate-600";
+  const prefix = stopType === "t" ? "T" : "f/";
+  const shown = (n) => Math.round((stopType === "t" ? tStopFromFNumber(n, tLoss) : n) * 100) / 100;
+  const fromShown = (v) => (stopType === "t" ? fNumberFromTStop(Number(v) || 1, tLoss) : Number(v) || 1);
+  const speedLabel = (s) => (s >= 1 ? `${num(s, 1)} s` : `1/${num(1 / s, 0)} s`);
+  const main = plan.rows[0];
+  const ndText = (row) => t("exposure.ndValue", { stops: num(row.nd, 1), factor: num(row.factor, 0), density: num(row.density, 1) });
+
+  return (
+    <details>
+      <summary className="cursor-pointer select-none text-sm font-semibold">{t("exposure.title")}</summary>
+      <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-3">
+        <AdvField label={t("exposure.refAperture")}>
+          <NumberBox value={shown(exp.refN)} setValue={(v) => set({ refN: clamp(fromShown(v), 0.7, 64) })} min={0.7} max={64} step={0.1} prefix={prefix} isDark={isDark} />
+          <Chip onClick={() => set({ refN: N })} isDark={isDark}>{t("exposure.useCurrent")}</Chip>
+        </AdvField>
+        <AdvField label={t("exposure.shutter")}>
+          <Segmented options={[{ id: "angle", label: t("exposure.angle") }, { id: "speed", label: t("exposure.speed") }]} value={exp.shutterMode} onChange={(m) => set({ shutterMode: m })} ariaLabel={t("exposure.shutter")} isDark={isDark} />
+          {exp.shutterMode === "angle"
+            ? <NumberBox value={exp.angle} setValue={(v) => set({ angle: clamp(Number(v) || 1, 1, 360) })} min={1} max={360} step={0.1} suffix="°" isDark={isDark} />
+            : <NumberBox value={exp.speed} setValue={(v) => set({ speed: clamp(Number(v) || 1, 1, 16000) })} min={1} max={16000} step={1} prefix="1/" suffix="s" isDark={isDark} />}
+          <span className={`w-full text-xs ${hint}`}>{t("exposure.shutterAt", { value: exp.shutterMode === "angle" ? speedLabel(plan.shutter_s) : `${num(plan.angle, 1)}°`, fps })}</span>
+        </AdvField>
+        <AdvField label={t("exposure.iso")}>
+          <NumberBox value={exp.iso} setValue={(v) => set({ iso: clamp(Number(v) || 50, 50, 409600) })} min={50} max={409600} step={1} isDark={isDark} />
+          {baseIsos.map((b) => <Chip key={b} onClick={() => set({ iso: b })} isDark={isDark}>{t("exposure.baseIso", { iso: b })}</Chip>)}
+        </AdvField>
+        <AdvField label={t("exposure.refNd")}>
+          <NumberBox value={exp.nd} setValue={(v) => set({ nd: clamp(Number(v) || 0, 0, 20) })} min={0} max={20} step={1 / 3} suffix={t("aperture.ev")} isDark={isDark} />
+        </AdvField>
+        <AdvField label={t("exposure.vndRange")}>
+          <NumberBox value={exp.vndMin} setValue={(v) => set({ vndMin: clamp(Number(v) || 0, 0, exp.vndMax) })} min={0} max={exp.vndMax} step={0.5} isDark={isDark} />
+          <span>–</span>
+          <NumberBox value={exp.vndMax} setValue={(v) => set({ vndMax: clamp(Number(v) || 0, exp.vndMin, 20) })} min={exp.vndMin} max={20} step={0.5} suffix={t("aperture.ev")} isDark={isDark} />
+        </AdvField>
+        <div className={`text-xs ${hint}`}>{t("exposure.context", { fps, loss: num(tLoss, 2) })}</div>
+      </div>
+
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div>{t(plan.lostStops >= 0 ? "exposure.lost" : "exposure.gained", { from: `${prefix}${num(shown(exp.refN), 1)}`, to: `${prefix}${num(shown(N), 1)}`, stops: num(Math.abs(plan.lostStops), 1) })}</div>
+        <ul className="mt-2 space-y-1">
+          {plan.rows.map((row) => (
+            <li key={row.iso}>
+              {rich("exposure.isoRow", { iso: <b>ISO {row.iso}</b>, value: row.status === "dark" ? t("exposure.noNd", { stops: num(-row.nd, 1) }) : ndText(row) })}
+              {row.status === "over" && <span className={isDark ? "text-amber-300" : "text-amber-700"}> · {t("exposure.overShort")}</span>}
+              {row.status === "under" && <span className={hint}> · {t("exposure.underShort")}</span>}
+            </li>
+          ))}
+          <li>{t("exposure.keepNd", { nd: num(exp.nd, 1), iso: num(plan.isoKeepingNd, 0) })}</li>
+        </ul>
+        <div className={`mt-2 text-xs ${hint}`}>{t("exposure.rule", { fps, speed: speedLabel(plan.rule_s) })}</div>
+        {main.status === "over" && <WarnText text={t("exposure.overVnd", { stops: num(main.nd, 1), min: num(exp.vndMin, 1), max: num(exp.vndMax, 1), extra: num(main.nd - exp.vndMax, 1) })} isDark={isDark} />}
+        {main.status === "dark" && <WarnText text={t("exposure.tooDark", { stops: num(-main.nd, 1) })} isDark={isDark} />}
+        {Math.abs(plan.ruleOffset) > SHUTTER_TOLERANCE_STOPS && <WarnText text={t("exposure.offRule", { angle: num(plan.angle, 0), stops: num(Math.abs(plan.ruleOffset), 1) })} isDark={isDark} />}
+        {plan.tooLong && <WarnText text={t("exposure.tooLong", { fps })} isDark={isDark} />}
+      </div>
+    </details>
+  );
+}
+
+/* ===================== Vérification d'une prise ===================== */
+// Ouverture géométrique relevée : N, sinon T ramené en N avec la perte de l'objectif courant
+function shotAperture(meta, tLoss) {
+  if (meta.N != null) return meta.N;
+  return meta.T != null ? fNumberFromTStop(meta.T, tLoss) : null;
+}
+
+// Zone nette de la prise : valeurs relevées, à défaut les réglages courants (`focusRecorded` faux → MAP supposée)
+function checkShot({ meta, focal_mm, N, s_m, tLoss, cocBase, crop }) {
+  const shotFocal = meta.focal_mm ?? focal_mm;
+  const shotN = shotAperture(meta, tLoss) ?? N;
+  const focus = meta.focus_m ?? s_m;
+  const H_m = computeHyperfocalMeters({ focal_mm: shotFocal, N: shotN, coc_base_mm: cocBase, crop });
+  const { near, far } = isFinite(focus) ? computeNearFarMeters({ focal_mm: shotFocal, N: shotN, coc_base_mm: cocBase, crop, s_m: focus }) : { near: H_m, far: Infinity };
+  return { focal_mm: shotFocal, N: shotN, s_m: focus, focusRecorded: meta.focus_m != null, H_m, near, far, toInfinity: far === Infinity };
+}
+
+function ShotCheck({ shot, result, note, onFile, unit, i18n, isDark }) {
+  const { t, num, dist, distInf } = i18n;
+  const fileRef = useRef(null);
+  const [subjectM, setSubjectM] = useState(null); // distance du sujet raté, facultative
+  const hint = isDark ? "text-slate-300" : "text-slate-600";
+  const btn = `rounded-lg border px-2 py-1 text-xs ${isDark ? "border-white/20 hover:bg-slate-700/40" : "border-slate-200 hover:bg-white/60"}`;
+  const meta = shot && shot.meta;
+  const subject = result && subjectM != null ? subjectStatus(subjectM, result.near, result.far, unit, i18n) : null;
+  const onChange = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // permet de relire le même fichier
+    if (file) onFile(file);
+  };
+  const recorded = meta ? [
+    meta.focal_mm != null && `${num(meta.focal_mm, 1)} mm`,
+    meta.N != null && `f/${num(meta.N, 1)}`,
+    meta.T != null && `T${num(meta.T, 1)}`,
+    meta.focus_m != null && t("shot.focusAt", { distance: distInf(meta.focus_m, unit) }),
+    meta.mode && t(`mode.${meta.mode}`),
+  ].filter(Boolean).join(" · ") : "";
+
+  return (
+    <details open={shot ? true : undefined}>
+      <summary className="cursor-pointer select-none text-sm font-semibold">{t("shot.title")}</summary>
+      <p className={`mt-2 text-xs ${hint}`}>{t("shot.hint")}</p>
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <button onClick={() => fileRef.current && fileRef.current.click()} className={btn}>{t("shot.choose")}</button>
+        <input ref={fileRef} type="file" accept=".xml,.jpg,.jpeg,.arw,.tif,.tiff,text/xml,image/jpeg,image/tiff" onChange={onChange} className="hidden" />
+      </div>
+      <WarnText text={note} isDark={isDark} />
+      {meta && result && (
+        <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+          <div className="font-medium">{shot.fileName}</div>
+          <div className={`text-xs ${hint}`}>{[t(`shot.source.${meta.source}`), meta.camera, meta.lens].filter(Boolean).join(" · ")}</div>
+          <div className="mt-2">{t("shot.recorded", { values: recorded })}</div>
+          <div className="mt-1">{t("shot.dof", { N: num(result.N, 1), near: dist(result.near, unit), far: distInf(result.far, unit), H: dist(result.H_m, unit) })}</div>
+          <div className="mt-1 font-medium">{result.toInfinity ? t("shot.toInfinity") : t("shot.notInfinity", { far: dist(result.far, unit), H: dist(result.H_m, unit) })}</div>
+          {!result.focusRecorded && <WarnText text={t("shot.focusMissing", { focus: dist(result.s_m, unit) })} isDark={isDark} />}
+          <div className="mt-3 flex flex-wrap items-center gap-2">
+            <span className={`text-xs ${hint}`}>{t("shot.subject")}</span>
+            {subjectM == null
+              ? <button onClick={() => setSubjectM(isFinite(result.s_m) ? result.s_m : result.H_m)} className={btn}>{t("shot.addSubject")}</button>
+              : <DistanceBox meters={subjectM} setMeters={setSubjectM} min={0.05} max={1000} unit={unit} ariaLabel={t("shot.subject")} i18n={i18n} isDark={isDark} />}
+            {subject && <span className={subject.sharp ? "" : isDark ? "text-amber-300" : "text-amber-700"}>{subject.sharp ? "✓" : "⚠︎"} {subject.text}</span>}
+          </div>
+          <p className={`mt-2 text-xs ${hint}`}>{t("shot.applied")}</p>
+        </div>
+      )}
+    </details>
+  );
+}
+
+/* ===================== Comparaison A/B ===================== */
+const COMPARE_KEY = "fx30.compareSlots";
+const COMPARE_SLOTS = [ // lettre et couleur de chaque emplacement (tableau et schéma)
+  { id: "A", color: "#e11d48" },
+  { id: "B", color: "#0284c7" },
+  { id: "C", color: "#9333ea" },
+  { id: "D", color: "#16a34a" },
+];
+
+function compareColor(id) { return (COMPARE_SLOTS.find((s) => s.id === id) || COMPARE_SLOTS[0]).color; }
+function freeCompareId(slots) { const used = new Set(slots.map((s) => s.id)); const s = COMPARE_SLOTS.find((x) => !used.has(x.id)); return s ? s.id : null; }
+
+// Emplacements épinglés (stockage local) : objectif, focale, ouverture, mode et MAP ; le boîtier et le format restent ceux du moment
+function sanitizeCompareSlots(list) {
+  if (!Array.isArray(list)) return null;
+  const out = [];
+  for (const s of list) {
+    if (out.length === COMPARE_SLOTS.length) break;
+    if (!s || !["standard", "active"].includes(s.mode)) continue;
+    const focal = Number(s.focal), aperture = Number(s.aperture), focusM = Number(s.focusM);
+    if (!isFinite(focal) || !isFinite(aperture) || !isFinite(focusM)) continue;
+    const id = COMPARE_SLOTS.some((x) => x.id === s.id) && !out.some((x) => x.id === s.id) ? s.id : freeCompareId(out);
+    const lensId = LENS_PROFILES.some((l) => l.id === s.lensId) ? s.lensId : "free";
+    out.push({ id, lensId, mode: s.mode, focal: clamp(focal, 5, 200), aperture: clamp(aperture, 1, 22), focusM: clamp(focusM, FOCUS_MIN_M, FOCUS_MAX_M) });
+  }
+  return out;
+}
+
+// Grandeurs d'un emplacement ; `crop` : recadrage total du format courant dans le mode de l'emplacement
+function compareSlot({ slot, cocBase, crop, sensorW, sensorH, deliveryAspect }) {
+  const coc = cocBase / crop;
+  const H_m = computeHyperfocalMeters({ focal_mm: slot.focal, N: slot.aperture, coc_base_mm: coc });
+  const fov = computeDeliveryFieldOfView({ focal_mm: slot.focal, sensorW_mm: sensorW, sensorH_mm: sensorH, crop, deliveryAspect });
+  return { H_m, nearAtH_m: H_m / 2, hFOV: fov.hFOV, vFOV: fov.vFOV, ffEq: fov.ffEq_mm, coc, crop };
+}
+
+// Cellules à mettre en évidence : valeur affichée différente de celle du premier emplacement
+function compareDiffers(values) {
+  return values.map((v) => v !== values[0]);
+}
+
+function CompareSlots({ rows, onPin, onRemove, onPromote, onClear, unit, i18n, isDark }) {
+  const { t, num, dist } = i18n;
+  const hint = isDark ? "text-slate-300" : "text-slate-600";
+  const btn = `rounded-lg border px-2 py-1 text-xs ${isDark ? "border-white/20 hover:bg-slate-700/40" : "border-slate-200 hover:bg-white/60"}`;
+  const full = rows.length === COMPARE_SLOTS.length;
+  const metrics = [
+    { id: "H", label: t("stats.H"), value: (r) => dist(r.H_m, unit) },
+    { id: "near", label: t("stats.nearAtH"), value: (r) => dist(r.nearAtH_m, unit) },
+    { id: "fov", label: "hFOV / vFOV", value: (r) => `${num(r.hFOV, 1)}° / ${num(r.vFOV, 1)}°` },
+    { id: "ffEq", label: t("stats.ffEq"), value: (r) => `${num(r.ffEq, 1)} mm` },
+    { id: "coc", label: t("stats.coc"), value: (r) => `${num(r.coc, 3)} mm` },
+  ];
+
+  return (
+    <details open={rows.length ? true : undefined}>
+      <summary className="cursor-pointer select-none text-sm font-semibold">{t("compare.title")}</summary>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <button onClick={onPin} disabled={full} className={`${btn} ${full ? "cursor-not-allowed opacity-40" : ""}`}>{t("compare.pin")}</button>
+        {rows.length > 0 && <button onClick={onClear} className={btn}>{t("compare.clear")}</button>}
+        <span className={`text-xs ${hint}`}>{full ? t("compare.full", { n: COMPARE_SLOTS.length }) : t("compare.hint")}</span>
+      </div>
+      {rows.length > 0 && (
+        <div className={`mt-3 overflow-x-auto rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+          <table className="w-full text-center">
+            <thead>
+              <tr className={`text-xs ${hint}`}>
+                <th className="px-2 py-1" />
+                {rows.map(({ slot, crop }) => (
+                  <th key={slot.id} className="px-2 py-1 align-top font-normal">
+                    <div className="flex items-center justify-center gap-1.5 text-sm font-semibold">
+                      <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ background: compareColor(slot.id) }} aria-hidden="true" />
+                      {slot.id}
+                    </div>
+                    <div>{num(slot.focal, 1)} mm f/{num(slot.aperture, 1)} · {t(`mode.${slot.mode}`)} ×{num(crop, 2)}</div>
+                    <div>{lensName(LENS_PROFILES.find((l) => l.id === slot.lensId), t)} · {t("compare.focusAt", { distance: dist(slot.focusM, unit) })}</div>
+                    <div className="mt-1 flex justify-center gap-1">
+                      <button onClick={() => onPromote(slot)} className={btn}>{t("compare.promote")}</button>
+                      <button onClick={() => onRemove(slot.id)} aria-label={t("compare.remove", { slot: slot.id })} className={btn}>✕</button>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.map((m) => {
+                const values = rows.map(m.value);
+                const differs = compareDiffers(values);
+                return (
+                  <tr key={m.id} className={`border-t ${isDark ? "border-white/20" : "border-slate-200"}`}>
+                    <th className={`px-2 py-1 text-left text-xs font-medium ${hint}`}>{m.label}</th>
+                    {values.map((v, i) => (
+                      <td key={rows[i].slot.id} className={`px-2 py-1 ${differs[i] ? `rounded-lg font-semibold ${isDark ? "bg-amber-400/15 text-amber-200" : "bg-amber-100 text-amber-900"}` : ""}`}>{v}</td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className={`mt-2 text-xs ${hint}`}>{t("compare.legend", { slot: rows[0].slot.id })}</p>
+        </div>
+      )}
+    </details>
+  );
+}
+
+/* ===================== Ratio de livraison ===================== */
+function DeliveryAspectField({ value, onChange, i18n, isDark }) {
+  const { t } = i18n;
+  const preset = value ? DELIVERY_ASPECTS.find((a) => Math.abs(a.value - value) < 1e-6) : null;
+  const [customOpen, setCustomOpen] = useState(!!value && !preset);
+  const [text, setText] = useState(value && !preset ? toFixedSmart(value, 3) : "");
+  const selected = customOpen ? "custom" : !value ? "sensor" : preset ? preset.id : "custom";
+  const invalid = customOpen && text.trim() !== "" && parseAspect(text) === null;
+
+  const onSelect = (id) => {
+    setCustomOpen(id === "custom");
+    if (id === "sensor") onChange(null);
+    else if (id !== "custom") onChange(DELIVERY_ASPECTS.find((a) => a.id === id).value);
+  };
+  const onText = (t) => {
+    setText(t);
+    const a = parseAspect(t);
+    if (a) onChange(a);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <div className="w-48">
+        <Select value={selected} onChange={onSelect} ariaLabel={t("delivery.label")} isDark={isDark}
+          options={[{ id: "sensor", label: t("delivery.sensorOption") }, ...DELIVERY_ASPECTS.map((a) => ({ id: a.id, label: a.label })), { id: "custom", label: t("delivery.customOption") }]} />
+      </div>
+      {customOpen && <div className="w-32"><TextBox value={text} setValue={onText} placeholder="2.76:1, 4:3…" isDark={isDark} /></div>}
+      {invalid && <WarnText text={t("delivery.invalid")} isDark={isDark} />}
+    </div>
+  );
+}
+
+// Capteur entier, image 16:9 en Standard et en Actif, zone livrée dans le mode courant (mm, centrés)
+function frameLineRects({ sensorW, sensorH, formatCrop, activeCrop, mode, deliveryAspect }) {
+  const rec = (crop, aspect) => {
+    const { usedW_mm, usedH_mm } = deliveryArea({ sensorW_mm: sensorW / crop, sensorH_mm: sensorH / crop, deliveryAspect: aspect });
+    return { w: usedW_mm, h: usedH_mm };
+  };
+  const current = formatCrop * (mode === "active" ? activeCrop : 1);
+  return {
+    sensor: { w: sensorW, h: sensorH },
+    standard: rec(formatCrop, VIDEO_ASPECT),
+    active: rec(formatCrop * activeCrop, VIDEO_ASPECT),
+    delivery: deliveryAspect ? rec(current, deliveryAspect) : null,
+  };
+}
+
+function FrameLines({ sensorW, sensorH, formatCrop, activeCrop, mode, deliveryAspect, i18n, isDark }) {
+  const { t, num } = i18n;
+  const r = frameLineRects({ sensorW, sensorH, formatCrop, activeCrop, mode, deliveryAspect });
+  const pad = sensorW * 0.03;
+  const font = sensorW * 0.032;
+  const box = (fr) => ({ x: (sensorW - fr.w) / 2, y: (sensorH - fr.h) / 2, width: fr.w, height: fr.h });
+  const label = (fr, text, color, dy = 0) => <text x={(sensorW - fr.w) / 2 + font * 0.4} y={(sensorH - fr.h) / 2 + font * 1.2 + dy} fontSize={font} fill={color}>{text}</text>;
+  const dims = (fr) => `${num(fr.w, 1)}×${num(fr.h, 1)} mm`;
+
+  return (
+    <div className={`rounded-2xl border p-3 shadow-inner ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+      <svg viewBox={`${-pad} ${-pad} ${sensorW + 2 * pad} ${sensorH + 2 * pad}`} className="mx-auto w-full max-w-md" role="img" aria-label={t("frameLines.aria")}>
+        <rect {...box(r.sensor)} fill="#94a3b8" fillOpacity="0.08" stroke="#94a3b8" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+        <rect {...box(r.standard)} fill="none" stroke="#6366f1" strokeWidth={mode === "standard" ? 2 : 1} vectorEffect="non-scaling-stroke" />
+        <rect {...box(r.active)} fill="none" stroke="#06b6d4" strokeWidth={mode === "active" ? 2 : 1} strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+        {r.delivery && <rect {...box(r.delivery)} fill="#f59e0b" fillOpacity="0.18" stroke="#f59e0b" strokeWidth="2" vectorEffect="non-scaling-stroke" />}
+        {label(r.sensor, t("frameLines.sensor"), "#64748b")}
+        {label(r.standard, `${t("mode.standard")} 16:9`, "#6366f1")}
+        {label(r.active, t("mode.active"), "#0891b2")}
+        {r.delivery && <text x={sensorW / 2} y={(sensorH + r.delivery.h) / 2 - font * 0.5} textAnchor="middle" fontSize={font} fill="#b45309">{aspectLabel(deliveryAspect)}</text>}
+      </svg>
+      <p className={`mt-2 text-xs ${isDark ? "text-slate-300" : "text-slate-600"}`}>
+        {t("frameLines.caption", { sensor: dims(r.sensor), standard: dims(r.standard), active: dims(r.active), delivered: r.delivery ? t("frameLines.delivered", { dims: dims(r.delivery) }) : "" })}
+      </p>
+    </div>
+  );
+}
+
+/* ===================== Cadrage ===================== */
+// Champ couvert, recul nécessaire et valeurs de plan, en Standard et en Actif (capteur effectif plus petit)
+function framingTable({ focal, sensorW, sensorH, formatCrop, activeCrop, deliveryAspect = null, distance_m, subject, personH }) {
+  return ["standard", "active"].map((m) => {
+    const crop = formatCrop * (m === "active" ? activeCrop : 1);
+    const { usedW_mm: effW, usedH_mm: effH } = computeDeliveryFieldOfView({ focal_mm: focal, sensorW_mm: sensorW, sensorH_mm: sensorH, crop, deliveryAspect });
+    return {
+      mode: m,
+      frame: frameSizeAtDistance({ focal_mm: focal, effW, effH, distance_m }),
+      fit: distanceToFit({ focal_mm: focal, effW, effH, subjectW_m: subject.w, subjectH_m: subject.h }),
+      shots: SHOT_SIZES.map((sz) => ({ ...sz, distance_m: distanceToFit({ focal_mm: focal, effW, effH, subjectH_m: sz.part * personH }).distance_m })),
+    };
+  });
+}
+
+function FramingCalculator({ focal, sensorW, sensorH, formatCrop, activeCrop, deliveryAspect, mode, focusM, unit, i18n, isDark }) {
+  const { t, num, dist } = i18n;
+  const [distM, setDistM] = useState(focusM);
+  const [subjectId, setSubjectId] = useState("person");
+  const [custom, setCustom] = useState({ w: 2, h: 2 });
+  const [personH, setPersonH] = useState(DEFAULT_PERSON_HEIGHT_M);
+  const preset = FRAMING_SUBJECTS.find((x) => x.id === subjectId) || FRAMING_SUBJECTS[0];
+  const subject = subjectId === "custom" ? custom : preset;
+  const cols = useMemo(() => framingTable({ focal, sensorW, sensorH, formatCrop, activeCrop, deliveryAspect, distance_m: distM, subject, personH }),
+    [focal, sensorW, sensorH, formatCrop, activeCrop, deliveryAspect, distM, subject, personH]);
+  const hint = isDark ? "text-slate-300" : "text-slate-600";
+  const cell = (m) => `px-2 py-1 ${m === mode ? "font-semibold" : "opacity-70"}`;
+  const row = `border-t ${isDark ? "border-white/20" : "border-slate-200"}`;
+  const fmtFrame = (fr) => `${dist(fr.width_m, unit)} × ${dist(fr.height_m, unit)}`;
+
+  return (
+    <details>
+      <summary className="cursor-pointer select-none text-sm font-semibold">{t("framing.title")}</summary>
+      <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-3">
+        <AdvField label={t("framing.distance")}>
+          <DistanceBox meters={distM} setMeters={setDistM} min={0.05} max={1000} unit={unit} ariaLabel={t("framing.distance")} i18n={i18n} isDark={isDark} />
+          <Chip onClick={() => setDistM(focusM)} isDark={isDark}>{t("framing.atFocus")}</Chip>
+        </AdvField>
+        <AdvField label={t("framing.subjectLabel")}>
+          <Select value={subjectId} onChange={setSubjectId} ariaLabel={t("framing.subjectAria")} isDark={isDark}
+            options={FRAMING_SUBJECTS.map((x) => ({ id: x.id, label: x.id === "custom" ? t("framing.subject.custom") : `${t(`framing.subject.${x.id}`)} — ${num(x.w, 2)} × ${num(x.h, 2)} m` }))} />
+          {subjectId === "custom" && (
+            <>
+              <DistanceBox meters={custom.w} setMeters={(w) => setCustom((c) => ({ ...c, w }))} min={0.05} max={1000} unit={unit} prefix="l" ariaLabel={t("framing.width")} i18n={i18n} isDark={isDark} />
+              <DistanceBox meters={custom.h} setMeters={(h) => setCustom((c) => ({ ...c, h }))} min={0.05} max={1000} unit={unit} prefix="h" ariaLabel={t("framing.height")} i18n={i18n} isDark={isDark} />
+            </>
+          )}
+        </AdvField>
+        <AdvField label={t("framing.personHeight")}>
+          <DistanceBox meters={personH} setMeters={setPersonH} min={0.3} max={3} unit={unit} ariaLabel={t("framing.personHeight")} i18n={i18n} isDark={isDark} />
+        </AdvField>
+      </div>
+
+      <div className={`mt-3 overflow-x-auto rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <table className="w-full text-left">
+          <thead>
+            <tr className={`text-xs ${hint}`}>
+              <th className="px-2 py-1">{num(focal, 1)} mm{formatCrop !== 1 ? t("framing.formatCrop", { crop: num(formatCrop, 2) }) : ""}{deliveryAspect ? ` · ${aspectLabel(deliveryAspect)}` : ""}</th>
+              <th className="px-2 py-1">{t("mode.standard")}</th>
+              <th className="px-2 py-1">{t("mode.active")} (×{num(activeCrop, 2)})</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className={row}>
+              <th className="px-2 py-1 font-medium">{t("framing.fieldAt", { distance: dist(distM, unit) })}</th>
+              {cols.map((c) => <td key={c.mode} className={cell(c.mode)}>{fmtFrame(c.frame)}</td>)}
+            </tr>
+            <tr className={row}>
+              <th className="px-2 py-1 font-medium">{t("framing.backoff", { subject: subjectId === "custom" ? t("framing.theSubject") : t(`framing.subject.${preset.id}`).toLowerCase() })}</th>
+              {cols.map((c) => <td key={c.mode} className={cell(c.mode)}>{dist(c.fit.distance_m, unit)} <span className={`text-xs ${hint}`}>({t(c.fit.limitedBy === "width" ? "framing.width" : "framing.height")})</span></td>)}
+            </tr>
+            {SHOT_SIZES.map((sz, i) => (
+              <tr key={sz.id} className={row}>
+                <th className="px-2 py-1 font-medium">{t(`framing.shot.${sz.id}`)}</th>
+                {cols.map((c) => <td key={c.mode} className={cell(c.mode)}>{dist(c.shots[i].distance_m, unit)}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className={`mt-2 text-xs ${hint}`}>{t("framing.hint", { height: dist(personH, unit) })}</p>
+    </details>
+  );
+}
+
+/* ===================== Planificateur de points ===================== */
+// Noms générés, traduits à l'affichage tant que l'utilisateur n'en a pas saisi : nameKey → clé de catalogue ({n} = numéro)
+const MARK_NAME_KEYS = { a: "planner.defaultMarks.a", b: "planner.defaultMarks.b", mark: "planner.defaultName", focus: "planner.focusName" };
+const DEFAULT_FOCUS_MARKS = [
+  { id: "mark-a", nameKey: "a", distance_m: 1.8 },
+  { id: "mark-b", nameKey: "b", distance_m: 4.2 },
+];
+
+// Repères valides (stockage local), triés par distance ; nom vide → « Repère n » à l'affichage
+function sanitizeFocusMarks(list) {
+  if (!Array.isArray(list)) return null;
+  return list
+    .filter((m) => m && (typeof m.name === "string" || MARK_NAME_KEYS[m.nameKey]) && isFinite(Number(m.distance_m)) && Number(m.distance_m) > 0)
+    .map((m, i) => ({
+      id: typeof m.id === "string" && m.id ? m.id : `mark-${i}`,
+      ...(MARK_NAME_KEYS[m.nameKey]
+        ? { nameKey: m.nameKey, ...(Number.isInteger(m.n) && m.n > 0 ? { n: m.n } : {}) }
+        : { name: m.name.trim().slice(0, 40) }),
+      distance_m: Number(m.distance_m),
+    }))
+    .sort((a, b) => a.distance_m - b.distance_m);
+}
+
+// Nouveau repère : nom saisi, sinon nom généré (nameKey « mark » ou « focus ») numéroté à la suite
+function newFocusMark(list, distance_m, { name = "", nameKey = "mark" } = {}) {
+  const label = name.trim();
+  return { id: `mark-${Date.now()}`, ...(label ? { name: label } : { nameKey, n: list.length + 1 }), distance_m };
+}
+
+function markName(m, index, t) {
+  if (MARK_NAME_KEYS[m.nameKey]) return t(MARK_NAME_KEYS[m.nameKey], { n: m.n ?? index + 1 });
+  return m.name || t("planner.defaultName", { n: index + 1 });
+}
+
+// PdC de chaque repère ; vers le suivant : chevauchement (> 0) ou trou (< 0), ouverture et MAP pour tenir les deux
+function planFocusMarks({ marks, focal_mm, N, coc_base_mm, crop }) {
+  const rows = marks.map((m) => ({ ...m, ...computeNearFarMeters({ focal_mm, N, coc_base_mm, crop, s_m: m.distance_m }) }));
+  return rows.map((r, i) => {
+    const b = rows[i + 1];
+    if (!b) return { ...r, next: null };
+    const both = b.distance_m > r.distance_m ? solveFocusForRange({ focal_mm, coc_base_mm, crop, near_m: r.distance_m, far_m: b.distance_m }) : { ok: false };
+    return { ...r, next: { overlap_m: Math.min(r.far, b.far) - b.near, N: both.ok ? both.N : NaN, s_m: both.ok ? both.s_m : r.distance_m } };
+  });
+}
+
+function formatMark(meters, unit, { lang, ftIn }) {
+  return unit === "ftin" ? ftIn(meters) : formatDistanceOrInf(meters, "m", lang);
+}
+function markTransition(next, unit, i18n) {
+  if (!next) return "—";
+  return next.overlap_m >= 0
+    ? i18n.t("planner.overlap", { distance: formatMark(next.overlap_m, unit, i18n) })
+    : i18n.t("planner.gap", { distance: formatMark(-next.overlap_m, unit, i18n) });
+}
+
+// En-têtes et nombres indépendants de la langue (tableurs) ; seule la colonne « vers_suivant » est traduite
+function focusMarksCSV(rows, unit, i18n) {
+  const u = unit === "ftin" ? "ft-in" : "m";
+  const cell = (m) => (unit === "ftin" ? `"${i18n.ftIn(m).replace(/"/g, '""')}"` : isFinite(m) ? toFixedSmart(m, 2) : "inf");
+  const lines = [["repere", `distance_${u}`, `proche_${u}`, `loin_${u}`, "vers_suivant", "ouverture_deux_sujets", `map_deux_sujets_${u}`].join(",")];
+  for (const r of rows) {
+    lines.push([`"${r.name.replace(/"/g, '""')}"`, cell(r.distance_m), cell(r.near), cell(r.far),
+      `"${markTransition(r.next, unit, i18n).replace(/"/g, '""')}"`, r.next && isFinite(r.next.N) ? toFixedSmart(r.next.N, 1) : "", r.next ? cell(r.next.s_m) : ""].join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Fiche de points imprimable (A4 portrait), une ligne par repère
+function focusMarksPrintHTML(rows, unit, title, i18n) {
+  const { t, num, lang } = i18n;
+  const mark = (m) => escapeHtml(formatMark(m, unit, i18n));
+  return `<!DOCTYPE html>
+<html lang="${lang}"><head><meta charset="UTF-8" /><title>${escapeHtml(t("planner.sheetTitle", { title }))}</title>
+<style>
+  @page { size: A4 portrait; margin: 12mm; }
+  body { font: 12px/1.35 system-ui, sans-serif; color: #000; margin: 0; }
+  h1 { font-size: 16px; margin: 0 0 2px; } p { margin: 0 0 8px; color: #333; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #000; padding: 5px 6px; text-align: center; }
+  thead th { background: #e5e7eb; } td.name { text-align: left; font-weight: 600; }
+  td.mark { font-size: 15px; font-weight: 700; } tr.gap td.next { background: #fde68a; }
+  @media print { * { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+</style></head>
+<body>
+  <h1>${escapeHtml(t("planner.sheetTitle", { title }))}</h1>
+  <p>${escapeHtml(t("planner.sheetIntro"))}</p>
+  <table>
+    <thead><tr><th>#</th><th>${escapeHtml(t("planner.mark"))}</th><th>${escapeHtml(t("planner.point"))}</th><th>${escapeHtml(t("planner.near"))}</th><th>${escapeHtml(t("planner.far"))}</th><th>${escapeHtml(t("planner.next"))}</th><th>${escapeHtml(t("planner.both"))}</th></tr></thead>
+    <tbody>${rows.map((r, i) => `<tr class="${r.next && r.next.overlap_m < 0 ? "gap" : ""}"><td>${i + 1}</td><td class="name">${escapeHtml(r.name)}</td><td class="mark">${mark(r.distance_m)}</td><td>${mark(r.near)}</td><td>${mark(r.far)}</td><td class="next">${escapeHtml(markTransition(r.next, unit, i18n))}</td><td>${r.next && isFinite(r.next.N) ? `f/${num(r.next.N, 1)} @ ${mark(r.next.s_m)}` : "—"}</td></tr>`).join("")}</tbody>
+  </table>
+</body></html>`;
+}
+
+function FocusPlanner({ focal, aperture, cocBase, crop, lens, focusM, unit: appUnit, onFocus, title, i18n, isDark }) {
+  const { t, num } = i18n;
+  const [marks, setMarks] = useState(() => sanitizeFocusMarks(loadJSON(FOCUS_MARKS_KEY, null)) || DEFAULT_FOCUS_MARKS);
+  const [unit, setUnit] = useState(appUnit === "ft" ? "ftin" : "m"); // "m" | "ftin"
+  const [name, setName] = useState("");
+  const [dist, setDist] = useState("");
+  const [note, setNote] = useState(null);
+  useEffect(() => { saveJSON(FOCUS_MARKS_KEY, marks); }, [marks]);
+
+  const rows = useMemo(() => planFocusMarks({ marks, focal_mm: focal, N: aperture, coc_base_mm: cocBase, crop }).map((r, i) => ({ ...r, name: markName(r, i, t) })),
+    [marks, focal, aperture, cocBase, crop, t]);
+  const hint = isDark ? "text-slate-300" : "text-slate-600";
+  const btn = `rounded-lg border px-2 py-1 text-xs ${isDark ? "border-white/20 hover:bg-slate-700/40" : "border-slate-200 hover:bg-white/60"}`;
+
+  const add = () => {
+    const d = parseDistanceMeters(dist, unit === "ftin" ? "ft" : "m");
+    if (!(d > 0)) { setNote(t("planner.badDistance")); return; }
+    setNote(null);
+    setMarks((list) => sanitizeFocusMarks([...list, newFocusMark(list, d, { name })]));
+    setName(""); setDist("");
+  };
+  const addCurrent = () => setMarks((list) => sanitizeFocusMarks([...list, newFocusMark(list, focusM, { nameKey: "focus" })]));
+  const remove = (id) => setMarks((list) => list.filter((m) => m.id !== id));
+
+  const exportCSV = () => downloadFile(`fx30-points-${unit}.csv`, focusMarksCSV(rows, unit, i18n), "text/csv;charset=utf-8");
+  const openPrint = () => {
+    const w = window.open("", "_blank");
+    if (!w) { setNote(t("common.popupBlocked")); return; }
+    setNote(null);
+    w.document.open();
+    w.document.write(focusMarksPrintHTML(rows, unit, title, i18n));
+    w.document.close();
+    w.focus();
+    w.print();
+  };
+
+  return (
+    <details>
+      <summary className="cursor-pointer select-none text-sm font-semibold">{t("planner.title")}</summary>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <div className="w-40"><TextBox value={name} setValue={setName} placeholder={t("planner.namePlaceholder")} isDark={isDark} /></div>
+        <div className="w-28"><TextBox value={dist} setValue={setDist} placeholder={unit === "ftin" ? `6' 4", 6ft 4in` : "1.8m, 180cm"} isDark={isDark} /></div>
+        <button onClick={add} className={btn}>{t("common.add")}</button>
+        <button onClick={addCurrent} className={btn}>{t("planner.addCurrent")}</button>
+        <Segmented options={[{ id: "m", label: "m" }, { id: "ftin", label: "ft-in" }]} value={unit} onChange={setUnit} ariaLabel={t("planner.unit")} isDark={isDark} />
+        <button onClick={exportCSV} disabled={!rows.length} className={btn}>{t("common.exportCSV")}</button>
+        <button onClick={openPrint} disabled={!rows.length} className={btn}>{t("planner.print")}</button>
+      </div>
+      <WarnText text={note} isDark={isDark} />
+
+      {rows.length > 0 && (
+        <div className={`mt-3 overflow-x-auto rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+          <table className="w-full text-left">
+            <thead>
+              <tr className={`text-xs ${hint}`}>
+                <th className="px-2 py-1">{t("planner.mark")}</th>
+                <th className="px-2 py-1">{t("planner.point")}</th>
+                <th className="px-2 py-1">{t("planner.sharpZone")}</th>
+                <th className="px-2 py-1">{t("planner.next")}</th>
+                <th className="px-2 py-1">{t("planner.both")}</th>
+                <th className="px-2 py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.id} className={`border-t ${isDark ? "border-white/20" : "border-slate-200"}`}>
+                  <th className="px-2 py-1 font-medium">{r.name}</th>
+                  <td className="px-2 py-1 font-semibold">{formatMark(r.distance_m, unit, i18n)}</td>
+                  <td className="px-2 py-1">{formatMark(r.near, unit, i18n)} → {formatMark(r.far, unit, i18n)}</td>
+                  <td className={`px-2 py-1 ${r.next && r.next.overlap_m < 0 ? (isDark ? "text-amber-300" : "text-amber-700") : ""}`}>{markTransition(r.next, unit, i18n)}</td>
+                  <td className="px-2 py-1">
+                    {r.next && isFinite(r.next.N) ? (
+                      <span className={r.next.N > lens.minAperture ? "opacity-50" : ""} title={r.next.N > lens.minAperture ? t("planner.beyondLens", { N: num(lens.minAperture, 1), lens: lensName(lens, t) }) : undefined}>
+                        f/{num(Math.ceil(r.next.N * 10) / 10, 1)} @ {formatMark(r.next.s_m, unit, i18n)}
+                      </span>
+                    ) : "—"}
+                  </td>
+                  <td className="px-2 py-1 text-right whitespace-nowrap">
+                    <Chip onClick={() => onFocus(r.distance_m)} isDark={isDark}>{t("planner.focus")}</Chip>{" "}
+                    <button onClick={() => remove(r.id)} className={btn} aria-label={t("common.removeNamed", { name: r.name })}>×</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <p className={`mt-2 text-xs ${hint}`}>{t("planner.hint", { N: num(aperture, 1), focal: num(focal, 1) })}</p>
+    </details>
+  );
+}
+
+/* ===================== Assistant CoC ===================== */
+function CocAssistant({ view, setView, result, unit, i18n, isDark }) {
+  const { t, num } = i18n;
+  const set = (patch) => setView((v) => ({ ...v, ...patch, deliveryId: null }));
+  const applyDelivery = (id) => {
+    const d = COC_DELIVERIES.find((x) => x.id === id);
+    if (d) setView((v) => ({ ...v, deliveryId: d.id, aspect: d.aspect, outputWidth: d.outputWidth, displayWidth: d.displayWidth, viewingDistance: d.viewingDistance }));
+  };
+  const aspectId = (DELIVERY_ASPECTS.find((a) => Math.abs(a.value - view.aspect) < 1e-6) || {}).id;
+  const hint = isDark ? "text-slate-300" : "text-slate-600";
+
+  return (
+    <div className={`rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+      <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+        <AdvField label={t("coc.delivery.label")}>
+          <Select value={view.deliveryId || ""} onChange={applyDelivery}
+            options={[...(view.deliveryId ? [] : [{ id: "", label: t("coc.custom"), disabled: true }]), ...COC_DELIVERIES.map((d) => ({ id: d.id, label: t(`coc.delivery.${d.id}`) }))]}
+            ariaLabel={t("coc.delivery.label")} isDark={isDark} />
+        </AdvField>
+        <AdvField label={t("coc.aspect")}>
+          <Select value={aspectId || ""} onChange={(id) => set({ aspect: DELIVERY_ASPECTS.find((a) => a.id === id).value })}
+            options={[...(aspectId ? [] : [{ id: "", label: `${toFixedSmart(view.aspect, 3)}:1`, disabled: true }]), ...DELIVERY_ASPECTS.map((a) => ({ id: a.id, label: a.label }))]}
+            ariaLabel={t("coc.aspect")} isDark={isDark} />
+        </AdvField>
+        <AdvField label={t("coc.outputWidth")}>
+          <NumberBox value={view.outputWidth} setValue={(v) => set({ outputWidth: clamp(v, 320, 8192) })} min={320} max={8192} step={1} suffix="px" isDark={isDark} />
+        </AdvField>
+        <AdvField label={t("coc.displayWidth")}>
+          <NumberBox value={view.displayWidth} setValue={(v) => set({ displayWidth: clamp(v, 0.02, 30) })} min={0.02} max={30} step={0.01} suffix="m" isDark={isDark} />
+        </AdvField>
+        <AdvField label={t("coc.viewingDistance")}>
+          <DistanceBox meters={view.viewingDistance} setMeters={(v) => set({ viewingDistance: v })} min={0.1} max={50} unit={unit} ariaLabel={t("coc.viewingDistance")} i18n={i18n} isDark={isDark} />
+        </AdvField>
+        <AdvField label={t("coc.criterion")}>
+          <label className={`flex items-center gap-2 text-xs ${hint}`}>
+            <input type="checkbox" checked={view.strict} onChange={(e) => setView((v) => ({ ...v, strict: e.target.checked }))} />
+            {t("coc.strict")}
+          </label>
+        </AdvField>
+      </div>
+      <p className={`mt-3 text-xs ${hint}`}>
+        {i18n.rich("coc.result", {
+          w: num(result.usedW_mm, 1), h: num(result.usedH_mm, 1), viewing: num(result.byViewing_mm, 4), pixels: num(result.byPixels_mm, 4),
+          coc: <b>{num(result.coc_mm, 4)} mm</b>,
+          limit: t(view.strict ? "coc.limitStrict" : result.limitedBy === "viewing" ? "coc.limitViewing" : "coc.limitPixels"),
+        })}
+      </p>
+    </div>
+  );
+}
+
+/* ===================== Aide-mémoire hyperfocale ===================== */
+const CHEAT_MODES = [{ id: "standard" }, { id: "active" }]; // libellés : mode.<id>
+
+// Focales du tableau : presets dans la plage de l'objectif + extrémités de la plage
+function cheatSheetFocals(lens) {
+  if (lens.id === "free") return PRESET_FOCALS;
+  const inRange = PRESET_FOCALS.filter((v) => v >= lens.minFocal && v <= lens.maxFocal);
+  return [...new Set([lens.minFocal, ...inRange, lens.maxFocal])].sort((a, b) => a - b);
+}
+
+// `formatCrop` : recadrage du format d'enregistrement, commun aux deux modes
+function buildCheatSheet({ lens, cocBase, activeCrop, formatCrop = 1 }) {
+  const focals = cheatSheetFocals(lens);
+  return CHEAT_MODES.map((m) => {
+    const crop = formatCrop * (m.id === "active" ? activeCrop : 1);
+    const rows = computeHyperfocalGrid({ focals, apertures: PRESET_APERTURES, coc_base_mm: cocBase, crop }).map((row) => ({
+      ...row,
+      cells: row.cells.map((c) => ({ ...c, possible: c.N >= lensMaxApertureAt(lens, row.focal_mm) && c.N <= lens.minAperture })),
+    }));
+    return { ...m, crop, rows };
+  });
+}
+
+function cheatSheetCSV(sheet, unit) {
+  const head = ["mode", "focale_mm", ...PRESET_APERTURES.flatMap((N) => [`H_f${N}_${unit}`, `proche_f${N}_${unit}`])];
+  const lines = [head.join(",")];
+  for (const m of sheet) {
+    for (const row of m.rows) {
+      lines.push([m.id, row.focal_mm, ...row.cells.flatMap((c) => [toFixedSmart(metersToUnit(c.H_m, unit), 2), toFixedSmart(metersToUnit(c.near_m, unit), 2)])].join(","));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
 
-            {/* Résultats + Schéma */}
-            <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.08 }}
-              className={`rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
-              <h2 className="mb-4 text-lg font-semibold">Résultats</h2>
-              <div className="grid grid-cols-2 gap-3 text-sm md:grid-cols-3">
-                <Stat label="Hyperfocale (H)" value={displayH} isDark={dark} />
-                <Stat label="Limite proche à H" value={displayNear} isDark={dark} />
-                <Stat label="hFOV / vFOV" value={`${toFixedSmart(hFOV,1)}° / ${toFixedSmart(vFOV,1)}°`} isDark={dark} />
-                <Stat label="Équiv. 24×36" value={`${toFixedSmart(ffEq,1)} mm`} isDark={dark} />
-                <Stat label="CoC équiv." value={`${toFixedSmart(cocEquiv,3)} mm`} isDark={dark} />
-                <Stat label="Capteur effectif" value={`${toFixedSmart(effW,1)}×${toFixedSmart(effH,1)} mm`} isDark={dark} />
-              </div>
+// Document HTML autonome, mis en page pour l'impression (A4 paysage) ou « Enregistrer en PDF »
+function cheatSheetPrintHTML(sheet, unit, title, cocBase, i18n) {
+  const { t, num, dist, lang } = i18n;
+  const table = (m) => `
+    <h2>${escapeHtml(t(`mode.${m.id}`))}${m.crop !== 1 ? escapeHtml(t("cheat.crop", { crop: num(m.crop, 2) })) : ""}</h2>
+    <table>
+      <thead><tr><th>${escapeHtml(t("cheat.focal"))}</th>${PRESET_APERTURES.map((N) => `<th>f/${num(N, 1)}</th>`).join("")}</tr></thead>
+      <tbody>${m.rows.map((row) => `<tr><th>${num(row.focal_mm, 1)} mm</th>${row.cells.map((c) => `<td class="${c.possible ? "" : "off"}"><b>${escapeHtml(dist(c.H_m, unit))}</b><small>${escapeHtml(dist(c.near_m, unit))}</small></td>`).join("")}</tr>`).join("")}</tbody>
+    </table>`;
+  return `<!DOCTYPE html>
+<html lang="${lang}"><head><meta charset="UTF-8" /><title>${escapeHtml(t("cheat.docTitle", { title }))}</title>
+<style>
+  @page { size: A4 landscape; margin: 10mm; }
+  body { font: 11px/1.3 system-ui, sans-serif; color: #000; margin: 0; }
+  h1 { font-size: 15px; margin: 0 0 2px; } h2 { font-size: 13px; margin: 10px 0 4px; }
+  p { margin: 0 0 6px; color: #333; }
+  table { border-collapse: collapse; width: 100%; page-break-inside: avoid; }
+  th, td { border: 1px solid #000; padding: 3px 4px; text-align: center; }
+  thead th { background: #e5e7eb; } tbody th { text-align: left; white-space: nowrap; }
+  td b { display: block; font-size: 12px; } td small { color: #444; }
+  td.off { color: #999; background: repeating-linear-gradient(45deg, #fff, #fff 3px, #f1f5f9 3px, #f1f5f9 6px); }
+  @media print { * { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+</style></head>
+<body>
+  <h1>${escapeHtml(t("cheat.heading", { title }))}</h1>
+  <p>${escapeHtml(t("cheat.legend", { coc: num(cocBase, 3) }))}</p>
+  ${sheet.map(table).join("")}
+</body></html>`;
+}
 
-              {/* Schéma SVG */}
-              <div className="mt-6">
-                <h3 className={`mb-2 text-sm font-medium ${dark ? "text-slate-300" : "text-slate-700"}`}>Schéma (échelle {maxScaleM} m)</h3>
-                <div className={`relative rounded-2xl border p-3 shadow-inner ${dark ? "border-white/10 bg-gradient-to-b from-slate-800/60 to-slate-900/60" : "border-white/10 bg-gradient-to-b from-white/80 to-white/50"}`}>
-                  <SVGDiagram H_m={H_m} nearAtH_m={nearAtH_m} maxScaleM={maxScaleM} unit={unit} hFOV={hFOV} />
-                  <p className={`mt-2 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>MAP sur H ⇒ zone nette de <b>H/2</b> jusqu’à <b>∞</b> (selon le CoC choisi).</p>
-                </div>
-              </div>
-            </motion.section>
-          </div>
+function CheatSheet({ lens, cocBase, activeCrop, formatCrop, unit, title, i18n, isDark }) {
+  const { t, num, dist } = i18n;
+  const [note, setNote] = useState(null);
+  const sheet = useMemo(() => buildCheatSheet({ lens, cocBase, activeCrop, formatCrop }), [lens, cocBase, activeCrop, formatCrop]);
 
-          {/* Réglages avancés */}
-          <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35, delay: 0.12 }}
-            className={`mt-5 rounded-2xl border p-5 shadow-lg backdrop-blur ${dark ? "border-white/10 bg-slate-900/50" : "border-white/10 bg-white/70 supports-[backdrop-filter]:bg-white/50"}`}>
-            <details>
-              <summary className="cursor-pointer select-none text-sm font-semibold">Réglages avancés</summary>
-              <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-2">
-                <AdvField label="Cercle de confusion de base (mm)">
-                  <NumberBox value={cocBase} setValue={setCocBase} min={0.005} max={0.05} step={0.001} isDark={dark} />
-                  <p className={`mt-1 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>Référence APS-C : 0,019 mm. Actif divise ce CoC par le facteur de recadrage.</p>
-                </AdvField>
-                <AdvField label="Recadrage Stabilisation Active (×)">
-                  <NumberBox value={activeCrop} setValue={setActiveCrop} min={1} max={1.5} step={0.01} isDark={dark} />
-                  <p className={`mt-1 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>FX30 ≈ 1,10× par défaut.</p>
-                </AdvField>
-                <AdvField label="Largeur capteur (mm)"><NumberBox value={sensorW} setValue={setSensorW} min={10} max={40} step={0.1} isDark={dark} /></AdvField>
-                <AdvField label="Hauteur capteur (mm)"><NumberBox value={sensorH} setValue={setSensorH} min={7} max={30} step={0.1} isDark={dark} /></AdvField>
-              </div>
-            </details>
-          </motion.section>
+  const exportCSV = () => downloadFile(`fx30-hyperfocale-${lens.id}-${unit}.csv`, cheatSheetCSV(sheet, unit), "text/csv;charset=utf-8");
+  const openPrint = () => {
+    const w = window.open("", "_blank");
+    if (!w) { setNote(t("common.popupBlocked")); return; }
+    setNote(null);
+    w.document.open();
+    w.document.write(cheatSheetPrintHTML(sheet, unit, title, cocBase, i18n));
+    w.document.close();
+    w.focus();
+    w.print();
+  };
 
-          {/* Tests (vérification de calcul) */}
-          <TestPanel isDark={dark} />
+  const btn = `rounded-lg border px-2 py-1 text-xs ${isDark ? "border-white/20 hover:bg-slate-700/40" : "border-slate-200 hover:bg-white/60"}`;
 
-          <footer className={`mt-6 text-xs ${dark ? "text-slate-300" : "text-slate-600"}`}>
-            <p>Rappel : la profondeur de champ dépend du critère de netteté (CoC). Un recadrage (mode Actif) resserre l'angle de champ et exige un CoC plus petit → H augmente légèrement.</p>
-          </footer>
+  return (
+    <details>
+      <summary className="cursor-pointer select-none text-sm font-semibold">{t("cheat.title")}</summary>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <button onClick={exportCSV} className={btn}>{t("common.exportCSV")}</button>
+        <button onClick={openPrint} className={btn}>{t("cheat.print")}</button>
+        <span className={`text-xs ${isDark ? "text-slate-300" : "text-slate-600"}`}>{t("cheat.hint", { unit, lens: lensName(lens, t) })}</span>
+      </div>
+      <WarnText text={note} isDark={isDark} />
+      {sheet.map((m) => (
+        <div key={m.id} className={`mt-3 overflow-x-auto rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+          <div className="mb-2 text-sm font-medium">{t(`mode.${m.id}`)}{m.crop !== 1 ? t("cheat.crop", { crop: num(m.crop, 2) }) : ""}</div>
+          <table className="w-full text-center">
+            <thead>
+              <tr className={`text-xs ${isDark ? "text-slate-300" : "text-slate-600"}`}>
+                <th className="px-2 py-1 text-left">{t("cheat.focal")}</th>
+                {PRESET_APERTURES.map((N) => <th key={N} className="px-2 py-1">f/{num(N, 1)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {m.rows.map((row) => (
+                <tr key={row.focal_mm} className={`border-t ${isDark ? "border-white/20" : "border-slate-200"}`}>
+                  <th className="px-2 py-1 text-left font-medium">{num(row.focal_mm, 1)} mm</th>
+                  {row.cells.map((c) => (
+                    <td key={c.N} className={`px-2 py-1 ${c.possible ? "" : "opacity-40"}`}>
+                      <div className="font-semibold">{dist(c.H_m, unit)}</div>
+                      <div className={`text-xs ${isDark ? "text-slate-300" : "text-slate-600"}`}>{dist(c.near_m, unit)}</div>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
+      ))}
+    </details>
+  );
+}
+
+/* ===================== Carte image (export) ===================== */
+const CARD_WIDTH = 800;
+const CARD_THEMES = {
+  dark: { bg: "#0f172a", panel: "#1e293b", border: "#334155", text: "#f1f5f9", muted: "#cbd5e1" },
+  light: { bg: "#f8fafc", panel: "#ffffff", border: "#e2e8f0", text: "#0f172a", muted: "#475569" },
+  print: { bg: "#ffffff", panel: "#ffffff", border: "#94a3b8", text: "#000000", muted: "#334155" },
+};
+
+// Carte SVG autonome : titre, statistiques clés (3 colonnes) puis le schéma tel qu'affiché
+function buildResultCardSVG({ title, subtitle, stats, diagram = "", theme = "light", footer = "FX30 Hyperfocale & Cadrage" }) {
+  const t = CARD_THEMES[theme] || CARD_THEMES.light;
+  const pad = 20, gap = 10, cols = 3, boxH = 54, statsTop = 76;
+  const boxW = (CARD_WIDTH - 2 * pad - (cols - 1) * gap) / cols;
+  const diagramTop = statsTop + Math.ceil(stats.length / cols) * (boxH + gap) + 4;
+  const diagramW = CARD_WIDTH - 2 * pad;
+  const diagramH = diagram ? (diagramW * 160) / 760 : 0; // proportions de SVGDiagram
+  const height = Math.round(diagramTop + (diagram ? diagramH + 12 : 0) + 22);
+  const boxes = stats.map((st, i) => {
+    const x = pad + (i % cols) * (boxW + gap), y = statsTop + Math.floor(i / cols) * (boxH + gap);
+    return `<rect x="${x}" y="${y}" width="${boxW}" height="${boxH}" rx="10" fill="${t.panel}" stroke="${t.border}" />`
+      + `<text x="${x + 12}" y="${y + 20}" font-size="11" fill="${t.muted}">${escapeHtml(st.label)}</text>`
+      + `<text x="${x + 12}" y="${y + 42}" font-size="18" font-weight="600" fill="${t.text}">${escapeHtml(st.value)}</text>`;
+  }).join("");
+  const nested = diagram.replace(/^<svg\b/, `<svg x="${pad}" y="${diagramTop}" width="${diagramW}" height="${diagramH}"`);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${height}" viewBox="0 0 ${CARD_WIDTH} ${height}" font-family="system-ui, -apple-system, 'Segoe UI', sans-serif">`
+    + `<rect width="${CARD_WIDTH}" height="${height}" fill="${t.bg}" />`
+    + `<text x="${pad}" y="${pad + 18}" font-size="18" font-weight="700" fill="${t.text}">${escapeHtml(title)}</text>`
+    + `<text x="${pad}" y="${pad + 40}" font-size="12" fill="${t.muted}">${escapeHtml(subtitle)}</text>`
+    + boxes
+    + (diagram ? `<rect x="${pad - 6}" y="${diagramTop - 6}" width="${diagramW + 12}" height="${diagramH + 12}" rx="12" fill="${t.panel}" stroke="${t.border}" />${nested}` : "")
+    + `<text x="${CARD_WIDTH - pad}" y="${height - 8}" font-size="10" text-anchor="end" fill="${t.muted}">${escapeHtml(footer)}</text>`
+    + `</svg>`;
+  return { svg, width: CARD_WIDTH, height };
+}
+
+// Rastérise la carte (×2 pour les écrans denses) → Promise<Blob> PNG
+function svgToPngBlob({ svg, width, height }, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml;charset=utf-8" }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale); canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext("2d");
+      URL.revokeObjectURL(url);
+      if (!ctx) { reject(new Error("canvas indisponible")); return; }
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG indisponible"))), "image/png");
+    };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error("SVG illisible")); };
+    img.src = url;
+  });
+}
+
+function ResultCardExport({ getDiagram, title, subtitle, stats, fileBase, i18n, isDark }) {
+  const { t } = i18n;
+  const [theme, setTheme] = useState("current"); // "current" | "print"
+  const [note, setNote] = useState(null);
+  const build = () => {
+    const el = getDiagram();
+    const diagram = el && window.XMLSerializer ? new window.XMLSerializer().serializeToString(el) : "";
+    return buildResultCardSVG({ title, subtitle, stats, diagram, theme: theme === "print" ? "print" : isDark ? "dark" : "light", footer: t("card.footer") });
+  };
+  const downloadSVG = () => downloadFile(`${fileBase}.svg`, build().svg, "image/svg+xml;charset=utf-8");
+  const downloadPNG = async () => {
+    try {
+      downloadFile(`${fileBase}.png`, await svgToPngBlob(build()));
+      setNote(null);
+    } catch (_) {
+      setNote(t("card.pngFailed"));
+    }
+  };
+  const btn = `rounded-lg border px-2 py-1 text-xs ${isDark ? "border-white/20 hover:bg-slate-700/40" : "border-slate-200 hover:bg-white/60"}`;
+
+  return (
+    <div className="mt-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className={`text-xs ${isDark ? "text-slate-300" : "text-slate-600"}`}>{t("card.label")}</span>
+        <Segmented options={[{ id: "current", label: t("card.themeCurrent") }, { id: "print", label: t("card.themePrint") }]} value={theme} onChange={setTheme} ariaLabel={t("card.theme")} isDark={isDark} />
+        <button onClick={downloadSVG} className={btn}>SVG</button>
+        <button onClick={downloadPNG} className={btn}>PNG</button>
+        <CopyButton text={() => build().svg} image={() => svgToPngBlob(build())} label={t("card.copy")} i18n={i18n} isDark={isDark} />
       </div>
+      <WarnText text={note} isDark={isDark} />
     </div>
   );
 }
 
+/* ===================== Gestion des presets ===================== */
+function PresetManager({ presets, setPresets, current, i18n, isDark }) {
+  const { t, num } = i18n;
+  const [name, setName] = useState("");
+  const [note, setNote] = useState(null);
+  const fileRef = useRef(null);
+
+  const addCurrent = () => {
+    const n = name.trim();
+    if (!n) return;
+    setPresets((list) => [...list, { id: `preset-${Date.now()}`, name: n, ...current }]);
+    setName("");
+  };
+  const update = (id, patch) => setPresets((list) => list.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+  const remove = (id) => setPresets((list) => list.filter((p) => p.id !== id));
+  const move = (index, delta) => setPresets((list) => {
+    const j = index + delta;
+    if (j < 0 || j >= list.length) return list;
+    const next = list.slice();
+    [next[index], next[j]] = [next[j], next[index]];
+    return next;
+  });
+
+  const exportJSON = () => {
+    downloadFile("fx30-presets.json", JSON.stringify({ app: "fx30-hyperfocale", version: 1, presets: presets.map((p) => ({ ...p, name: presetName(p, t) })) }, null, 2), "application/json");
+  };
+  const importJSON = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // permet de réimporter le même fichier
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      const list = sanitizePresets(Array.isArray(data) ? data : data && data.presets);
+      if (!list || list.length === 0) { setNote(t("presets.importNone")); return; }
+      setPresets(list);
+      setNote(t("presets.importDone", { n: list.length }));
+    } catch (_) {
+      setNote(t("presets.importBad"));
+    }
+  };
+
+  const btn = `rounded-lg border px-2 py-1 text-xs ${isDark ? "border-white/20 hover:bg-slate-700/40" : "border-slate-200 hover:bg-white/60"}`;
+
+  return (
+    <details className="mt-3">
+      <summary className={`cursor-pointer select-none text-xs font-medium ${isDark ? "text-slate-300" : "text-slate-600"}`}>{t("presets.manage")}</summary>
+      <ul className="mt-2 space-y-2">
+        {presets.map((p, i) => (
+          <li key={p.id} className="flex flex-wrap items-center gap-2">
+            <TextBox value={presetName(p, t)} setValue={(v) => setPresets((list) => list.map((x) => (x.id === p.id ? renamePreset(x, v) : x)))} isDark={isDark} />
+            <span className={`text-xs ${isDark ? "text-slate-300" : "text-slate-600"}`}>{num(p.focal, 1)} mm · f/{num(p.aperture, 1)} · {t(p.mode === "active" ? "mode.active" : "mode.standardShort")}</span>
+            <button onClick={() => move(i, -1)} disabled={i === 0} aria-label={t("presets.moveUp", { name: presetName(p, t) })} className={btn}>↑</button>
+            <button onClick={() => move(i, 1)} disabled={i === presets.length - 1} aria-label={t("presets.moveDown", { name: presetName(p, t) })} className={btn}>↓</button>
+            <button onClick={() => update(p.id, current)} className={btn}>{t("presets.replace")}</button>
+            <button onClick={() => remove(p.id)} aria-label={t("common.removeNamed", { name: presetName(p, t) })} className={btn}>✕</button>
+          </li>
+        ))}
+      </ul>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <TextBox value={name} setValue={setName} placeholder={t("presets.namePlaceholder")} isDark={isDark} />
+        <button onClick={addCurrent} className={btn}>{t("presets.saveCurrent")}</button>
+      </div>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <button onClick={exportJSON} className={btn}>{t("presets.export")}</button>
+        <button onClick={() => fileRef.current && fileRef.current.click()} className={btn}>{t("presets.import")}</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importJSON} className="hidden" />
+        <button onClick={() => { setPresets(DEFAULT_PRESETS); setNote(null); }} className={btn}>{t("presets.defaults")}</button>
+      </div>
+      {note && <p role="status" className={`mt-2 text-xs ${isDark ? "text-slate-300" : "text-slate-600"}`}>{note}</p>}
+    </details>
+  );
+}
+
 /* ===================== Bouton copie robuste ===================== */
-function CopyButton({ text, isDark }) {
+// `text` peut être une fonction (évaluée au clic) ; `image` (→ Promise<Blob> PNG) tente d'abord une copie d'image,
+// puis retombe sur le texte par la même chaîne (execCommand, copie manuelle)
+function CopyButton({ text, image = null, label, i18n, isDark }) {
+  const { t } = i18n;
   const [state, setState] = useState("idle"); // idle | copying | copied | manual
   const [showModal, setShowModal] = useState(false);
+  const [manualText, setManualText] = useState("");
   const [disabled, setDisabled] = useState(false);
   const manualRef = useRef(null);
 
@@ -285,13 +2416,21 @@ function CopyButton({ text, isDark }) {
     if (disabled) return;
     setDisabled(true);
     setState("copying");
+    const value = typeof text === "function" ? text() : text;
 
     const tryNative = async () => {
-      if (!("clipboard" in navigator) || typeof navigator.clipboard.writeText !== "function") return false;
-      if (!window.isSecureContext) return false; // requis pour writeText
+      if (!("clipboard" in navigator)) return false;
+      if (!window.isSecureContext) return false; // requis pour write / writeText
       if (document.visibilityState !== "visible") return false;
       try {
-        await navigator.clipboard.writeText(text);
+        if (image && typeof navigator.clipboard.write === "function" && typeof window.ClipboardItem === "function") {
+          try {
+            await navigator.clipboard.write([new window.ClipboardItem({ "image/png": image() })]);
+            return true;
+          } catch (_) { /* image refusée → texte */ }
+        }
+        if (typeof navigator.clipboard.writeText !== "function") return false;
+        await navigator.clipboard.writeText(value);
         return true;
       } catch (err) {
         // NotAllowedError/DOMException ou policy → false
@@ -302,7 +2441,7 @@ function CopyButton({ text, isDark }) {
     const tryExecCommand = () => {
       try {
         const ta = document.createElement("textarea");
-        ta.value = text; ta.tabIndex = -1;
+        ta.value = value; ta.tabIndex = -1;
         ta.style.position = "fixed"; ta.style.opacity = "0"; ta.style.pointerEvents = "none";
         document.body.appendChild(ta); ta.select();
         const ok = document.execCommand("copy");
@@ -317,6 +2456,7 @@ function CopyButton({ text, isDark }) {
     const okLegacy = tryExecCommand();
     if (okLegacy) { setState("copied"); setDisabled(false); return; }
 
+    setManualText(value);
     setShowModal(true);
     setState("manual");
     setDisabled(false);
@@ -326,20 +2466,20 @@ function CopyButton({ text, isDark }) {
     <>
       <button onClick={handleCopy} disabled={disabled}
         className={`rounded-xl border border-white/20 bg-gradient-to-br from-cyan-500 to-indigo-500 px-3 py-2 text-sm font-medium text-white shadow hover:opacity-90 ${disabled ? "opacity-60" : ""}`}>
-        {state === "copied" ? "Copié ✔" : state === "copying" ? "Copie…" : "Copier le résumé"}
+        {state === "copied" ? t("copy.copied") : state === "copying" ? t("copy.copying") : label || t("copy.summary")}
       </button>
-      <InlineToast show={state === "copied"} label="Copié dans le presse‑papiers" />
+      <InlineToast show={state === "copied"} label={t("copy.toast")} />
 
       {showModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
           <div className={`w-full max-w-lg rounded-2xl border p-4 shadow-xl ${isDark ? "border-white/10 bg-slate-900 text-slate-100" : "border-white/20 bg-white text-slate-900"}`}>
-            <div className="mb-2 text-sm font-semibold">Copie manuelle</div>
-            <p className="mb-3 text-xs opacity-80">Votre environnement bloque l’accès au presse‑papiers. Sélectionnez puis faites <b>Ctrl/⌘ + C</b>. Appuyez sur <b>Échap</b> pour fermer.</p>
-            <textarea ref={manualRef} readOnly value={text} rows={3}
+            <div className="mb-2 text-sm font-semibold">{t("copy.manualTitle")}</div>
+            <p className="mb-3 text-xs opacity-80">{i18n.rich("copy.manualHint", { keys: <b>Ctrl/⌘ + C</b>, esc: <b>{t("copy.escKey")}</b> })}</p>
+            <textarea ref={manualRef} readOnly value={manualText} rows={3}
               className={`mb-3 w-full rounded-lg border p-2 text-sm ${isDark ? "border-white/10 bg-slate-800" : "border-slate-200 bg-slate-50"}`}/>
             <div className="flex items-center justify-end gap-2">
               <button onClick={() => { setShowModal(false); setState("idle"); }}
-                className={`rounded-lg border px-3 py-1.5 text-sm ${isDark ? "border-white/20" : "border-slate-200"}`}>Fermer</button>
+                className={`rounded-lg border px-3 py-1.5 text-sm ${isDark ? "border-white/20" : "border-slate-200"}`}>{t("common.close")}</button>
             </div>
           </div>
         </div>
@@ -362,7 +2502,7 @@ function Segmented({ options, value, onChange, ariaLabel, isDark }) {
     <div role="group" aria-label={ariaLabel}
       className={`inline-flex overflow-hidden rounded-xl border p-1 shadow-inner ${isDark ? "border-white/20 bg-slate-800/60" : "border-white/20 bg-slate-100/70"}`}>
       {options.map((o) => (
-        <button key={o.id} onClick={() => onChange(o.id)}
+        <button key={o.id} onClick={() => onChange(o.id)} title={o.title}
           className={`px-3 py-1.5 text-sm transition ${value === o.id
             ? `${isDark ? "rounded-lg bg-slate-100 text-slate-900" : "rounded-lg bg-white text-slate-900"} shadow`
             : `${isDark ? "text-slate-300 hover:bg-slate-700/40" : "text-slate-700 hover:bg-white/50"}`}`}>
@@ -372,14 +2512,18 @@ function Segmented({ options, value, onChange, ariaLabel, isDark }) {
     </div>
   );
 }
-function Chip({ children, onClick, isDark }) {
+function Chip({ children, onClick, disabled = false, isDark }) {
   return (
-    <button onClick={onClick}
-      className={`rounded-full border px-3 py-1 text-xs shadow-sm ${isDark ? "border-white/20 bg-slate-800/60 text-slate-200 hover:bg-slate-700/60" : "border-white/20 bg-white/70 text-slate-800 hover:bg-white/90"}`}>
+    <button onClick={onClick} disabled={disabled}
+      className={`rounded-full border px-3 py-1 text-xs shadow-sm ${isDark ? "border-white/20 bg-slate-800/60 text-slate-200 hover:bg-slate-700/60" : "border-white/20 bg-white/70 text-slate-800 hover:bg-white/90"} ${disabled ? "cursor-not-allowed opacity-40" : ""}`}>
       {children}
     </button>
   );
 }
+function WarnText({ text, isDark }) {
+  if (!text) return null;
+  return <p role="status" className={`mt-2 text-xs ${isDark ? "text-amber-300" : "text-amber-700"}`}>⚠︎ {text}</p>;
+}
 function Stat({ label, value, isDark }) {
   return (
     <div className={`rounded-xl border p-3 shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
@@ -396,6 +2540,22 @@ function AdvField({ label, children }) {
     </div>
   );
 }
+function Select({ value, onChange, options, ariaLabel, isDark }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} aria-label={ariaLabel}
+      className={`w-full rounded-xl border px-3 py-2 text-sm shadow-sm outline-none ${isDark ? "border-white/20 bg-slate-800/60 text-slate-100" : "border-white/20 bg-white/70 text-slate-900"}`}>
+      {options.map((o) => (
+        <option key={o.id} value={o.id} disabled={o.disabled}>{o.label}</option>
+      ))}
+    </select>
+  );
+}
+function TextBox({ value, setValue, placeholder, isDark }) {
+  return (
+    <input type="text" value={value} onChange={(e) => setValue(e.target.value)} placeholder={placeholder}
+      className={`rounded-lg border px-2 py-1 text-sm shadow-sm outline-none ${isDark ? "border-white/20 bg-slate-800/60" : "border-white/20 bg-white/70"}`} />
+  );
+}
 function NumberBox({ value, setValue, min, max, step = 1, prefix = "", suffix = "", isDark }) {
   return (
     <div className={`flex items-center gap-1 rounded-lg border px-2 py-1 text-sm shadow-sm ${isDark ? "border-white/20 bg-slate-800/60" : "border-white/20 bg-white/70"}`}>
@@ -407,18 +2567,175 @@ function NumberBox({ value, setValue, min, max, step = 1, prefix = "", suffix =
     </div>
   );
 }
+// Distance en saisie libre (« 1.9m », « 190cm », « 6' 4" », « 6ft 4in ») ; un nombre seul est dans l'unité affichée.
+// La valeur (m, bornée) suit la frappe ; le texte reprend la forme affichée à la sortie du champ.
+function DistanceBox({ meters, setMeters, min, max, unit, prefix = "", ariaLabel, i18n, isDark }) {
+  const { t, dist } = i18n;
+  const [draft, setDraft] = useState(null); // texte en cours de saisie, null = valeur formatée
+  const parsed = draft === null ? meters : parseDistanceMeters(draft, unit);
+  const invalid = !(parsed > 0);
+  const bounded = invalid ? parsed : clamp(parsed, min, max);
+  const onChange = (e) => {
+    const text = e.target.value;
+    setDraft(text);
+    const m = parseDistanceMeters(text, unit);
+    if (m > 0) setMeters(clamp(m, min, max));
+  };
+  return (
+    <>
+      <div className={`flex items-center gap-1 rounded-lg border px-2 py-1 text-sm shadow-sm ${invalid ? "border-red-400" : "border-white/20"} ${isDark ? "bg-slate-800/60" : "bg-white/70"}`}>
+        {prefix && <span className={`${isDark ? "text-slate-300" : "text-slate-500"}`}>{prefix}</span>}
+        <input type="text" value={draft ?? dist(meters, unit)} onChange={onChange} onBlur={() => setDraft(null)}
+          onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+          aria-label={ariaLabel} aria-invalid={invalid || undefined} title={t("distance.hint")} spellCheck={false}
+          className="w-24 bg-transparent text-right outline-none" />
+      </div>
+      {invalid && <span role="alert" className="text-xs text-red-500">{t("distance.invalid")}</span>}
+      {!invalid && bounded !== parsed && <span className={`text-xs ${isDark ? "text-amber-300" : "text-amber-700"}`}>{t("distance.clamped", { distance: dist(bounded, unit) })}</span>}
+    </>
+  );
+}
 
 /* ===================== Schéma SVG ===================== */
-function SVGDiagram({ H_m, nearAtH_m, maxScaleM, unit, hFOV }) {
+const DIAGRAM_MIN_M = 0.1; // borne basse de l'échelle log
+const DIAGRAM_MAX_M = 1000;
+
+// Échelle du schéma : coordonnée « u » = mètres (linéaire) ou log10(mètres)
+function diagramScale(kind) {
+  return kind === "log"
+    ? { kind, toU: (m) => Math.log10(clamp(m, DIAGRAM_MIN_M, DIAGRAM_MAX_M)), fromU: (u) => Math.pow(10, u), uMin: Math.log10(DIAGRAM_MIN_M), uMax: Math.log10(DIAGRAM_MAX_M), minSpan: 0.1 }
+    : { kind, toU: (m) => clamp(m, 0, DIAGRAM_MAX_M), fromU: (u) => u, uMin: 0, uMax: DIAGRAM_MAX_M, minSpan: 0.2 };
+}
+
+// Zoom d'un facteur k (> 1 : rapproche) autour de uA, puis décalage du ; reste dans les bornes de l'échelle
+function zoomDomain([u0, u1], { k = 1, uA = (u0 + u1) / 2, du = 0 }, scale) {
+  const span = clamp((u1 - u0) / k, scale.minSpan, scale.uMax - scale.uMin);
+  let a = uA - ((uA - u0) / (u1 - u0)) * span + du;
+  a = clamp(a, scale.uMin, scale.uMax - span);
+  return [a, a + span];
+}
+
+// Graduations : pas « rond » en linéaire, 1-2-5 par décade en log
+// unitM : mètres par unité affichée (pieds → graduations rondes en pieds) ; retour en mètres
+function diagramTicks([u0, u1], scale, unitM = 1) {
+  if (scale.kind === "log") {
+    const out = [];
+    const shift = Math.log10(unitM);
+    for (let e = Math.floor(u0 - shift); e <= Math.ceil(u1 - shift); e++) {
+      for (const s of [1, 2, 5]) {
+        const m = s * Math.pow(10, e) * unitM;
+        const u = Math.log10(m);
+        if (u >= u0 - 1e-9 && u <= u1 + 1e-9) out.push(m);
+      }
+    }
+    const decades = out.filter((m) => Math.abs(Math.log10(m) - shift - Math.round(Math.log10(m) - shift)) < 1e-9);
+    return out.length > 9 && decades.length >= 2 ? decades : out;
+  }
+  const step = niceMax((u1 - u0) / unitM / 5);
+  const out = [];
+  for (let i = Math.ceil(u0 / unitM / step - 1e-9); i * step * unitM <= u1 + 1e-9; i++) out.push(i * step * unitM);
+  return out;
+}
+
+function subjectStatus(d, near_m, far_m, unit, { t, dist }) {
+  if (d < near_m) return { sharp: false, text: t("diagram.blurFront", { distance: dist(near_m - d, unit) }) };
+  if (d > far_m) return { sharp: false, text: t("diagram.blurBehind", { distance: dist(d - far_m, unit) }) };
+  return { sharp: true, text: t("diagram.sharp") };
+}
+
+function SVGDiagram({ H_m, nearAtH_m, maxScaleM, unit, hFOV, focus_m, near_m, far_m, compare = [], onFocusChange, i18n, isDark }) {
+  const { t, dist } = i18n;
   const width = 760; const height = 160; // px
   const marginL = 70; const marginR = 20; const baselineY = 95;
   const usableW = width - marginL - marginR;
-  const xFromM = (m) => marginL + clamp((m / maxScaleM) * usableW, 0, usableW);
+
+  const [kind, setKind] = useState("lin"); // "lin" | "log"
+  const [view, setView] = useState(null); // { kind, domain } après zoom / déplacement, sinon automatique
+  const [subjects, setSubjects] = useState([]);
+  const [hover, setHover] = useState(null); // id du sujet survolé ou sélectionné au clavier
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const scale = useMemo(() => diagramScale(kind), [kind]);
+  const autoDomain = kind === "log" ? [Math.log10(0.2), Math.log10(Math.max(maxScaleM, 1))] : [0, maxScaleM];
+  const domain = view && view.kind === kind ? view.domain : autoDomain;
+  const domainRef = useRef(domain);
+  domainRef.current = domain;
+
+  const xFromM = (m) => marginL + clamp((scale.toU(m) - domain[0]) / (domain[1] - domain[0]), 0, 1) * usableW;
+  const mFromX = (x) => scale.fromU(domain[0] + ((x - marginL) / usableW) * (domain[1] - domain[0]));
+  const inView = (m) => { const u = scale.toU(m); return u >= domain[0] - 1e-9 && u <= domain[1] + 1e-9; };
+  const svgX = (clientX) => {
+    const r = svgRef.current ? svgRef.current.getBoundingClientRect() : null;
+    return r && r.width > 0 ? ((clientX - r.left) / r.width) * width : marginL;
+  };
+  const setFocus = (m) => onFocusChange && onFocusChange(clamp(m, FOCUS_MIN_M, FOCUS_MAX_M));
+  const zoom = (k, uA) => setView({ kind, domain: zoomDomain(domainRef.current, { k, uA }, scale) });
+
+  // Molette : zoom autour du curseur (écouteur non passif pour bloquer le défilement de la page)
+  useEffect(() => {
+    const el = svgRef.current;
+    if (!el) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const d = domainRef.current;
+      const uA = d[0] + ((svgX(e.clientX) - marginL) / usableW) * (d[1] - d[0]);
+      setView({ kind: scale.kind, domain: zoomDomain(d, { k: e.deltaY < 0 ? 1.25 : 0.8, uA }, scale) });
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, [scale]);
+
+  // Glisser : MAP, sujet ou fond (déplacement de la vue)
+  const startDrag = (e, drag) => {
+    e.stopPropagation();
+    if (e.currentTarget.setPointerCapture && e.pointerId !== undefined) e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { ...drag, x: svgX(e.clientX), domain: domainRef.current };
+  };
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const x = svgX(e.clientX);
+    if (drag.type === "focus") setFocus(mFromX(x));
+    else if (drag.type === "subject") setSubjects((list) => list.map((s) => (s.id === drag.id ? { ...s, distance_m: clamp(mFromX(x), 0.05, DIAGRAM_MAX_M) } : s)));
+    else {
+      const [u0, u1] = drag.domain;
+      setView({ kind, domain: zoomDomain(drag.domain, { du: -((x - drag.x) / usableW) * (u1 - u0) }, scale) });
+    }
+  };
+  const endDrag = () => { dragRef.current = null; };
+
+  const addSubject = (m) => setSubjects((list) => {
+    const n = list.reduce((max, s) => Math.max(max, s.n), 0) + 1;
+    return [...list, { id: `subject-${Date.now()}-${n}`, n, name: `S${n}`, distance_m: clamp(m, 0.05, DIAGRAM_MAX_M) }];
+  });
+  const removeSubject = (id) => { setSubjects((list) => list.filter((s) => s.id !== id)); setHover(null); };
+
+  // Clavier : flèches = 1 % de la vue (Maj : 10 %), Début / Fin = bornes, Suppr retire un sujet
+  const keyStep = (e) => (e.shiftKey ? 0.1 : 0.01) * (domain[1] - domain[0]);
+  const stepMeters = (m, e) => {
+    const du = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 }[e.key];
+    return du ? scale.fromU(scale.toU(m) + du * keyStep(e)) : null;
+  };
+  const onFocusKey = (e) => {
+    const next = e.key === "Home" ? FOCUS_MIN_M : e.key === "End" ? FOCUS_MAX_M : stepMeters(focus_m, e);
+    if (next == null) return;
+    e.preventDefault();
+    setFocus(next);
+  };
+  const onSubjectKey = (e, s) => {
+    if (e.key === "Delete" || e.key === "Backspace") { e.preventDefault(); removeSubject(s.id); return; }
+    const next = stepMeters(s.distance_m, e);
+    if (next == null) return;
+    e.preventDefault();
+    setSubjects((list) => list.map((x) => (x.id === s.id ? { ...x, distance_m: clamp(next, 0.05, DIAGRAM_MAX_M) } : x)));
+  };
 
   // Points clés
   const x0 = marginL; // caméra
-  const xNear = xFromM(nearAtH_m);
-  const xH = xFromM(H_m);
+  const xFocus = xFromM(focus_m);
+  const xDofNear = xFromM(near_m);
+  const xDofFar = isFinite(far_m) ? xFromM(far_m) : width - marginR; // ∞ → bord droit
 
   // Cône FOV orienté vers l'avant (±halfAngle)
   const halfAngle = Math.min(60, Math.max(5, hFOV / 2));
@@ -431,56 +2748,131 @@ function SVGDiagram({ H_m, nearAtH_m, maxScaleM, unit, hFOV }) {
   const rx = ax + wedgeLen * Math.cos(rightAngle);
   const ry = ay + wedgeLen * Math.sin(rightAngle);
 
+  const ticks = diagramTicks(domain, scale, unitToMeters(1, unit));
+  const tip = subjects.find((s) => s.id === hover);
+  const btn = `rounded-lg border px-2 py-1 text-xs ${isDark ? "border-white/20 hover:bg-slate-700/40" : "border-slate-200 hover:bg-white/60"}`;
+
   return (
-    <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
-      <defs>
-        <linearGradient id="g1" x1="0" x2="1" y1="0" y2="0">
-          <stop offset="0%" stopColor="#06b6d4" stopOpacity="0.25" />
-          <stop offset="100%" stopColor="#6366f1" stopOpacity="0.25" />
-        </linearGradient>
-        <linearGradient id="g2" x1="0" x2="0" y1="0" y2="1">
-          <stop offset="0%" stopColor="#64748b" stopOpacity="0.6" />
-          <stop offset="100%" stopColor="#94a3b8" stopOpacity="0.2" />
-        </linearGradient>
-      </defs>
-
-      {/* Bandeau */}
-      <rect x="0" y="0" width={width} height={height} fill="url(#g2)" opacity="0.08" />
-
-      {/* Baseline */}
-      <line x1={marginL} y1={baselineY} x2={width - marginR} y2={baselineY} stroke="#94a3b8" strokeWidth="1" strokeDasharray="4 3" />
-
-      {/* Caméra (pur SVG) */}
-      <g transform={`translate(${marginL - 55}, ${baselineY - 16})`}>
-        <CameraGlyph />
-      </g>
-
-      {/* Wedge FOV */}
-      <path d={`M ${ax} ${ay} L ${lx} ${ly} L ${rx} ${ry} Z`} fill="url(#g1)" stroke="#94a3b8" strokeWidth="0.5" />
-
-      {/* Marqueurs H/2 et H */}
-      <MarkerLine x={xNear} label={`H/2 (${formatDistanceMeters(nearAtH_m, unit)})`} color="#10b981" align="top" />
-      <MarkerLine x={xH} label={`H (${formatDistanceMeters(H_m, unit)})`} color="#4f46e5" align="bottom" />
-
-      {/* Graduations */}
-      {Array.from({ length: 5 }).map((_, i) => {
-        const m = (i * maxScaleM) / 4;
-        const x = xFromM(m);
-        return (
-          <g key={i}>
-            <line x1={x} y1={baselineY - 4} x2={x} y2={baselineY + 4} stroke="#94a3b8" strokeWidth="1" />
-            <text x={x} y={baselineY + 16} fontSize="11" textAnchor="middle" fill="#64748b">{formatDistanceMeters(m, unit)}</text>
-          </g>
-        );
-      })}
-    </svg>
+    <div>
+      <div className="mb-2 flex flex-wrap items-center gap-2">
+        <Segmented options={[{ id: "lin", label: t("diagram.linear") }, { id: "log", label: t("diagram.log") }]} value={kind} onChange={(k) => { setKind(k); setView(null); }} ariaLabel={t("diagram.scale")} isDark={isDark} />
+        <button onClick={() => zoom(1.5)} className={btn} aria-label={t("diagram.zoomIn")}>+</button>
+        <button onClick={() => zoom(1 / 1.5)} className={btn} aria-label={t("diagram.zoomOut")}>−</button>
+        <button onClick={() => setView(null)} disabled={!view} className={btn}>{t("diagram.autoView")}</button>
+        <button onClick={() => addSubject(focus_m)} className={btn}>{t("diagram.addSubject")}</button>
+        {subjects.length > 0 && <button onClick={() => { setSubjects([]); setHover(null); }} className={btn}>{t("diagram.clearSubjects")}</button>}
+      </div>
+      <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} className="w-full touch-none select-none"
+        onPointerMove={onPointerMove} onPointerUp={endDrag} onPointerCancel={endDrag}>
+        <defs>
+          <linearGradient id="g1" x1="0" x2="1" y1="0" y2="0">
+            <stop offset="0%" stopColor="#06b6d4" stopOpacity="0.25" />
+            <stop offset="100%" stopColor="#6366f1" stopOpacity="0.25" />
+          </linearGradient>
+          <linearGradient id="g2" x1="0" x2="0" y1="0" y2="1">
+            <stop offset="0%" stopColor="#64748b" stopOpacity="0.6" />
+            <stop offset="100%" stopColor="#94a3b8" stopOpacity="0.2" />
+          </linearGradient>
+        </defs>
+
+        {/* Bandeau (glisser : déplacer la vue, double-clic : placer un sujet) */}
+        <rect x="0" y="0" width={width} height={height} fill="url(#g2)" opacity="0.08" className="cursor-grab"
+          onPointerDown={(e) => startDrag(e, { type: "pan" })}
+          onDoubleClick={(e) => addSubject(mFromX(svgX(e.clientX)))} />
+
+        {/* Baseline */}
+        <line x1={marginL} y1={baselineY} x2={width - marginR} y2={baselineY} stroke="#94a3b8" strokeWidth="1" strokeDasharray="4 3" pointerEvents="none" />
+
+        {/* Caméra (pur SVG) */}
+        <g transform={`translate(${marginL - 55}, ${baselineY - 16})`} pointerEvents="none">
+          <CameraGlyph />
+        </g>
+
+        {/* Wedge FOV */}
+        <path d={`M ${ax} ${ay} L ${lx} ${ly} L ${rx} ${ry} Z`} fill="url(#g1)" stroke="#94a3b8" strokeWidth="0.5" pointerEvents="none" />
+
+        {/* Zone nette autour de la MAP */}
+        <rect x={xDofNear} y={30} width={Math.max(0, xDofFar - xDofNear)} height={baselineY - 30} fill="#f59e0b" opacity="0.18" pointerEvents="none" />
+
+        {/* Marqueurs H/2 et H */}
+        {inView(nearAtH_m) && <MarkerLine x={xFromM(nearAtH_m)} label={`H/2 (${dist(nearAtH_m, unit)})`} color="#10b981" align="top" />}
+        {inView(H_m) && <MarkerLine x={xFromM(H_m)} label={`H (${dist(H_m, unit)})`} color="#4f46e5" align="bottom" />}
+
+        {/* Emplacements comparés : H/2 (cercle vide) → H (cercle plein), une ligne par emplacement */}
+        {compare.map((c, i) => {
+          const y = 36 + i * 9;
+          const xH = xFromM(c.H_m);
+          return (
+            <g key={c.id} pointerEvents="none" opacity={inView(c.H_m) ? 1 : 0.5}>
+              <title>{t("diagram.compareMarker", { slot: c.id, H: dist(c.H_m, unit), near: dist(c.nearAtH_m, unit) })}</title>
+              <line x1={xFromM(c.nearAtH_m)} y1={y} x2={xH} y2={y} stroke={c.color} strokeWidth="2" opacity="0.85" />
+              <circle cx={xFromM(c.nearAtH_m)} cy={y} r="3" fill="#ffffff" stroke={c.color} strokeWidth="1.5" />
+              <circle cx={xH} cy={y} r="3.5" fill={c.color} />
+              <text x={xH + 6} y={y + 3} fontSize="9" fontWeight="600" fill={c.color}>{c.id}</text>
+            </g>
+          );
+        })}
+
+        {/* MAP déplaçable (souris, tactile, clavier) */}
+        <g role="slider" tabIndex={0} aria-label={t("diagram.focusAria")} aria-valuemin={FOCUS_MIN_M} aria-valuemax={FOCUS_MAX_M}
+          aria-valuenow={Number(toFixedSmart(focus_m, 2))} aria-valuetext={dist(focus_m, unit)}
+          onKeyDown={onFocusKey} onPointerDown={(e) => startDrag(e, { type: "focus" })} className="cursor-ew-resize outline-none">
+          <line x1={xFocus} y1={30} x2={xFocus} y2={baselineY} stroke="#f59e0b" strokeWidth="2" strokeDasharray="3 2" />
+          <rect x={xFocus - 8} y={24} width="16" height={baselineY - 24} fill="transparent" />
+          <circle cx={xFocus} cy={30} r="7" fill="#f59e0b" stroke="#ffffff" strokeWidth="2" />
+          <text x={xFocus} y={baselineY - 4} dx="4" fontSize="10" fill="#b45309">{t("diagram.focusLabel", { distance: dist(focus_m, unit) })}</text>
+        </g>
+
+        {/* Sujets */}
+        {subjects.map((s) => {
+          const st = subjectStatus(s.distance_m, near_m, far_m, unit, i18n);
+          const x = xFromM(s.distance_m);
+          return (
+            <g key={s.id} role="button" tabIndex={0} aria-label={t("diagram.subjectAria", { name: s.name, distance: dist(s.distance_m, unit), status: st.text })}
+              onPointerDown={(e) => startDrag(e, { type: "subject", id: s.id })} onKeyDown={(e) => onSubjectKey(e, s)}
+              onPointerEnter={() => setHover(s.id)} onPointerLeave={() => setHover((h) => (h === s.id ? null : h))}
+              onFocus={() => setHover(s.id)} onBlur={() => setHover((h) => (h === s.id ? null : h))}
+              className="cursor-ew-resize outline-none" opacity={inView(s.distance_m) ? 1 : 0.35}>
+              <line x1={x} y1={baselineY - 22} x2={x} y2={baselineY} stroke={st.sharp ? "#10b981" : "#ef4444"} strokeWidth="2" />
+              <circle cx={x} cy={baselineY - 26} r="6" fill={st.sharp ? "#10b981" : "#ef4444"} stroke={hover === s.id ? "#0f172a" : "#ffffff"} strokeWidth="2" />
+              <text x={x} y={baselineY - 36} fontSize="10" textAnchor="middle" fill="#64748b">{s.name}</text>
+            </g>
+          );
+        })}
+
+        {/* Graduations */}
+        {ticks.map((m) => {
+          const x = xFromM(m);
+          return (
+            <g key={m} pointerEvents="none">
+              <line x1={x} y1={baselineY - 4} x2={x} y2={baselineY + 4} stroke="#94a3b8" strokeWidth="1" />
+              <text x={x} y={baselineY + 16} fontSize="11" textAnchor="middle" fill="#64748b">{dist(m, unit)}</text>
+            </g>
+          );
+        })}
+
+        {/* Infobulle du sujet survolé */}
+        {tip && (() => {
+          const st = subjectStatus(tip.distance_m, near_m, far_m, unit, i18n);
+          const label = `${tip.name} · ${dist(tip.distance_m, unit)} · ${st.sharp ? "✓ " : ""}${st.text}`;
+          const w = Math.max(120, label.length * 5.8 + 16);
+          const x = clamp(xFromM(tip.distance_m) - w / 2, 2, width - w - 2);
+          return (
+            <g pointerEvents="none">
+              <rect x={x} y={baselineY + 24} rx="6" width={w} height="20" fill="#0f172a" opacity="0.92" />
+              <text x={x + w / 2} y={baselineY + 38} fontSize="11" textAnchor="middle" fill={st.sharp ? "#6ee7b7" : "#fca5a5"}>{label}</text>
+            </g>
+          );
+        })()}
+      </svg>
+    </div>
   );
 }
 
 function MarkerLine({ x, label, color, align = "top" }) {
   const lineTop = 20, lineBottom = 145;
   return (
-    <g>
+    <g pointerEvents="none">
       <line x1={x} y1={lineTop} x2={x} y2={lineBottom} stroke={color} strokeWidth="2" />
       <rect x={x - 80} y={align === "top" ? 5 : 148} rx="6" width="160" height="18" fill="#0f172a" opacity="0.9" />
       <text x={x} y={align === "top" ? 18 : 161} fontSize="11" textAnchor="middle" fill="#ffffff">{label}</text>
@@ -500,48 +2892,46 @@ function CameraGlyph() {
 }
 
 /* ===================== Tests ===================== */
-function computeHyperfocalMeters({ focal_mm, N, coc_base_mm, crop = 1 }) {
-  // coc équiv = coc_base / crop
-  const f = focal_mm;
-  const c = coc_base_mm / crop;
-  const H_mm = (f * f) / (N * c) + f;
-  return H_mm / 1000;
-}
-
-function computeNearFarMeters({ focal_mm, N, coc_base_mm, crop = 1, s_m }) {
-  const H_m = computeHyperfocalMeters({ focal_mm, N, coc_base_mm, crop });
-  const f_m = focal_mm / 1000;
-  const s = s_m;
-  const near = (H_m * s) / (H_m + (s - f_m));
-  let far;
-  if (s <= H_m) {
-    const denom = H_m - (s - f_m);
-    far = denom <= 0 ? Infinity : (H_m * s) / denom;
-  } else {
-    far = Infinity;
-  }
-  return { H_m, near, far };
+// EXIF minimal (IFD0 → IFD EXIF : f/5,6, 35 mm, sujet à 3 m), en TIFF/ARW brut ou dans un JPEG (APP1)
+function exifFixture({ little = true, jpeg = false } = {}) {
+  const tiff = new DataView(new ArrayBuffer(92));
+  const u16 = (o, v) => tiff.setUint16(o, v, little), u32 = (o, v) => tiff.setUint32(o, v, little);
+  tiff.setUint16(0, little ? 0x4949 : 0x4d4d); u16(2, 42); u32(4, 8);
+  u16(8, 1); u16(10, 0x8769); u16(12, 4); u32(14, 1); u32(18, 26); u32(22, 0);
+  u16(26, 3);
+  [[0x829d, 68, 56, 10], [0x920a, 76, 35, 1], [0x9206, 84, 3, 1]].forEach(([tag, at, num, den], i) => {
+    const e = 28 + i * 12;
+    u16(e, tag); u16(e + 2, 5); u32(e + 4, 1); u32(e + 8, at);
+    u32(at, num); u32(at + 4, den);
+  });
+  if (!jpeg) return tiff.buffer;
+  const out = new Uint8Array(12 + 92);
+  out.set([0xff, 0xd8, 0xff, 0xe1, 0, 100, 0x45, 0x78, 0x69, 0x66, 0, 0]);
+  out.set(new Uint8Array(tiff.buffer), 12);
+  return out.buffer;
 }
 
-function TestPanel({ isDark }) {
+function TestPanel({ i18n, isDark }) {
+  const { t, num, dist } = i18n;
+  const std = t("mode.standard"), act = t("mode.active");
   // Tests hyperfocale (numériques)
   const hyperTests = [
-    { name: "35mm f/8 · Standard", args: { focal_mm: 35, N: 8, coc_base_mm: 0.019, crop: 1.0 }, expected_m: 8.09 },
-    { name: "17mm f/8 · Standard", args: { focal_mm: 17, N: 8, coc_base_mm: 0.019, crop: 1.0 }, expected_m: 1.92 },
-    { name: "70mm f/2.8 · Standard", args: { focal_mm: 70, N: 2.8, coc_base_mm: 0.019, crop: 1.0 }, expected_m: 92.2 },
-    { name: "35mm f/8 · Actif (1.10×)", args: { focal_mm: 35, N: 8, coc_base_mm: 0.019, crop: 1.10 }, expected_m: 8.90 },
+    { name: `35mm f/8 · ${std}`, args: { focal_mm: 35, N: 8, coc_base_mm: 0.019, crop: 1.0 }, expected_m: 8.09 },
+    { name: `17mm f/8 · ${std}`, args: { focal_mm: 17, N: 8, coc_base_mm: 0.019, crop: 1.0 }, expected_m: 1.92 },
+    { name: `70mm f/${num(2.8, 1)} · ${std}`, args: { focal_mm: 70, N: 2.8, coc_base_mm: 0.019, crop: 1.0 }, expected_m: 92.2 },
+    { name: `35mm f/8 · ${act} (${num(1.1, 2)}×)`, args: { focal_mm: 35, N: 8, coc_base_mm: 0.019, crop: 1.10 }, expected_m: 8.90 },
     // Ajouts
-    { name: "17mm f/22 · Standard (bord)", args: { focal_mm: 17, N: 22, coc_base_mm: 0.019, crop: 1.0 }, expected_m: 0.709 },
-    { name: "70mm f/16 · Standard (bord)", args: { focal_mm: 70, N: 16, coc_base_mm: 0.019, crop: 1.0 }, expected_m: 16.19 },
-    { name: "35mm f/8 · Actif (1.20×)", args: { focal_mm: 35, N: 8, coc_base_mm: 0.019, crop: 1.20 }, expected_m: 9.71 },
+    { name: `17mm f/22 · ${std} ${t("tests.edge")}`, args: { focal_mm: 17, N: 22, coc_base_mm: 0.019, crop: 1.0 }, expected_m: 0.709 },
+    { name: `70mm f/16 · ${std} ${t("tests.edge")}`, args: { focal_mm: 70, N: 16, coc_base_mm: 0.019, crop: 1.0 }, expected_m: 16.19 },
+    { name: `35mm f/8 · ${act} (${num(1.2, 2)}×)`, args: { focal_mm: 35, N: 8, coc_base_mm: 0.019, crop: 1.20 }, expected_m: 9.71 },
   ];
 
-  const hyperRows = hyperTests.map((t) => {
-    const actual = computeHyperfocalMeters(t.args);
-    const diff = Math.abs(actual - t.expected_m);
-    const tol = Math.max(0.02 * t.expected_m, 0.02); // 2% ou 2 cm
+  const hyperRows = hyperTests.map((c) => {
+    const actual = computeHyperfocalMeters(c.args);
+    const diff = Math.abs(actual - c.expected_m);
+    const tol = Math.max(0.02 * c.expected_m, 0.02); // 2% ou 2 cm
     const pass = diff <= tol;
-    return { ...t, actual, diff, tol, pass };
+    return { ...c, actual, diff, tol, pass };
   });
 
   const passHyper = hyperRows.every((it) => it.pass);
@@ -554,40 +2944,571 @@ function TestPanel({ isDark }) {
   const propTol = 0.01; // ±1%
   const passProp = Math.abs(ratio - 0.5) <= propTol;
 
+  // Facteur de recadrage par diagonale (équiv. 24×36)
+  const cropTests = [
+    { name: `FX30 (${num(23.5, 1)}×${num(15.6, 1)})`, actual: fullFrameCropFactor(23.5, 15.6), expected: 1.534 },
+    { name: `FX3 (${num(35.6, 1)}×${num(23.8, 1)})`, actual: fullFrameCropFactor(35.6, 23.8), expected: 1.010 },
+  ].map((c) => ({ ...c, pass: Math.abs(c.actual - c.expected) <= 0.005 }));
+
+  // Format d'enregistrement : combinaison des recadrages
+  const fmtTests = [
+    { name: `FX30 4K 120p · ${act}`, actual: recordingCrops({ hfrCrop: CAMERA_BODIES[0].hfrCrop, resolution: "4k", fps: 120, s35: false, ciz: 1, fullFrame: false, mode: "active", activeCrop: 1.1 }).total, expected: 1.76 },
+    { name: `FX30 4K 60p · ${std}`, actual: recordingCrops({ hfrCrop: 1.1, resolution: "4k", fps: 60, s35: false, ciz: 1, fullFrame: false, mode: "standard", activeCrop: 1.1 }).total, expected: 1 },
+    { name: `FX3 HD · S35 · CIZ ${num(1.2, 1)}×`, actual: recordingCrops({ hfrCrop: 1.1, resolution: "hd", fps: 120, s35: true, ciz: 1.2, fullFrame: true, mode: "standard", activeCrop: 1.1 }).total, expected: 1.8 },
+    { name: t("tests.format.noHfr"), actual: Math.max(...frameRatesFor("4k", true, null)), expected: 60 },
+    { name: t("tests.format.s35"), actual: recordingCrops({ resolution: "4k", fps: 24, s35: true, ciz: 2, fullFrame: false, mode: "standard", activeCrop: 1.1 }).total, expected: 1.5 },
+  ].map((c) => ({ ...c, pass: Math.abs(c.actual - c.expected) <= 1e-9 }));
+
+  // Assistant CoC (diffusion → CoC)
+  const fx30View = { sensorW_mm: 23.5, sensorH_mm: 15.6 };
+  const cocTests = [
+    { name: t("tests.coc.tv"), actual: computeCocFromViewing({ ...fx30View, deliveryAspect: 16 / 9, outputWidth_px: 3840, displayWidth_m: 1.43, viewingDistance_m: 2.5 }).coc_mm, expected: 0.0239, tol: 0.0002 },
+    { name: t("tests.coc.strict"), actual: computeCocFromViewing({ ...fx30View, deliveryAspect: 16 / 9, outputWidth_px: 3840, displayWidth_m: 1.43, viewingDistance_m: 2.5, strict: true }).coc_mm, expected: 23.5 / 3840, tol: 1e-9 },
+    { name: t("tests.coc.vertical"), actual: computeCocFromViewing({ ...fx30View, deliveryAspect: 9 / 16, outputWidth_px: 1080, displayWidth_m: 0.068, viewingDistance_m: 0.3 }).usedW_mm, expected: 7.436, tol: 0.001 },
+    { name: t("tests.coc.floor"), actual: computeCocFromViewing({ ...fx30View, deliveryAspect: 16 / 9, outputWidth_px: 1920, displayWidth_m: 2, viewingDistance_m: 1 }).coc_mm, expected: 2 * 23.5 / 1920, tol: 1e-9 },
+  ].map((c) => ({ ...c, pass: Math.abs(c.actual - c.expected) <= c.tol }));
+
+  // Diffraction
+  const fx30Pitch = 23.5 / 6192;
+  // Ouverture optimale appliquée deux fois de suite (ouverture et MAP changent entre les deux) : même recommandation
+  const sweetSpotTwice = (() => {
+    const lens = LENS_PROFILES[0];
+    let state = { N: 2.8, focusM: 1 };
+    return [0, 1].map(() => {
+      const spot = sweetSpotFor({ lens, focal_mm: 24, near_m: 1.5, far_m: 8, ...state });
+      state = { N: spot.N, focusM: spot.focus_m };
+      return spot;
+    });
+  })();
+  const difTests = [
+    { name: "Airy f/8 (550 nm)", actual: airyDiskDiameterMm(8) * 1000, expected: 10.74, tol: 0.01 },
+    { name: t("tests.diffraction.onset"), actual: diffractionAnalysis({ N: 8, coc_mm: 0.019, pixelPitch_mm: fx30Pitch }).onsetN, expected: 5.66, tol: 0.01 },
+    { name: t("tests.diffraction.limit"), actual: diffractionAnalysis({ N: 8, coc_mm: 0.019 }).limitN, expected: 14.16, tol: 0.01 },
+    { name: t("tests.diffraction.optimum"), actual: optimalApertureForRange({ focal_mm: 24, near_m: 1.9, far_m: Infinity }).N, expected: 10.63, tol: 0.01 },
+    { name: t("tests.diffraction.stable"), actual: sweetSpotTwice[1].N, expected: sweetSpotTwice[0].N, tol: 0 },
+  ].map((c) => ({ ...c, pass: Math.abs(c.actual - c.expected) <= c.tol }));
+  const f16Flags = diffractionAnalysis({ N: 16, coc_mm: 0.019, pixelPitch_mm: fx30Pitch });
+  difTests.push({ name: t("tests.diffraction.f16"), actual: f16Flags.exceedsCoc ? 1 : 0, expected: 1, tol: 0, pass: f16Flags.exceedsCoc && f16Flags.visibleAtPixel });
+
+  // Échelles d'ouverture et T-stops
+  const t4 = tStopFromFNumber(4, 1 / 3);
+  const stopTests = [
+    { name: t("tests.stops.third"), pass: snapAperture(7.3) === 7.1 && snapAperture(3.4) === 3.5 && snapAperture(4.3) === 4.5 },
+    { name: t("tests.stops.half"), pass: snapAperture(3.1, "half") === 3.3 && snapAperture(9, "half") === 9.5 },
+    { name: t("tests.stops.full"), pass: snapAperture(6.5, "full") === 5.6 && snapAperture(7, "full") === 8 },
+    { name: t("tests.stops.free"), pass: snapAperture(7.34, "free") === 7.3 },
+    { name: t("tests.stops.bounds"), pass: apertureStops("half", 4.5, 22).join(" ") === "4.5 4.8 5.6 6.7 8 9.5 11 13 16 19 22" },
+    { name: t("tests.stops.tStop"), pass: Math.abs(tStopFromFNumber(2.8, 0.5) - 3.33) < 0.005 && Math.abs(fNumberFromTStop(t4, 1 / 3) - 4) < 1e-12 && tStopFromFNumber(4) === 4 },
+    { name: t("tests.stops.dofOnF"), pass: Math.abs(t4 / 4 - Math.pow(2, 1 / 6)) < 1e-12 && computeHyperfocalMeters({ focal_mm: 35, N: fNumberFromTStop(t4, 1 / 3), coc_base_mm: 0.019 }) === computeHyperfocalMeters({ focal_mm: 35, N: 4, coc_base_mm: 0.019 }) },
+  ];
+
+  // Compagnon d'exposition (ND, obturateur, ISO)
+  const expBase = { refN: 2.8, N: 8, tLoss: 0, fps: 24, shutterMode: "angle", angle: 180, speed: 50, iso: 800, nd: 6, vndMin: 2, vndMax: 8, baseIsos: [800, 2500] };
+  const expPlan = exposurePlan(expBase);
+  const expOver = exposurePlan({ ...expBase, N: 2.8, refN: 8 });
+  const expTests = [
+    { name: t("tests.exposure.angle"), pass: Math.abs(shutterSecondsFromAngle(180, 24) - 1 / 48) < 1e-12 && Math.abs(shutterAngleFromSeconds(1 / 50, 24) - 172.8) < 1e-9 },
+    { name: t("tests.exposure.stopDown"), pass: Math.abs(expPlan.lostStops - 2 * Math.log2(8 / 2.8)) < 1e-12 && Math.abs(expPlan.rows[0].nd - (6 - 2 * Math.log2(8 / 2.8))) < 1e-9 && expPlan.rows[0].status === "ok" },
+    { name: t("tests.exposure.dualBase"), pass: expPlan.rows.length === 2 && expPlan.rows[1].iso === 2500 && Math.abs(expPlan.rows[1].nd - expPlan.rows[0].nd - Math.log2(2500 / 800)) < 1e-9 },
+    { name: t("tests.exposure.isoKeep"), pass: Math.abs(expPlan.isoKeepingNd - 800 * Math.pow(8 / 2.8, 2)) < 1e-6 },
+    { name: t("tests.exposure.tStop"), pass: Math.abs(exposurePlan({ ...expBase, tLoss: 0.5 }).rows[0].nd - expPlan.rows[0].nd) < 1e-9 && Math.abs(exposurePlan({ ...expBase, tLoss: 0.5 }).T - 8 * Math.SQRT2 ** 0.5) < 1e-9 },
+    { name: t("tests.exposure.overVnd"), pass: expOver.rows[0].status === "over" && exposurePlan({ ...expBase, nd: 0 }).rows[0].status === "dark" && exposurePlan({ ...expBase, nd: 4 }).rows[0].status === "under" },
+    { name: t("tests.exposure.vndOrder"), pass: (({ vndMin, vndMax }) => vndMin === 3 && vndMax === 9)(sanitizeExposure({ vndMin: 9, vndMax: 3 })) },
+    { name: t("tests.exposure.rule"), pass: Math.abs(expPlan.ruleOffset) < 1e-12 && Math.abs(exposurePlan({ ...expBase, shutterMode: "speed", speed: 100 }).ruleOffset + 1) < 0.06 && exposurePlan({ ...expBase, angle: 360, fps: 25 }).tooLong === false && ndFilterStrength(3).factor === 8 },
+  ];
+
+  // Métadonnées de prise de vue (XML Sony, EXIF)
+  const sonyXml = `<?xml version="1.0" encoding="UTF-8"?>
+<NonRealTimeMeta><Device manufacturer="Sony" modelName="ILME-FX30"/><Lens modelName="E 17-70mm F2.8 A070"/>
+<AcquisitionRecord><Group name="LensUnitMetadataSet"><Item name="LensZoomActualFocalLength" value="35mm"/><Item name="IrisFNumber" value="F4.0"/>
+<Item name="FocusPositionFromImagePlane" value="3.2m"/></Group><Group name="CameraUnitMetadataSet"><Item name="ImageStabilizerMode" value="Active"/></Group></AcquisitionRecord></NonRealTimeMeta>`;
+  const xmlMeta = parseSonyXml(sonyXml);
+  const xmlT = parseSonyXml(`<?xml version="1.0"?><NonRealTimeMeta><Item value="T2.9" name="IrisTNumber"/><FocusPositionFromImagePlane value="inf"/></NonRealTimeMeta>`);
+  const exifJpeg = parseExif(exifFixture({ jpeg: true }));
+  const exifArw = parseExif(exifFixture({ little: false }));
+  const shotFar = checkShot({ meta: { ...xmlMeta, focus_m: 20, mode: null }, focal_mm: 50, N: 2, s_m: 1, tLoss: 0, cocBase: 0.019, crop: 1 });
+  const shotNear = checkShot({ meta: xmlMeta, focal_mm: 50, N: 2, s_m: 1, tLoss: 0, cocBase: 0.019, crop: 1 });
+  const shotTests = [
+    { name: t("tests.shot.xml"), pass: xmlMeta.focal_mm === 35 && xmlMeta.N === 4 && xmlMeta.focus_m === 3.2 && xmlMeta.mode === "active" && xmlMeta.camera === "ILME-FX30" && xmlMeta.lens === "E 17-70mm F2.8 A070" },
+    { name: t("tests.shot.xmlT"), pass: xmlT.T === 2.9 && xmlT.N === null && xmlT.focus_m === Infinity && Math.abs(shotAperture(xmlT, 0.5) - fNumberFromTStop(2.9, 0.5)) < 1e-12 },
+    { name: t("tests.shot.jpeg"), pass: !!exifJpeg && exifJpeg.N === 5.6 && exifJpeg.focal_mm === 35 && exifJpeg.focus_m === 3 && exifJpeg.mode === null },
+    { name: t("tests.shot.arw"), pass: !!exifArw && exifArw.N === 5.6 && exifArw.focal_mm === 35 },
+    { name: t("tests.shot.invalid"), pass: parseExif(new ArrayBuffer(12)) === null && parseExif(exifFixture().slice(0, 40)) === null && !hasShotData(parseSonyXml("<?xml version=\"1.0\"?><NonRealTimeMeta/>")) },
+    { name: t("tests.shot.check"), pass: shotFar.toInfinity && shotFar.focusRecorded && !shotNear.toInfinity && shotNear.near < 3.2 && shotNear.far > 3.2 && Math.abs(shotNear.H_m - computeHyperfocalMeters({ focal_mm: 35, N: 4, coc_base_mm: 0.019 })) < 1e-12 },
+  ];
+
+  // Comparaison A/B : emplacements et grandeurs par emplacement
+  const slotIn = (id, mode, focal, aperture, lensId = "tamron1770") => ({ id, mode, focal, aperture, focusM: 3, lensId });
+  const slotsOut = sanitizeCompareSlots([
+    slotIn("A", "standard", 17, 8), slotIn("A", "active", 24, 5.6, "inconnu"), { mode: "x" }, null, slotIn("Z", "standard", "abc", 4),
+    slotIn("C", "standard", 35, 4), slotIn(undefined, "active", 50, 2.8), slotIn("B", "standard", 70, 2.8),
+  ]);
+  const slotStd = compareSlot({ slot: slotIn("A", "standard", 24, 5.6), cocBase: 0.019, crop: 1, sensorW: 23.5, sensorH: 15.6, deliveryAspect: null });
+  const slotAct = compareSlot({ slot: slotIn("B", "active", 24, 5.6), cocBase: 0.019, crop: 1.1, sensorW: 23.5, sensorH: 15.6, deliveryAspect: null });
+  const compareTests = [
+    { name: t("tests.compare.sanitize"), pass: slotsOut.length === 4 && slotsOut.map((x) => x.id).join("") === "ABCD" && slotsOut[1].lensId === "free" && slotsOut[3].focal === 50 && sanitizeCompareSlots({}) === null },
+    { name: t("tests.compare.engine"), pass: Math.abs(slotAct.coc - 0.019 / 1.1) < 1e-12 && Math.abs(slotAct.H_m - computeHyperfocalMeters({ focal_mm: 24, N: 5.6, coc_base_mm: 0.019 / 1.1 })) < 1e-12 && slotAct.H_m > slotStd.H_m && slotAct.nearAtH_m === slotAct.H_m / 2 && slotAct.hFOV < slotStd.hFOV && slotAct.ffEq > slotStd.ffEq },
+    { name: t("tests.compare.differs"), pass: compareDiffers(["1 m", "2 m", "1 m"]).join() === "false,true,false" && compareDiffers(["x"]).join() === "false" },
+  ];
+
+  // Flou d'arrière-plan : disque de flou et comparaison à cadrage égal
+  const bokehH = computeHyperfocalMeters({ focal_mm: 35, N: 4, coc_base_mm: 0.019 });
+  const bokehViewsTest = [{ id: "standard", crop: 1, usedW_mm: 23.5, coc_mm: 0.019 }, { id: "active", crop: 1.1, usedW_mm: 23.5 / 1.1, coc_mm: 0.019 / 1.1 }];
+  const bokehRows = bokehComparison({ focals: [17, 35, 70], N: 2.8, s_m: 3, d_m: 13, ref: { focal_mm: 35, usedW_mm: 23.5 }, views: bokehViewsTest });
+  const bokehShare = (focal_mm, c, w) => magnificationAt({ focal_mm, s_m: c.s_m }) / w;
+  const bokehTests = [
+    { name: t("tests.bokeh.disc"), pass: blurDiscDiameterMm({ focal_mm: 35, N: 4, s_m: 2, d_m: 2 }) === 0 && Math.abs(blurDiscDiameterMm({ focal_mm: 35, N: 4, s_m: bokehH, d_m: Infinity }) - 0.019) < 1e-12 && isNaN(blurDiscDiameterMm({ focal_mm: 35, N: 4, s_m: 0.03, d_m: 1 })) },
+    { name: t("tests.bokeh.formula"), pass: Math.abs(blurDiscDiameterMm({ focal_mm: 50, N: 2, s_m: 2, d_m: 10 }) - (2500 / (2 * 1950)) * 0.8) < 1e-12 },
+    { name: t("tests.bokeh.framing"), pass: Math.abs(bokehRows[1].cells[0].s_m - 3) < 1e-9 && Math.abs(bokehShare(70, bokehRows[2].cells[0], 23.5) - bokehShare(35, bokehRows[1].cells[0], 23.5)) < 1e-12 && Math.abs(bokehShare(35, bokehRows[1].cells[1], 23.5 / 1.1) - bokehShare(35, bokehRows[1].cells[0], 23.5)) < 1e-12 && bokehRows[1].cells[1].s_m > 3 },
+    { name: t("tests.bokeh.longer"), pass: bokehRows[2].cells[0].framePct > bokehRows[1].cells[0].framePct && bokehRows[1].cells[0].framePct > bokehRows[0].cells[0].framePct },
+  ];
+
+  // Proche mise au point : lentille mince exacte (grandissement, pupilles, tirage)
+  const exactFar = computeNearFarExact({ focal_mm: 35, N: 4, coc_base_mm: 0.019, s_m: 10 });
+  const simpleFar = computeNearFarMeters({ focal_mm: 35, N: 4, coc_base_mm: 0.019, s_m: 10 });
+  const exactH = computeHyperfocalExactMeters({ focal_mm: 35, N: 4, coc_base_mm: 0.019 });
+  const exactClose = computeNearFarExact({ focal_mm: 70, N: 4, coc_base_mm: 0.019, s_m: 0.3, pupilMag: 0.5 });
+  const simpleClose = computeNearFarMeters({ focal_mm: 70, N: 4, coc_base_mm: 0.019, s_m: 0.3 });
+  const closeApprox = (2 * 4 * 0.019 * (1 + exactClose.m / 0.5)) / (exactClose.m * exactClose.m) / 1000;
+  const closeTests = [
+    { name: t("tests.closeFocus.far"), pass: Math.abs(exactFar.near / simpleFar.near - 1) < 0.005 && Math.abs(exactFar.far / simpleFar.far - 1) < 0.005 },
+    { name: t("tests.closeFocus.hyperfocal"), pass: Math.abs(exactH - (35 * 35 / (4 * 0.019) + 70 + 4 * 0.019) / 1000) < 1e-12 && computeNearFarExact({ focal_mm: 35, N: 4, coc_base_mm: 0.019, s_m: exactH * 1.0001 }).far === Infinity && isFinite(computeNearFarExact({ focal_mm: 35, N: 4, coc_base_mm: 0.019, s_m: exactH * 0.99 }).far) },
+    { name: t("tests.closeFocus.magnification"), pass: Math.abs(magnificationFromSensorDistance({ focal_mm: 50, s_m: 0.2 }) - 1) < 1e-9 && isNaN(magnificationFromSensorDistance({ focal_mm: 50, s_m: 0.199 })) && Math.abs(magnificationFromSensorDistance({ focal_mm: 50, s_m: sensorDistanceForMagnification({ focal_mm: 50, m: 0.25 }) }) - 0.25) < 1e-12 },
+    { name: t("tests.closeFocus.effective"), pass: effectiveAperture({ N: 4, m: 1 }) === 8 && effectiveAperture({ N: 4, m: 0.5, pupilMag: 0.5 }) === 8 && Math.abs(exactClose.Nw - 4 * (1 + exactClose.m / 0.5)) < 1e-12 },
+    { name: t("tests.closeFocus.close"), pass: Math.abs((exactClose.far - exactClose.near) / closeApprox - 1) < 0.001 && simpleClose.far - simpleClose.near > 2 * (exactClose.far - exactClose.near) },
+    { name: t("tests.closeFocus.ratio"), pass: reproductionRatio(0.25, num) === "1:4" && reproductionRatio(2, num) === "2:1" && formatDistanceMeters(0.00095, "m", "fr") === "0,95 mm" && formatDistanceMeters(0.305, "m") === "30.5 cm" },
+  ];
+
+  // Solveur inverse (zone nette → N, MAP)
+  const tamron = LENS_PROFILES.find((l) => l.id === "tamron1770");
+  const solved = solveFocusForRange({ focal_mm: 35, coc_base_mm: 0.019, near_m: 2, far_m: 6 });
+  const solvedBack = computeNearFarMeters({ focal_mm: 35, N: solved.N, coc_base_mm: 0.019, s_m: solved.s_m });
+  const solverTests = [
+    { name: t("tests.solver.basic"), pass: Math.abs(solved.s_m - 3) < 1e-9 && Math.abs(solved.N - 10.94) <= 0.01 },
+    { name: t("tests.solver.roundTrip"), pass: Math.abs(solvedBack.near - 2) < 1e-6 && Math.abs(solvedBack.far - 6) < 1e-6 },
+    { name: t("tests.solver.shorter"), pass: (() => { const r = solveForLens({ focal: 70, lens: tamron, cocBase: 0.019, crop: 1, near_m: 1, far_m: Infinity }); return r.status === "shorter" && Math.abs(r.focal - 28.4) <= 0.2; })() },
+    { name: t("tests.solver.compromise"), pass: solveForLens({ focal: 17, lens: tamron, cocBase: 0.019, crop: 1, near_m: 0.3, far_m: Infinity }).status === "compromise" },
+    { name: t("tests.solver.inverted"), pass: solveForLens({ focal: 35, lens: tamron, cocBase: 0.019, crop: 1, near_m: 5, far_m: 2 }).status === "invalid" },
+  ];
+
+  // Cadrage (champ couvert ↔ recul)
+  const frame35 = frameSizeAtDistance({ focal_mm: 35, effW: 23.5, effH: 15.6, distance_m: 3.035 });
+  const fitPerson = distanceToFit({ focal_mm: 35, effW: 23.5, effH: 15.6, subjectW_m: 0.6, subjectH_m: 1.75 });
+  const [framingStd, framingAct] = framingTable({ focal: 35, sensorW: 23.5, sensorH: 15.6, formatCrop: 1, activeCrop: 1.1, distance_m: 3, subject: FRAMING_SUBJECTS[0], personH: 1.75 });
+  const framingTests = [
+    { name: t("tests.framing.field"), pass: Math.abs(frame35.width_m - 2.0143) < 1e-3 && Math.abs(frame35.height_m - 1.3371) < 1e-3 },
+    { name: t("tests.framing.person"), pass: fitPerson.limitedBy === "height" && Math.abs(frameSizeAtDistance({ focal_mm: 35, effW: 23.5, effH: 15.6, distance_m: fitPerson.distance_m }).height_m - 1.75) < 1e-9 },
+    { name: t("tests.framing.active"), pass: Math.abs(framingStd.frame.width_m / framingAct.frame.width_m - 1.1) < 1e-9 },
+    { name: t("tests.framing.shots"), pass: framingStd.shots.every((sz, i, a) => i === 0 || sz.distance_m > a[i - 1].distance_m) },
+  ];
+
+  // Ratio de livraison (zone livrée, FOV, équivalence)
+  const fx30Fov = { focal_mm: 35, sensorW_mm: 23.5, sensorH_mm: 15.6 };
+  const fovSensor = computeDeliveryFieldOfView(fx30Fov);
+  const fov169 = computeDeliveryFieldOfView({ ...fx30Fov, deliveryAspect: 16 / 9 });
+  const fovScope = computeDeliveryFieldOfView({ ...fx30Fov, deliveryAspect: 2.39 });
+  const fovVertical = computeDeliveryFieldOfView({ ...fx30Fov, deliveryAspect: 9 / 16 });
+  const aspectRects = frameLineRects({ sensorW: 23.5, sensorH: 15.6, formatCrop: 1, activeCrop: 1.1, mode: "active", deliveryAspect: 2.39 });
+  const aspectTests = [
+    { name: t("tests.aspect.sensor"), pass: Math.abs(fovSensor.hFOV - computeFieldOfView(fx30Fov).hFOV) < 1e-9 && Math.abs(fovSensor.ffEq_mm - fullFrameEquivalentFocal(fx30Fov)) < 1e-9 },
+    { name: t("tests.aspect.scope"), pass: Math.abs(fovScope.hFOV - fov169.hFOV) < 1e-9 && Math.abs(fovScope.usedH_mm - 23.5 / 2.39) < 1e-9 && fovScope.vFOV < fov169.vFOV },
+    { name: t("tests.aspect.vertical"), pass: Math.abs(fovVertical.usedW_mm - 7.436) < 1e-3 && Math.abs(fovVertical.usedH_mm - 13.219) < 1e-3 },
+    { name: t("tests.aspect.ffEq"), pass: fovScope.ffEq_mm > fov169.ffEq_mm && fov169.ffEq_mm > fovSensor.ffEq_mm },
+    { name: t("tests.aspect.frameLines"), pass: Math.abs(aspectRects.standard.w / aspectRects.active.w - 1.1) < 1e-9 && Math.abs(aspectRects.delivery.w - aspectRects.active.w) < 1e-9 },
+    { name: "parseAspect(\"2,76:1\" · \"4:3\" · \"abc\")", pass: parseAspect("2,76:1") === 2.76 && Math.abs(parseAspect("4:3") - 4 / 3) < 1e-12 && parseAspect("abc") === null },
+  ];
+
+  // Planificateur de points
+  const plan = planFocusMarks({ marks: sanitizeFocusMarks([{ name: "B", distance_m: 4.2 }, { name: "A", distance_m: 1.8 }, { name: "C", distance_m: 2 }]), focal_mm: 35, N: 2.8, coc_base_mm: 0.019, crop: 1 });
+  const planTests = [
+    { name: t("tests.planner.sorted"), pass: plan.map((r) => r.name).join("") === "ACB" },
+    { name: t("tests.planner.overlap"), pass: plan[0].next.overlap_m > 0 },
+    { name: t("tests.planner.gap"), pass: plan[1].next.overlap_m < 0 },
+    { name: t("tests.planner.common"), pass: Math.abs(plan[1].next.N - solveFocusForRange({ focal_mm: 35, coc_base_mm: 0.019, near_m: 2, far_m: 4.2 }).N) < 1e-9 && plan[2].next === null },
+    { name: t("tests.planner.feet"), pass: formatFeetInches(1.93) === "6' 4\"" && formatFeetInches(0.3048 * 6 - 0.001) === "6' 0\"" },
+    { name: t("tests.planner.names"), pass: (() => {
+      // Repère ajouté en français puis affiché après passage en anglais
+      const withFocus = sanitizeFocusMarks([...DEFAULT_FOCUS_MARKS, newFocusMark(DEFAULT_FOCUS_MARKS, 3, { nameKey: "focus" })]);
+      const added = sanitizeFocusMarks([...withFocus, newFocusMark(withFocus, 9)]);
+      const [fr, en] = ["fr", "en"].map((l) => createI18n(l).t);
+      const names = (tr) => added.map((m, i) => markName(m, i, tr)).join("|");
+      return names(fr) === "Sujet A|MAP 3|Sujet B|Repère 4" && names(en) === "Subject A|Focus 3|Subject B|Mark 4"
+        && newFocusMark(added, 2, { name: " Porte " }).name === "Porte";
+    })() },
+  ];
+
+  // Schéma interactif (échelles, zoom, sujets)
+  const linScale = diagramScale("lin"), logScale = diagramScale("log");
+  const zoomed = zoomDomain([0, 100], { k: 2, uA: 20 }, linScale);
+  const diagramTests = [
+    { name: t("tests.diagram.zoom"), pass: Math.abs(zoomed[0] - 10) < 1e-9 && Math.abs(zoomed[1] - 60) < 1e-9 },
+    { name: t("tests.diagram.pan"), pass: zoomDomain([0, 10], { du: -5 }, linScale)[0] === 0 },
+    { name: t("tests.diagram.logTicks"), pass: diagramTicks([Math.log10(0.2), 2], logScale).join(" ") === "0.2 0.5 1 2 5 10 20 50 100" },
+    { name: t("tests.diagram.linTicks"), pass: diagramTicks([0, 100], linScale).join(" ") === "0 20 40 60 80 100" },
+    { name: t("tests.diagram.subject"), pass: subjectStatus(2, 1.6, 2.5, "m", i18n).sharp && !subjectStatus(3, 1.6, 2.5, "m", i18n).sharp && subjectStatus(10, 5, Infinity, "m", i18n).sharp },
+  ];
+
+  // Pieds et pouces (saisie et affichage impérial)
+  const inch = 0.0254, foot = 0.3048;
+  const inFeet = (ms) => ms.map((m) => toFixedSmart(m / foot, 2)).join(" ");
+  const imperialTests = [
+    { name: t("tests.imperial.feetInches"), pass: ["6' 4\"", "6ft 4in", "6 ft 4 in", "6'4", "6′ 4″", "76in"].every((x) => Math.abs(parseDistanceMeters(x) - 76 * inch) < 1e-9) },
+    { name: t("tests.imperial.fraction"), pass: Math.abs(parseDistanceMeters("6' 4 1/2\"") - 76.5 * inch) < 1e-9 && Math.abs(parseDistanceMeters("1/2\"") - 0.5 * inch) < 1e-9 },
+    { name: t("tests.imperial.metric"), pass: Math.abs(parseDistanceMeters("1.9m") - 1.9) < 1e-9 && Math.abs(parseDistanceMeters("190cm", "ft") - 1.9) < 1e-9 },
+    { name: t("tests.imperial.bareFeet"), pass: Math.abs(parseDistanceMeters("6.5", "ft") - 6.5 * foot) < 1e-9 && Math.abs(parseDistanceMeters("6,5") - 6.5) < 1e-9 },
+    { name: t("tests.imperial.reject"), pass: ["6' 14\"", "6' 1/0\"", "abc", "\"", "4 1/2"].every((x) => Number.isNaN(parseDistanceMeters(x))) },
+    { name: t("tests.imperial.format"), pass: formatFeetInches(76.5 * inch, 2) === "6' 4 1/2\"" && formatFeetInches(76.6 * inch) === "6' 5\"" && formatFeetInches(76.0625 * inch, 16) === "6' 4 1/16\"" && formatFeetInches(72.25 * inch, 8) === "6' 1/4\"" },
+    { name: t("tests.imperial.dist"), pass: createI18n("fr", { inchFraction: 4 }).dist(76.25 * inch, "ft") === "6' 4 1/4\"" && createI18n("fr").dist(1.9, "m") === "1,9 m" && formatDistanceMeters(76 * inch, "ft") === "6.33 ft" },
+    { name: t("tests.imperial.ticks"), pass: inFeet(diagramTicks([0, 30 * foot], linScale, foot)) === "0 10 20 30" && inFeet(diagramTicks([Math.log10(foot), Math.log10(100 * foot)], logScale, foot)) === "1 2 5 10 20 50 100" },
+  ];
+
+  // Carte image
+  const cardStatsT = [{ label: "Hyperfocale (H)", value: "8.09 m" }, { label: "CoC", value: "<0.019>" }, { label: "Mode", value: "Standard" }, { label: "FOV", value: "37°" }];
+  const card = buildResultCardSVG({ title: "FX30 + Tamron & co", subtitle: "35 mm", stats: cardStatsT, diagram: '<svg viewBox="0 0 760 160"><rect/></svg>', theme: "dark" });
+  const cardBare = buildResultCardSVG({ title: "FX30", subtitle: "", stats: cardStatsT, theme: "print" });
+  const cardTests = [
+    { name: t("tests.card.escaped"), pass: card.svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"') && card.svg.includes("Tamron &amp; co") && card.svg.includes("&lt;0.019&gt;") },
+    { name: t("tests.card.nested"), pass: /<svg x="20" y="\d+" width="760" height="160" viewBox="0 0 760 160">/.test(card.svg) },
+    { name: t("tests.card.bare"), pass: cardBare.height < card.height && cardBare.svg.includes('fill="#ffffff"') && !cardBare.svg.includes("#0f172a\" />") },
+  ];
+
+  // Moteur optique (API partagée avec la CLI)
+  const engine = computeOptics({ focal_mm: 35, N: 8, crop: 1.10, s_m: 3 });
+  const engineTests = [
+    { name: `hFOV 35 mm FX30 · ${act}`, actual: engine.hFOV, expected: 33.94, tol: 0.05 },
+    { name: "H via computeOptics = computeHyperfocalMeters", actual: engine.H_m, expected: computeHyperfocalMeters({ focal_mm: 35, N: 8, coc_base_mm: 0.019, crop: 1.10 }), tol: 1e-9 },
+    { name: "parseDistanceMeters(\"10ft\")", actual: parseDistanceMeters("10ft"), expected: 3.048, tol: 1e-6 },
+    { name: "parseDistanceMeters(\"250 cm\")", actual: parseDistanceMeters("250 cm"), expected: 2.5, tol: 1e-9 },
+  ].map((c) => ({ ...c, pass: Math.abs(c.actual - c.expected) <= c.tol }));
+
+  // Profils objectifs (limites focale / ouverture)
+  const lensById = (id) => LENS_PROFILES.find((l) => l.id === id);
+
+  // Aide-mémoire (grille + CSV)
+  const sheet = buildCheatSheet({ lens: lensById("sony18105"), cocBase: 0.019, activeCrop: 1.10 });
+  const sheetCsv = cheatSheetCSV(sheet, "m").trim().split("\n");
+  const sheetTests = [
+    { name: t("tests.cheat.focals"), pass: sheet[0].rows.map((r) => r.focal_mm).join(",") === "18,20,24,28,35,50,70,105" },
+    { name: t("tests.cheat.reference"), pass: Math.abs(sheet[1].rows[4].cells[3].H_m - 8.90) <= 0.02 },
+    { name: t("tests.cheat.impossible"), pass: !sheet[0].rows[0].cells[0].possible && sheet[0].rows[0].cells[1].possible },
+    { name: t("tests.cheat.csv"), pass: sheetCsv.length === 17 && sheetCsv[0].split(",").length === 2 + 2 * PRESET_APERTURES.length },
+  ];
+  const lensTests = [
+    { name: t("tests.lens.kitWide"), actual: lensMaxApertureAt(lensById("sony1650"), 16), expected: 3.5 },
+    { name: t("tests.lens.kitMid"), actual: lensMaxApertureAt(lensById("sony1650"), 42.5), expected: 5.3 },
+    { name: t("tests.lens.tamron"), actual: fitToLens(lensById("tamron1770"), 24, 1.4).aperture, expected: 2.8 },
+    { name: t("tests.lens.sigma"), actual: fitToLens(lensById("sigma16"), 24, 8).focal, expected: 16 },
+  ].map((c) => ({ ...c, pass: Math.abs(c.actual - c.expected) <= 1e-9 }));
+
+  // Permalien : aller-retour et valeurs invalides
+  const linkState = { mode: "active", focal: 24, aperture: 5.6, unit: "ft", focusM: 2.5, cocBase: 0.019, sensorW: 23.5, sensorH: 15.6, activeCrop: 1.1, bodyId: "fx30", lensId: "tamron1770", theme: "dark", resolution: "hd", fps: 240, sq: true, s35: false, ciz: 1.25, cocSource: "auto", cocAspect: 2.39, cocStrict: true };
+  const linkBack = decodePermalink(encodePermalink(linkState));
+  const linkBad = decodePermalink("?m=macro&f=500&n=abc&lens=nope&t=dark");
+  const linkTests = [
+    { name: t("tests.link.roundTrip"), pass: linkBack.issues.length === 0 && Object.keys(linkState).every((k) => linkBack.values[k] === linkState[k]) },
+    { name: t("tests.link.invalid"), pass: linkBad.values.mode === undefined && linkBad.values.focal === 200 && linkBad.values.aperture === undefined && linkBad.values.lensId === undefined && linkBad.values.theme === "dark" && linkBad.issues.length === 4 },
+  ];
+
+  // Presets : validation (stockage / import)
+  const presetsIn = [
+    { id: "a", name: " Interview ", mode: "active", focal: 35, aperture: 2.8, focusM: 1.8 },
+    { id: "a", name: "Doublon d'id", mode: "standard", focal: 300, aperture: 0.5 },
+    { name: "Mode inconnu", mode: "macro", focal: 50, aperture: 4 },
+    { name: "", mode: "standard", focal: 24, aperture: 8 },
+  ];
+  const presetsOut = sanitizePresets(presetsIn);
+  const presetTests = [
+    { name: t("tests.presets.invalid"), pass: presetsOut.length === 2 },
+    { name: t("tests.presets.cleaned"), pass: presetsOut[0].name === "Interview" && presetsOut[0].focusM === 1.8 },
+    { name: t("tests.presets.dedup"), pass: presetsOut[1].id !== "a" && presetsOut[1].focal === 200 && presetsOut[1].aperture === 1 },
+    { name: t("tests.presets.notArray"), pass: sanitizePresets({ presets: [] }) === null },
+    { name: t("tests.presets.customBodies"), pass: (() => {
+      const bodiesOut = sanitizeCustomBodies([
+        { id: "c1", name: "Cage", sensorW: 60, sensorH: 15.6, cocBase: 0.019, activeCrop: 1.1, hfrCrop: null },
+        { id: "c2", name: "Sans CoC", sensorW: 23.5, sensorH: 15.6, activeCrop: 1.1 },
+        { id: "c3", name: "Texte", sensorW: "23.5", sensorH: 15.6, cocBase: 0.019, activeCrop: 1.1 },
+      ]);
+      return bodiesOut.length === 1 && bodiesOut[0].sensorW === 40 && bodiesOut[0].hfrCrop === null && sanitizeCustomBodies(null).length === 0;
+    })() },
+    { name: t("tests.presets.blankRename"), pass: renamePreset(presetsOut[0], "   ") === presetsOut[0] && renamePreset(presetsOut[0], "  Portrait ").name === "Portrait " },
+    { name: t("tests.presets.defaultNames"), pass: (() => {
+      const kept = sanitizePresets(DEFAULT_PRESETS);
+      const marks = sanitizeFocusMarks(DEFAULT_FOCUS_MARKS);
+      const [fr, en] = ["fr", "en"].map((l) => createI18n(l).t);
+      return kept[1].nameKey === "land" && presetName(kept[1], fr) === "Paysage" && presetName(kept[1], en) === "Landscape"
+        && presetName(renamePreset(kept[1], "Mon paysage"), en) === "Mon paysage" && !("nameKey" in renamePreset(kept[1], "Mon paysage"))
+        && markName(marks[0], 0, en) === "Subject A" && markName({ name: "" }, 2, en) === "Mark 3";
+    })() },
+  ];
+
+  // Traduction : catalogues complets, séparateur décimal selon la langue
+  const [refKeys, ...otherKeys] = LANGUAGES.map((l) => catalogKeys(l.messages).sort().join("|"));
+  const i18nTests = [
+    { name: t("tests.i18n.comma"), pass: toFixedSmart(8.09, 2, "fr") === "8,09" && formatDistanceMeters(8.09, "m", "fr") === "8,09 m" },
+    { name: t("tests.i18n.point"), pass: formatDistanceMeters(8.09, "m", "en") === "8.09 m" && toFixedSmart(8.09, 2) === "8.09" },
+    { name: t("tests.i18n.complete"), pass: otherKeys.every((k) => k === refKeys) },
+    { name: t("tests.i18n.params"), pass: createI18n("en").t("link.ignored", { param: "f" }) === "f ignored" && createI18n("xx").lang === "fr" },
+    { name: t("tests.i18n.detect"), pass: detectLanguage(["en-GB"]) === "en" && detectLanguage(["es-ES"]) === "fr" && detectLanguage(["es", "en"]) === "en" },
+  ];
+
+  // Tests profondeur de champ (MAP quelconque)
+  const dofTests = [
+    { name: `35mm f/8 · ${t("tests.dof.focus", { distance: dist(3, "m") })}`, args: { focal_mm: 35, N: 8, coc_base_mm: 0.019, crop: 1.0, s_m: 3 }, near_m: 2.196, far_m: 4.734 },
+    { name: `17mm f/8 · ${t("tests.dof.focus", { distance: dist(1.5, "m") })}`, args: { focal_mm: 17, N: 8, coc_base_mm: 0.019, crop: 1.0, s_m: 1.5 }, near_m: 0.846, far_m: 6.61 },
+    { name: `50mm f/${num(2.8, 1)} · ${act} · ${t("tests.dof.focus", { distance: dist(2, "m") })}`, args: { focal_mm: 50, N: 2.8, coc_base_mm: 0.019, crop: 1.10, s_m: 2 }, near_m: 1.927, far_m: 2.078 },
+    { name: `35mm f/8 · ${t("tests.dof.focus", { distance: dist(12, "m") })} (> H)`, args: { focal_mm: 35, N: 8, coc_base_mm: 0.019, crop: 1.0, s_m: 12 }, near_m: 4.842, far_m: Infinity },
+  ];
+  const dofRows = dofTests.map((c) => {
+    const { near, far } = computeNearFarMeters(c.args);
+    const okNear = Math.abs(near - c.near_m) <= Math.max(0.01 * c.near_m, 0.01);
+    const okFar = c.far_m === Infinity ? far === Infinity : Math.abs(far - c.far_m) <= Math.max(0.01 * c.far_m, 0.01);
+    return { ...c, near, far, pass: okNear && okFar };
+  });
+  const passDof = dofRows.every((it) => it.pass);
+
   return (
     <details className="mt-5">
-      <summary className="cursor-pointer select-none text-sm font-semibold">Tests (hyperfocale FX30)</summary>
+      <summary className="cursor-pointer select-none text-sm font-semibold">{t("tests.title")}</summary>
       {/* Tableau hyperfocale */}
       <div className={`mt-3 overflow-x-auto rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
         <table className="w-full text-left">
           <thead>
             <tr className={`text-xs ${isDark ? "text-slate-300" : "text-slate-600"}`}>
-              <th className="px-2 py-1">Cas</th>
-              <th className="px-2 py-1">Attendu</th>
-              <th className="px-2 py-1">Obtenu</th>
-              <th className="px-2 py-1">Tolérance</th>
-              <th className="px-2 py-1">Statut</th>
+              <th className="px-2 py-1">{t("tests.case")}</th>
+              <th className="px-2 py-1">{t("tests.expected")}</th>
+              <th className="px-2 py-1">{t("tests.actual")}</th>
+              <th className="px-2 py-1">{t("tests.tolerance")}</th>
+              <th className="px-2 py-1">{t("tests.status")}</th>
             </tr>
           </thead>
           <tbody>
             {hyperRows.map((it) => (
               <tr key={it.name} className={`border-t ${isDark ? "border-white/20" : "border-slate-200"}`}>
                 <td className="px-2 py-1">{it.name}</td>
-                <td className="px-2 py-1">{toFixedSmart(it.expected_m, 3)} m</td>
-                <td className="px-2 py-1">{toFixedSmart(it.actual, 3)} m</td>
-                <td className="px-2 py-1">±{toFixedSmart(it.tol, 3)} m</td>
+                <td className="px-2 py-1">{num(it.expected_m, 3)} m</td>
+                <td className="px-2 py-1">{num(it.actual, 3)} m</td>
+                <td className="px-2 py-1">±{num(it.tol, 3)} m</td>
                 <td className="px-2 py-1">{it.pass ? "✅" : "❌"}</td>
               </tr>
             ))}
           </tbody>
         </table>
-        <div className="mt-2 text-xs">Hyperfocale : {passHyper ? "✅ Tous les tests passent" : "❌ Échecs — vérifier formules/constantes"}</div>
+        <div className="mt-2 text-xs">{t("tests.hyperSummary", { result: t(passHyper ? "tests.allPass" : "tests.failures") })}</div>
       </div>
 
       {/* Propriété near@H */}
       <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
-        <div className="text-sm font-medium">Propriété : s = H ⇒ near ≈ H/2</div>
-        <div className="mt-1 text-xs">Ratio obtenu: {toFixedSmart(ratio, 3)} (attendu 0.5 ± {toFixedSmart(propTol, 3)}) — {passProp ? "✅" : "❌"}</div>
+        <div className="text-sm font-medium">{t("tests.property")}</div>
+        <div className="mt-1 text-xs">{t("tests.ratio", { ratio: num(ratio, 3), expected: num(0.5, 1), tol: num(propTol, 3) })} — {passProp ? "✅" : "❌"}</div>
+      </div>
+
+      {/* Facteur de recadrage */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.crop.title")}</div>
+        {cropTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{t("tests.result", { name: c.name, actual: `${num(c.actual, 3)}`, expected: `${num(c.expected, 3)} ± ${num(0.005, 3)}` })} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Format d'enregistrement */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.format.title")}</div>
+        {fmtTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{t("tests.result", { name: c.name, actual: `×${num(c.actual, 3)}`, expected: `×${num(c.expected, 3)}` })} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Assistant CoC */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.coc.title")}</div>
+        {cocTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{t("tests.result", { name: c.name, actual: `${num(c.actual, 4)}`, expected: `${num(c.expected, 4)}` })} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Échelles d'ouverture et T-stops */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.stops.title")}</div>
+        {stopTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Métadonnées de prise de vue */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.shot.title")}</div>
+        {shotTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Comparaison A/B */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.compare.title")}</div>
+        {compareTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Flou d'arrière-plan */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.bokeh.title")}</div>
+        {bokehTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Proche mise au point */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.closeFocus.title")}</div>
+        {closeTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Exposition */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.exposure.title")}</div>
+        {expTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Diffraction */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.diffraction.title")}</div>
+        {difTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{t("tests.result", { name: c.name, actual: `${num(c.actual, 2)}`, expected: `${num(c.expected, 2)}` })} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Solveur inverse */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.solver.title")}</div>
+        {solverTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Cadrage */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.framing.title")}</div>
+        {framingTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Ratio de livraison */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.aspect.title")}</div>
+        {aspectTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Planificateur de points */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.planner.title")}</div>
+        {planTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Pieds et pouces */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.imperial.title")}</div>
+        {imperialTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Schéma interactif */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.diagram.title")}</div>
+        {diagramTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Carte image */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.card.title")}</div>
+        {cardTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Moteur optique */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.engine.title")}</div>
+        {engineTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{t("tests.result", { name: c.name, actual: `${num(c.actual, 3)}`, expected: `${num(c.expected, 3)}` })} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Aide-mémoire */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.cheat.title")}</div>
+        {sheetTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Profils objectifs */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.lens.title")}</div>
+        {lensTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{t("tests.result", { name: c.name, actual: `${num(c.actual, 2)}`, expected: `${num(c.expected, 2)}` })} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Permalien */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.link.title")}</div>
+        {linkTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Presets */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.presets.title")}</div>
+        {presetTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Traduction */}
+      <div className={`mt-3 rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <div className="text-sm font-medium">{t("tests.i18n.title")}</div>
+        {i18nTests.map((c) => (
+          <div key={c.name} className="mt-1 text-xs">{c.name} — {c.pass ? "✅" : "❌"}</div>
+        ))}
+      </div>
+
+      {/* Profondeur de champ */}
+      <div className={`mt-3 overflow-x-auto rounded-xl border p-3 text-sm shadow-sm ${isDark ? "border-white/10 bg-slate-800/60" : "border-white/10 bg-white/60"}`}>
+        <table className="w-full text-left">
+          <thead>
+            <tr className={`text-xs ${isDark ? "text-slate-300" : "text-slate-600"}`}>
+              <th className="px-2 py-1">{t("tests.case")}</th>
+              <th className="px-2 py-1">{t("tests.nearColumn")}</th>
+              <th className="px-2 py-1">{t("tests.farColumn")}</th>
+              <th className="px-2 py-1">{t("tests.status")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {dofRows.map((it) => (
+              <tr key={it.name} className={`border-t ${isDark ? "border-white/20" : "border-slate-200"}`}>
+                <td className="px-2 py-1">{it.name}</td>
+                <td className="px-2 py-1">{num(it.near_m, 3)} / {num(it.near, 3)} m</td>
+                <td className="px-2 py-1">{it.far_m === Infinity ? "∞" : num(it.far_m, 3)} / {it.far === Infinity ? "∞" : num(it.far, 3)} m</td>
+                <td className="px-2 py-1">{it.pass ? "✅" : "❌"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-2 text-xs">{t("tests.dofSummary", { result: t(passDof ? "tests.allPass" : "tests.failures") })}</div>
       </div>
     </details>
   );
@@ -0,0 +1,63 @@
+// Traduction de l'interface : un catalogue par langue (src/locales/*.js), clés pointées « section.cle ».
+// Le français est la langue de référence : une clé absente d'un autre catalogue retombe sur lui.
+// Ajouter une langue = ajouter un catalogue et une entrée dans LANGUAGES.
+import { createElement, Fragment } from "react";
+import { toFixedSmart, formatDistanceMeters, formatDistanceOrInf, formatFeetInches } from "./optics.js";
+import fr from "./locales/fr.js";
+import en from "./locales/en.js";
+
+export const DEFAULT_LANG = "fr";
+export const LANGUAGES = [
+  { id: "fr", label: "FR", name: "Français", messages: fr },
+  { id: "en", label: "EN", name: "English", messages: en },
+];
+
+/**
+ * Première langue disponible parmi les préférences du navigateur (« en-GB » → "en").
+ * @param {readonly string[]} [preferred] ex. navigator.languages
+ * @returns {string}
+ */
+export function detectLanguage(preferred) {
+  for (const tag of preferred || []) {
+    const id = String(tag).toLowerCase().split("-")[0];
+    if (LANGUAGES.some((l) => l.id === id)) return id;
+  }
+  return DEFAULT_LANG;
+}
+
+function lookup(messages, key) {
+  const v = key.split(".").reduce((node, k) => (node && typeof node === "object" ? node[k] : undefined), messages);
+  return typeof v === "string" ? v : undefined;
+}
+
+// "{x}" → params.x ; les paramètres absents restent visibles pour être repérés
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/** Liste des clés (« a.b.c ») d'un catalogue, pour vérifier que les langues sont complètes. */
+export function catalogKeys(messages, prefix = "") {
+  return Object.entries(messages).flatMap(([k, v]) => (v && typeof v === "object" ? catalogKeys(v, `${prefix}${k}.`) : [`${prefix}${k}`]));
+}
+
+/**
+ * Outils de traduction pour une langue : `t` (texte), `rich` (paramètres React, ex. <b>),
+ * `num` / `dist` / `distInf` (nombres et distances avec le séparateur décimal de la langue ;
+ * en pieds, pieds-pouces arrondis à `inchFraction`), `ftIn` (pieds-pouces seuls).
+ * @param {string} lang
+ * @param {{ inchFraction?: number }} [options]
+ */
+export function createI18n(lang, { inchFraction = 1 } = {}) {
+  const entry = LANGUAGES.find((l) => l.id === lang) || LANGUAGES.find((l) => l.id === DEFAULT_LANG);
+  const template = (key) => lookup(entry.messages, key) ?? lookup(fr, key) ?? key;
+  const t = (key, params = {}) => template(key).replace(PLACEHOLDER, (m, name) => (params[name] !== undefined ? String(params[name]) : m));
+  const rich = (key, params = {}) => createElement(Fragment, null,
+    ...template(key).split(PLACEHOLDER).map((part, i) => (i % 2 ? (params[part] !== undefined ? params[part] : `{${part}}`) : part)));
+  return {
+    lang: entry.id,
+    t,
+    rich,
+    num: (x, digits) => toFixedSmart(x, digits, entry.id),
+    dist: (meters, unit) => formatDistanceMeters(meters, unit, entry.id, inchFraction),
+    distInf: (meters, unit) => formatDistanceOrInf(meters, unit, entry.id, inchFraction),
+    ftIn: (meters) => formatFeetInches(meters, inchFraction),
+  };
+}
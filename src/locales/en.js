@@ -0,0 +1,581 @@
+// Catalogue anglais : mêmes clés que fr.js (vérifié par le panneau de tests).
+export default {
+  app: {
+    title: "FX30 · Hyperfocal & Framing",
+    tagline: "Instant calculation (Tamron 17–70 or other). Standard / Active mode, diagram, presets.",
+    language: "Language",
+    units: "Units",
+    theme: "Light / dark theme",
+    copyLink: "Copy link",
+    settings: "Settings",
+    results: "Results",
+    footer: "Reminder: depth of field depends on the sharpness criterion (CoC). A crop (Active mode) narrows the field of view and requires a smaller CoC → H increases slightly.",
+    summary: "FX30 Hyperfocal — {body} + {lens}, f={focal}mm (eq. {ffEq}mm), N=f/{N}, mode={mode}, format={format} (crop ×{crop}), H≈{H} (near≈{near}).",
+  },
+  link: {
+    invalid: "Link partly invalid: {list}.",
+    ignored: "{param} ignored",
+    clamped: "{param} clamped to {value}",
+  },
+  mode: {
+    standard: "Standard",
+    active: "Active",
+    standardShort: "Std",
+    label: "Stabilisation mode",
+    standardOption: "Standard (IBIS)",
+    activeOption: "Active (crop)",
+    hint: "Active tightens the frame (~{pct}%) and reduces the CoC → H increases slightly.",
+  },
+  body: {
+    label: "Camera body",
+    custom: "Custom body",
+    customManual: "Custom body (manual settings)",
+    customTag: "{name} (custom)",
+    modified: "{name} (modified)",
+    info: "Sensor {w}×{h} mm · CoC {coc} mm · ×{crop} vs full frame",
+    infoModified: " · modified in Advanced settings",
+  },
+  lens: {
+    label: "Lens",
+    free: "Other (no limits)",
+    info: "{range} · f/{maxN} at {focal} mm · f/{minN} min.",
+    minFocus: " · min. focus {distance} m",
+  },
+  issues: {
+    primeFocal: "Prime lens: {focal} mm only.",
+    focalRange: "Outside the lens range ({min}–{max} mm).",
+    maxAperture: "Max. aperture at {focal} mm: f/{N}.",
+    minAperture: "Lens min. aperture: f/{N}.",
+    minFocus: "Below the minimum focus distance ({distance} m at {focal} mm).",
+  },
+  format: {
+    label: "Recording format",
+    resolution: "Resolution",
+    fps: "Frame rate",
+    hint: "{format} → total crop ×{crop} (sensor, FOV, equivalence and CoC).",
+    noHfr: "No 4K 100/120p on {body}: frame rates limited to 60p (use HD for slow motion).",
+  },
+  delivery: {
+    label: "Delivery aspect ratio",
+    cropped: "16:9 image cropped to {aspect}: {w}×{h} mm used (FOV, equivalence, CoC assistant).",
+    sensor: "Whole effective sensor (3:2) for FOV and equivalence.",
+    sensorOption: "Whole sensor (3:2)",
+    customOption: "Custom…",
+    invalid: "Unreadable ratio (e.g. 2.76:1, 4:3, between 0.3 and 3).",
+  },
+  focal: {
+    label: "Focal length (mm)",
+    ffEq: "Full-frame eq. ≈ {focal} mm",
+  },
+  aperture: {
+    label: "Aperture (N = f/x)",
+    labelT: "Aperture (T-stop)",
+    scale: "Aperture steps",
+    scales: { third: "1/3", half: "1/2", full: "1 stop", free: "Free" },
+    stopType: "Enter as f/ or T",
+    tLoss: "Lens transmission loss",
+    ev: "EV",
+    tInfo: "T{T} for exposure · f/{N} for depth of field (loss saved per lens).",
+  },
+  focus: {
+    label: "Focus distance",
+    onH: "Focus at H",
+  },
+  presets: {
+    quick: "Quick presets",
+    adjusted: "Preset adjusted to the lens: {focal} mm f/{N} → {fitFocal} mm f/{fitN}.",
+    manage: "Manage presets",
+    replace: "Replace with current",
+    namePlaceholder: "Preset name",
+    saveCurrent: "Save current",
+    export: "Export (JSON)",
+    import: "Import…",
+    defaults: "Default presets",
+    default: { street: "Street / Docu", land: "Landscape", tele: "Safe tele", night: "Night walk" },
+    moveUp: "Move {name} up",
+    moveDown: "Move {name} down",
+    importNone: "Import: no valid preset in this file.",
+    importDone: "Import: {n} preset(s) loaded.",
+    importBad: "Import: unreadable JSON file.",
+  },
+  stats: {
+    H: "Hyperfocal (H)",
+    nearAtH: "Near limit at H",
+    ffEq: "Full-frame eq.",
+    coc: "Equiv. CoC",
+    mode: "Mode",
+    effSensor: "Effective sensor (×{crop})",
+    dofTitle: "Depth of field (focus at {focus})",
+    near: "Near limit",
+    far: "Far limit",
+    total: "Total DoF",
+    split: "Front / back",
+  },
+  closeFocus: {
+    model: "Depth-of-field model",
+    simple: "Simplified",
+    exact: "Exact thin lens",
+    magnification: "Magnification",
+    ratio: "Reproduction ratio",
+    effective: "Effective aperture (−{loss} EV)",
+    pupil: "Pupil magnification",
+    pupilHint: "Exit / entrance pupil: 1 = symmetric, > 1 retrofocus wide-angle, < 1 telephoto.",
+    simpleCompare: "Simplified model: sharp from {near} to {far} (depth {total}, H = {H}).",
+    tooClose: "Focus closer than 4f ({distance} at {focal} mm): no sharp image possible, showing the simplified model.",
+  },
+  diffraction: {
+    title: "Diffraction (λ 550 nm)",
+    airy: "Airy disk",
+    airyPx: "Airy / photosite",
+    limiting: "Diffraction-limited: the Airy disk ({airy} µm) exceeds the CoC ({coc} µm) beyond f/{N}.",
+    visible: "Diffraction visible at pixel level from f/{N} (Airy > 2 photosites), still below the CoC.",
+    optimal: "Optimal aperture for the requested zone {near} → {far} (reverse solver): {N}{clamped} · focus {focus} · total blur ≈ {blur} µm",
+    clamped: " (ideal f/{N}, beyond the lens)",
+  },
+  distance: {
+    hint: "E.g. 1.9m, 190cm, 6' 4\", 6ft 4in; a bare number is in the displayed unit.",
+    invalid: "Unreadable distance",
+    clamped: "Clamped to {distance}",
+  },
+  common: {
+    apply: "Apply",
+    save: "Save",
+    add: "Add",
+    close: "Close",
+    exportCSV: "Export CSV",
+    popupBlocked: "Print window blocked by the browser: allow pop-ups.",
+    removeNamed: "Remove {name}",
+  },
+  frameLines: {
+    title: "Frame lines",
+    aria: "Frame lines: sensor, Standard, Active and delivered area",
+    sensor: "Sensor",
+    caption: "Sensor {sensor} · Standard {standard} · Active {active}{delivered}. Thick line: current mode.",
+    delivered: " · delivered {dims}",
+  },
+  diagram: {
+    title: "Diagram",
+    caption: "Focus at H ⇒ sharp from {half} to {inf} (for the chosen CoC). Shaded area: sharpness around the current focus. Drag the focus (or use the arrow keys), scroll to zoom, double-click to place a subject.",
+    linear: "Linear",
+    log: "Log",
+    scale: "Diagram scale",
+    zoomIn: "Zoom in",
+    zoomOut: "Zoom out",
+    autoView: "Auto view",
+    addSubject: "+ Subject",
+    clearSubjects: "Clear subjects",
+    focusAria: "Focus distance",
+    compareMarker: "Slot {slot}: H = {H}, H/2 = {near}",
+    focusLabel: "Focus {distance}",
+    subjectAria: "{name} at {distance}: {status}",
+    sharp: "sharp",
+    blurFront: "blurred: {distance} in front of the sharp zone",
+    blurBehind: "blurred: {distance} behind the sharp zone",
+  },
+  card: {
+    subtitle: "{focal} mm · f/{N} · {format} · focus {focus} → sharp {near} to {far}",
+    footer: "FX30 Hyperfocal & Framing",
+    pngFailed: "PNG export not available in this browser: use the SVG export.",
+    label: "Image card:",
+    themeCurrent: "Current theme",
+    themePrint: "Print",
+    theme: "Card theme",
+    copy: "Copy image",
+  },
+  update: {
+    available: "New version available.",
+    reload: "Reload",
+    later: "Later",
+  },
+  advanced: {
+    title: "Advanced settings",
+    coc: "Base circle of confusion (mm)",
+    cocManual: "Manual",
+    cocAuto: "Delivery assistant",
+    cocSource: "CoC source",
+    cocHint: "APS-C reference: {apsc} mm · full frame: {ff} mm. Crops (format, Active) divide this CoC.",
+    activeCrop: "Active stabilisation crop (×)",
+    activeCropHint: "FX30 ≈ {crop}× by default.",
+    sensorW: "Sensor width (mm)",
+    sensorH: "Sensor height (mm)",
+    inchFraction: "Inch precision (ft-in)",
+    inchFractionHint: "Rounding of feet-and-inches distances, e.g. {example}.",
+    saveBody: "Save as custom body",
+    saveBodyPlaceholder: "e.g. B-cam A7S III",
+    saveBodyHint: "Saves the current sensor, CoC and Active crop (browser local storage).",
+    customBodies: "Custom bodies",
+  },
+  bokeh: {
+    title: "Background blur (bokeh)",
+    subject: "Subject (focus) at",
+    useFocus: "Current focus",
+    background: "Background at",
+    infinity: "at infinity",
+    context: "{focal} mm f/{N} · {mode}: delivered width {width} mm, CoC {coc} µm",
+    notBehind: "The background must be farther than the subject.",
+    disc: "Blur disc (sensor)",
+    framePct: "Share of frame width",
+    cocs: "Ratio to CoC",
+    looksSharp: "Blur smaller than the CoC: the background will look sharp.",
+    sameFraming: "Same subject framing: blur as % of frame width",
+    cell: "subject at {distance} · {disc} µm",
+    sameFramingHint: "Each focal length and mode keeps the subject the same size in the frame (the camera moves); the background stays the same distance behind the subject. Tinted cell: current settings.",
+  },
+  exposure: {
+    title: "Exposure companion (ND, shutter, ISO)",
+    refAperture: "Reference aperture",
+    useCurrent: "Current aperture",
+    shutter: "Shutter",
+    angle: "Angle",
+    speed: "Speed",
+    shutterAt: "{value} at {fps} fps",
+    iso: "Reference ISO",
+    baseIso: "Base {iso}",
+    refNd: "Reference ND",
+    vndRange: "Variable ND range",
+    context: "Reference: a correct metered exposure. {fps} fps, transmission loss {loss} EV (T-stops).",
+    lost: "From {from} to {to}: {stops} EV less light.",
+    gained: "From {from} to {to}: {stops} EV more light.",
+    isoRow: "{iso}: {value}",
+    ndValue: "ND {stops} EV (ND{factor}, density {density})",
+    noNd: "still {stops} EV short without any ND",
+    overShort: "beyond the variable ND range",
+    underShort: "below the variable ND minimum (remove it or use a fixed ND)",
+    keepNd: "Keeping the ND at {nd} EV: ISO {iso}",
+    rule: "180° rule at {fps} fps: {speed}",
+    overVnd: "Required ND {stops} EV: beyond the variable ND ({min}–{max} EV). Add a fixed ND of about {extra} EV.",
+    tooDark: "Still {stops} EV short without ND: open up or raise the ISO.",
+    offRule: "Shutter at {angle}°: {stops} EV away from the 180° rule (different motion blur).",
+    tooLong: "Shutter longer than one frame at {fps} fps: impossible for video.",
+  },
+  shot: {
+    title: "Check a shot (Sony XML, JPEG, ARW)",
+    hint: "Drop a clip's XML (e.g. C0001M01.XML), a JPEG or an ARW anywhere on the page, or pick it. Read locally: nothing is uploaded.",
+    choose: "Choose a file…",
+    unsupported: "{name}: unrecognised format (Sony XML, JPEG or ARW expected).",
+    empty: "{name}: no focal length, aperture or focus distance in the metadata.",
+    unreadable: "{name}: could not be read.",
+    source: { xml: "Sony clip XML", exif: "EXIF" },
+    focusAt: "focus {distance}",
+    recorded: "Recorded: {values}",
+    dof: "At f/{N}: sharp from {near} to {far} (H = {H}).",
+    toInfinity: "Focus beyond the hyperfocal distance: the background was sharp to infinity.",
+    notInfinity: "Focus short of the hyperfocal distance: sharp only up to {far}, infinity was soft (H = {H}).",
+    focusMissing: "No focus distance in the metadata: checked against the current focus ({focus}).",
+    subject: "Soft subject at",
+    addSubject: "Enter its distance",
+    applied: "Recorded focal length, aperture, mode and focus are applied to the settings; CoC and crop stay as currently set.",
+  },
+  compare: {
+    title: "A/B comparison (up to 4 configurations)",
+    pin: "Pin current configuration",
+    clear: "Remove all",
+    hint: "Pin a configuration, change the settings, then pin the next one. The current body, format and CoC apply to every slot.",
+    full: "All {n} slots in use: remove one to pin another.",
+    focusAt: "focus {distance}",
+    promote: "Apply",
+    remove: "Remove slot {slot}",
+    legend: "Highlighted: differs from slot {slot}. Diagram: each slot's H/2 (open circle) → H (filled circle).",
+  },
+  solver: {
+    title: "Reverse solver: sharp zone → aperture and focus",
+    near: "Sharp from",
+    far: "Sharp up to",
+    toInfinity: "to infinity",
+    context: "Focal length {focal} mm · CoC {coc} µm (crop ×{crop}) · {lens}",
+    invalid: "Invalid zone: the near limit must be closer than the far limit.",
+    ok: "Focus at {focus} · minimum aperture {N}",
+    lensLimited: " (f/{N} would do, limited by the lens)",
+    diffraction: "At f/{N}, diffraction exceeds the CoC: the zone is sharp on paper but softened.",
+    impossibleAtFocal: "Impossible at {focal} mm: would need f/{N} (lens stops at f/{minN}).",
+    shorter: "Longest focal length that works: {focal} at f/{N}, focus {focus}",
+    impossibleWithLens: "Impossible with {lens} (f/{N} required at {focal} mm, no focal length of the lens is enough).",
+    compromise: "Best compromise: f/{N}, focus {focus} → sharp from {near} to {far}",
+  },
+  framing: {
+    title: "Framing: field covered, distance and shot sizes",
+    distance: "Subject distance",
+    atFocus: "= focus",
+    formatCrop: " (format {crop}× crop)",
+    subjectLabel: "Subject to fit",
+    subjectAria: "Subject",
+    subject: {
+      person: "Standing person",
+      group: "Group (3 people)",
+      car: "Car (side view)",
+      facade: "Façade (3 storeys)",
+      custom: "Custom",
+    },
+    personHeight: "Person height",
+    fieldAt: "Field at {distance}",
+    backoff: "Distance for {subject}",
+    theSubject: "the subject",
+    width: "width",
+    height: "height",
+    shot: {
+      ECU: "Extreme close-up (ECU)",
+      CU: "Close-up (CU)",
+      MS: "Medium shot (MS)",
+      MLS: "Medium long shot (MLS)",
+      WS: "Wide shot (WS)",
+    },
+    hint: "Shot sizes: distance at which the image height covers the given share of a {height} person. Bold column: current mode.",
+  },
+  planner: {
+    overlap: "overlap {distance}",
+    gap: "gap {distance}",
+    sheetTitle: "Focus marks — {title}",
+    sheetIntro: "DoF at the shooting aperture · last column: aperture and focus to hold this mark and the next sharp together.",
+    mark: "Mark",
+    point: "Focus",
+    near: "Near",
+    far: "Far",
+    next: "To next",
+    both: "Both sharp",
+    sharpZone: "Sharp zone",
+    badDistance: "Unreadable distance (e.g. 1.8m, 180cm, 6' 4\", 6ft 4in).",
+    title: "Focus planner (rack focus)",
+    namePlaceholder: "Mark (e.g. Subject C)",
+    addCurrent: "+ Current focus",
+    unit: "Sheet unit",
+    print: "Print the sheet",
+    beyondLens: "Beyond f/{N} ({lens})",
+    focus: "Focus",
+    hint: "Sharp zones at f/{N}, {focal} mm. “Gap”: between two marks, a zone that is sharp at neither focus point. Greyed: aperture beyond the lens.",
+    defaultName: "Mark {n}",
+    focusName: "Focus {n}",
+    defaultMarks: { a: "Subject A", b: "Subject B" },
+  },
+  coc: {
+    delivery: {
+      label: "Typical delivery",
+      cinema: "4K cinema (10 m screen)",
+      tv: "4K TV 65\"",
+      web: "Web 1080p (laptop)",
+      social: "Social 9:16 (phone)",
+    },
+    custom: "Custom",
+    aspect: "Delivery aspect",
+    outputWidth: "Output width (px)",
+    displayWidth: "Screen width (m)",
+    viewingDistance: "Viewing distance",
+    criterion: "Criterion",
+    strict: "Pixel-peeping (1 output px)",
+    result: "Delivered area {w}×{h} mm · viewing: {viewing} mm · resolution: {pixels} mm → {coc} ({limit}).",
+    limitStrict: "strict mode",
+    limitViewing: "limited by viewing",
+    limitPixels: "limited by resolution",
+  },
+  cheat: {
+    crop: " ({crop}× crop)",
+    focal: "Focal",
+    docTitle: "Hyperfocal cheat sheet — {title}",
+    heading: "Hyperfocal — {title}",
+    legend: "Cell: H (focus) and near limit H/2 · CoC {coc} mm · hatched = aperture not available on the lens.",
+    title: "Hyperfocal cheat sheet (focal length × aperture)",
+    print: "Print / PDF",
+    hint: "Cell: H then near limit (H/2), in {unit}. Greyed = not available on {lens}.",
+  },
+  copy: {
+    summary: "Copy summary",
+    copied: "Copied ✔",
+    copying: "Copying…",
+    toast: "Copied to clipboard",
+    manualTitle: "Manual copy",
+    manualHint: "Your environment blocks clipboard access. Select the text, then press {keys}. Press {esc} to close.",
+    escKey: "Esc",
+  },
+  tests: {
+    title: "Tests (FX30 hyperfocal)",
+    edge: "(edge)",
+    case: "Case",
+    expected: "Expected",
+    actual: "Actual",
+    tolerance: "Tolerance",
+    status: "Status",
+    nearColumn: "Near expected / actual",
+    farColumn: "Far expected / actual",
+    allPass: "✅ All tests pass",
+    failures: "❌ Failures — check formulas/constants",
+    hyperSummary: "Hyperfocal: {result}",
+    dofSummary: "Depth of field: {result}",
+    property: "Property: s = H ⇒ near ≈ H/2",
+    ratio: "Ratio: {ratio} (expected {expected} ± {tol})",
+    result: "{name}: {actual} (expected {expected})",
+    dof: {
+      focus: "focus {distance}",
+    },
+    crop: {
+      title: "Crop factor (diagonal vs full frame)",
+    },
+    format: {
+      title: "Recording format (total crop)",
+      noHfr: "Body without 4K 100/120p: 60p max",
+      s35: "S35 ignored on APS-C, 4K CIZ capped",
+    },
+    coc: {
+      title: "CoC assistant (delivery)",
+      tv: "4K TV 65\" at 2.5 m (viewing)",
+      strict: "4K pixel-peeping = 1 output px",
+      vertical: "9:16: delivered width (mm)",
+      floor: "Distant screen → 2 px floor",
+    },
+    stops: {
+      title: "Aperture scales and T-stops",
+      third: "Thirds: 7.3 → 7.1 · 3.4 → 3.5 · 4.3 → 4.5",
+      half: "Halves: 3.1 → 3.3 · 9 → 9.5",
+      full: "Full stops: 6.5 → 5.6 · 7 → 8",
+      free: "Free: rounded to 1/10",
+      bounds: "Steps bounded by the lens (f/4.5 to f/22)",
+      tStop: "T = N · 2^(loss/2), round trip",
+      dofOnF: "Depth of field computed on N, not T",
+    },
+    shot: {
+      title: "Shot metadata",
+      xml: "Sony XML: 35 mm, f/4, focus 3.2 m, Active, body and lens",
+      xmlT: "Sony XML: T-stop only, focus at infinity",
+      jpeg: "JPEG EXIF (APP1): f/5.6, 35 mm, 3 m",
+      arw: "Big-endian ARW/TIFF EXIF",
+      invalid: "Empty or truncated files without errors",
+      check: "Focus beyond / short of H, recorded values first",
+    },
+    compare: {
+      title: "A/B comparison",
+      sanitize: "Slots: invalid ones dropped, unique letters, 4 at most",
+      engine: "Active slot: smaller CoC and H matching the engine",
+      differs: "Differences flagged against the first slot",
+    },
+    bokeh: {
+      title: "Background blur",
+      disc: "Blur disc: 0 at focus, the CoC at infinity when focused at H",
+      formula: "Blur disc: 50 mm f/2, subject 2 m, background 10 m",
+      framing: "Same framing: magnification relative to width preserved",
+      longer: "At equal framing, the longer focal length blurs the background more",
+    },
+    closeFocus: {
+      title: "Close focus (exact thin lens)",
+      far: "Distant focus: matches the simplified model (< 0.5 %)",
+      hyperfocal: "Exact hyperfocal: f²/(Nc) + 2f + Nc, infinity sharp beyond",
+      magnification: "1:1 magnification at 4f, none closer",
+      effective: "Effective aperture N · (1 + m/P)",
+      close: "70 mm f/4 at 30 cm: depth ≈ 2Nc(1 + m/P)/m²",
+      ratio: "Reproduction ratio and distances in mm",
+    },
+    exposure: {
+      title: "Exposure companion",
+      angle: "180° at 24 fps = 1/48 s · 1/50 s = 172.8°",
+      stopDown: "f/2.8 → f/8 with a 6 EV ND: ND ≈ 3 EV",
+      dualBase: "Base 2500: ND stronger by log2(2500/800)",
+      isoKeep: "ND kept: ISO × (8/2.8)²",
+      tStop: "Shared transmission loss: same ND, slower T",
+      overVnd: "Warnings: beyond the variable ND, below its minimum, not enough light",
+      vndOrder: "Reversed VND range put back in order",
+      rule: "180° rule and offset in EV",
+    },
+    diffraction: {
+      title: "Diffraction (Airy, optimum)",
+      onset: "FX30: diffraction visible at pixel level from",
+      limit: "Airy = CoC 0.019 mm at",
+      optimum: "Optimum 24 mm, 1.9 m → ∞",
+      stable: "Optimal aperture applied twice: same f-number",
+      f16: "f/16 flagged as limiting (Airy > CoC)",
+    },
+    solver: {
+      title: "Reverse solver",
+      basic: "35 mm, 2 → 6 m: focus 3 m, f/10.9",
+      roundTrip: "Round trip via computeNearFarMeters",
+      shorter: "70 mm, 1 m → ∞: falls back to ~28 mm (Tamron, f/22)",
+      compromise: "17 mm, 0.3 m → ∞: compromise",
+      inverted: "Inverted zone rejected",
+    },
+    framing: {
+      title: "Framing",
+      field: "35 mm at 3.035 m: 2.01 × 1.34 m",
+      person: "1.75 m person: distance limited by height",
+      active: "Active ×1.1: field ÷1.1",
+      shots: "Increasing shot sizes (ECU → WS)",
+    },
+    aspect: {
+      title: "Delivery aspect ratio",
+      sensor: "No ratio = whole effective sensor",
+      scope: "2.39:1: same hFOV as 16:9, smaller vFOV",
+      vertical: "9:16: 7.44 × 13.22 mm",
+      ffEq: "Longer full-frame eq. in 2.39:1",
+      frameLines: "Frame lines: Active ÷1.1, delivered inside Active",
+    },
+    imperial: {
+      title: "Feet and inches",
+      feetInches: "6' 4\" = 6ft 4in = 76 in",
+      fraction: "6' 4 1/2\" and 1/2\"",
+      metric: "1.9m = 190cm",
+      bareFeet: "\"6.5\" in feet = 6.5 ft",
+      reject: "6' 14\", 1/0\", \"abc\" rejected",
+      format: "Rounded to 1/2\" and 1/16\"",
+      dist: "Distance shown as ft-in",
+      ticks: "Round ticks in feet",
+    },
+    planner: {
+      title: "Focus planner",
+      sorted: "Marks sorted by distance",
+      overlap: "A 1.8 m → C 2 m: overlap at f/2.8",
+      gap: "C 2 m → B 4.2 m: gap at f/2.8",
+      common: "Common aperture = reverse solver",
+      names: "Generated names follow a language switch",
+      feet: "1.93 m → 6' 4\"",
+    },
+    diagram: {
+      title: "Interactive diagram",
+      zoom: "Zoom ×2 around 20 m: 10 → 60 m",
+      pan: "Pan clamped at 0 m",
+      logTicks: "Log 0.2 → 100 m: 1-2-5 ticks",
+      linTicks: "Linear 0 → 100 m: 20 m step",
+      subject: "Subject at 2 m, zone 1.6 → 2.5 m: sharp",
+    },
+    card: {
+      title: "Image card",
+      escaped: "Standalone SVG, escaped text",
+      nested: "Diagram nested and positioned",
+      bare: "No diagram: shorter card, white background",
+    },
+    engine: {
+      title: "Optics engine (src/optics.js)",
+    },
+    cheat: {
+      title: "Cheat sheet (focal length × aperture grid)",
+      focals: "18-105 focal lengths: 18, 20…70, 105",
+      reference: "35 mm f/8 Active = reference H (8.90 m)",
+      impossible: "f/2.8 marked impossible on an f/4 lens",
+      csv: "CSV: header + 2 modes × 8 focal lengths",
+    },
+    lens: {
+      title: "Lens profiles",
+      kitWide: "16-50 kit · max aperture at 16 mm",
+      kitMid: "16-50 kit · max aperture at 42.5 mm",
+      tamron: "Tamron · 24 mm f/1.4 preset → f/2.8",
+      sigma: "Sigma 16 · 24 mm preset → 16 mm",
+    },
+    link: {
+      title: "Permalink (URL ↔ state)",
+      roundTrip: "Full round trip",
+      invalid: "Invalid values ignored / clamped",
+    },
+    presets: {
+      title: "Presets (import / storage validation)",
+      invalid: "Invalid entries dropped",
+      cleaned: "Name trimmed, focus kept",
+      dedup: "Id de-duplicated, values clamped",
+      notArray: "Non-array rejected",
+      customBodies: "Custom bodies: invalid measurements dropped, clamped",
+      blankRename: "Blank rename ignored, leading spaces dropped",
+      defaultNames: "Default names translated until renamed",
+    },
+    i18n: {
+      title: "Translation (catalogues, numbers)",
+      comma: "French: 8,09 m (decimal comma)",
+      point: "English and no locale: 8.09 m",
+      complete: "All catalogues have the same keys",
+      params: "Interpolated parameters, unknown language → French",
+      detect: "Browser language: en-GB → en, es-ES → fr",
+    },
+  },
+};
@@ -0,0 +1,582 @@
+// Catalogue français : langue de référence (toute clé absente d'un autre catalogue retombe ici).
+// Paramètres entre accolades : {focal}, {N}… ; les nombres arrivent déjà formatés.
+export default {
+  app: {
+    title: "FX30 · Hyperfocale & Cadrage",
+    tagline: "Calcul instantané (Tamron 17–70 ou autre). Mode Standard / Actif, schéma, presets.",
+    language: "Langue",
+    units: "Unités",
+    theme: "Thème clair / sombre",
+    copyLink: "Copier le lien",
+    settings: "Paramètres",
+    results: "Résultats",
+    footer: "Rappel : la profondeur de champ dépend du critère de netteté (CoC). Un recadrage (mode Actif) resserre l'angle de champ et exige un CoC plus petit → H augmente légèrement.",
+    summary: "FX30 Hyperfocale — {body} + {lens}, f={focal}mm (eq. {ffEq}mm), N=f/{N}, mode={mode}, format={format} (recadrage ×{crop}), H≈{H} (near≈{near}).",
+  },
+  link: {
+    invalid: "Lien partiellement invalide : {list}.",
+    ignored: "{param} ignoré",
+    clamped: "{param} ramené à {value}",
+  },
+  mode: {
+    standard: "Standard",
+    active: "Actif",
+    standardShort: "Std",
+    label: "Mode de stabilisation",
+    standardOption: "Standard (IBIS)",
+    activeOption: "Actif (recadrage)",
+    hint: "Actif resserre le cadre (~{pct}%) et réduit le CoC → H augmente légèrement.",
+  },
+  body: {
+    label: "Boîtier",
+    custom: "Boîtier perso",
+    customManual: "Boîtier perso (réglages manuels)",
+    customTag: "{name} (perso)",
+    modified: "{name} (modifié)",
+    info: "Capteur {w}×{h} mm · CoC {coc} mm · ×{crop} vs 24×36",
+    infoModified: " · modifié dans Réglages avancés",
+  },
+  lens: {
+    label: "Objectif",
+    free: "Autre (sans limite)",
+    info: "{range} · f/{maxN} à {focal} mm · f/{minN} mini",
+    minFocus: " · MAP mini {distance} m",
+  },
+  issues: {
+    primeFocal: "Focale fixe : {focal} mm sur cet objectif.",
+    focalRange: "Hors plage de l'objectif ({min}–{max} mm).",
+    maxAperture: "Ouverture max. à {focal} mm : f/{N}.",
+    minAperture: "Ouverture min. de l'objectif : f/{N}.",
+    minFocus: "Sous la distance mini de MAP ({distance} m à {focal} mm).",
+  },
+  format: {
+    label: "Format d'enregistrement",
+    resolution: "Définition",
+    fps: "Cadence",
+    hint: "{format} → recadrage total ×{crop} (capteur, FOV, équivalence et CoC).",
+    noHfr: "Pas de 4K 100/120p sur {body} : cadences limitées à 60p (HD pour le ralenti).",
+  },
+  delivery: {
+    label: "Ratio de livraison",
+    cropped: "Image 16:9 recadrée en {aspect} : {w}×{h} mm utilisés (FOV, équivalence, assistant CoC).",
+    sensor: "Capteur effectif entier (3:2) pour le FOV et l'équivalence.",
+    sensorOption: "Capteur entier (3:2)",
+    customOption: "Personnalisé…",
+    invalid: "Ratio illisible (ex. 2.76:1, 4:3, entre 0,3 et 3).",
+  },
+  focal: {
+    label: "Focale (mm)",
+    ffEq: "Équiv. 24×36 ≈ {focal} mm",
+  },
+  aperture: {
+    label: "Ouverture (N = f/x)",
+    labelT: "Ouverture (T-stop)",
+    scale: "Crans d'ouverture",
+    scales: { third: "1/3", half: "1/2", full: "1 IL", free: "Libre" },
+    stopType: "Saisie en f/ ou en T",
+    tLoss: "Perte de transmission de l'objectif",
+    ev: "IL",
+    tInfo: "T{T} pour l'exposition · f/{N} pour la profondeur de champ (perte mémorisée par objectif).",
+  },
+  focus: {
+    label: "Distance de MAP",
+    onH: "MAP sur H",
+  },
+  presets: {
+    quick: "Presets rapides",
+    adjusted: "Preset ajusté à l'objectif : {focal} mm f/{N} → {fitFocal} mm f/{fitN}.",
+    manage: "Gérer les presets",
+    replace: "Remplacer par l'actuel",
+    namePlaceholder: "Nom du preset",
+    saveCurrent: "Enregistrer l'actuel",
+    export: "Exporter (JSON)",
+    import: "Importer…",
+    defaults: "Presets par défaut",
+    default: { street: "Street / Docu", land: "Paysage", tele: "Télé safe", night: "Night walk" },
+    moveUp: "Monter {name}",
+    moveDown: "Descendre {name}",
+    importNone: "Import : aucun preset valide dans ce fichier.",
+    importDone: "Import : {n} preset(s) chargé(s).",
+    importBad: "Import : fichier JSON illisible.",
+  },
+  stats: {
+    H: "Hyperfocale (H)",
+    nearAtH: "Limite proche à H",
+    ffEq: "Équiv. 24×36",
+    coc: "CoC équiv.",
+    mode: "Mode",
+    effSensor: "Capteur effectif (×{crop})",
+    dofTitle: "Profondeur de champ (MAP à {focus})",
+    near: "Limite proche",
+    far: "Limite lointaine",
+    total: "PdC totale",
+    split: "Avant / arrière",
+  },
+  closeFocus: {
+    model: "Modèle de profondeur de champ",
+    simple: "Simplifié",
+    exact: "Lentille mince exacte",
+    magnification: "Grandissement",
+    ratio: "Rapport de reproduction",
+    effective: "Ouverture effective (−{loss} IL)",
+    pupil: "Grandissement pupillaire",
+    pupilHint: "Pupille de sortie / d'entrée : 1 = symétrique, > 1 grand-angle rétrofocus, < 1 téléobjectif.",
+    simpleCompare: "Modèle simplifié : net de {near} à {far} (profondeur {total}, H = {H}).",
+    tooClose: "MAP en deçà de 4f ({distance} à {focal} mm) : aucune image nette possible, modèle simplifié affiché.",
+  },
+  diffraction: {
+    title: "Diffraction (λ 550 nm)",
+    airy: "Disque d'Airy",
+    airyPx: "Airy / photosite",
+    limiting: "Diffraction limitante : le disque d'Airy ({airy} µm) dépasse le CoC ({coc} µm) au-delà de f/{N}.",
+    visible: "Diffraction visible au pixel dès f/{N} (Airy > 2 photosites), encore sous le CoC.",
+    optimal: "Ouverture optimale pour la zone demandée {near} → {far} (solveur inverse) : {N}{clamped} · MAP {focus} · flou total ≈ {blur} µm",
+    clamped: " (idéal f/{N}, hors objectif)",
+  },
+  distance: {
+    hint: "Ex. 1.9m, 190cm, 6' 4\", 6ft 4in ; un nombre seul est dans l'unité affichée.",
+    invalid: "Distance illisible",
+    clamped: "Ramenée à {distance}",
+  },
+  common: {
+    apply: "Appliquer",
+    save: "Enregistrer",
+    add: "Ajouter",
+    close: "Fermer",
+    exportCSV: "Exporter CSV",
+    popupBlocked: "Fenêtre d'impression bloquée par le navigateur : autorisez les pop-ups.",
+    removeNamed: "Supprimer {name}",
+  },
+  frameLines: {
+    title: "Lignes de cadre",
+    aria: "Lignes de cadre : capteur, Standard, Actif et zone livrée",
+    sensor: "Capteur",
+    caption: "Capteur {sensor} · Standard {standard} · Actif {active}{delivered}. Trait épais : mode courant.",
+    delivered: " · livré {dims}",
+  },
+  diagram: {
+    title: "Schéma",
+    caption: "MAP sur H ⇒ zone nette de {half} jusqu’à {inf} (selon le CoC choisi). Zone ombrée : netteté autour de la MAP courante. Glissez la MAP (ou flèches au clavier), molette pour zoomer, double-clic pour placer un sujet.",
+    linear: "Linéaire",
+    log: "Log",
+    scale: "Échelle du schéma",
+    zoomIn: "Zoom avant",
+    zoomOut: "Zoom arrière",
+    autoView: "Vue auto",
+    addSubject: "+ Sujet",
+    clearSubjects: "Effacer les sujets",
+    focusAria: "Distance de mise au point",
+    compareMarker: "Emplacement {slot} : H = {H}, H/2 = {near}",
+    focusLabel: "MAP {distance}",
+    subjectAria: "{name} à {distance} : {status}",
+    sharp: "net",
+    blurFront: "flou : {distance} devant la zone nette",
+    blurBehind: "flou : {distance} derrière la zone nette",
+  },
+  card: {
+    subtitle: "{focal} mm · f/{N} · {format} · MAP {focus} → net {near} à {far}",
+    footer: "FX30 Hyperfocale & Cadrage",
+    pngFailed: "Export PNG impossible dans ce navigateur : utilisez l'export SVG.",
+    label: "Carte image :",
+    themeCurrent: "Thème courant",
+    themePrint: "Impression",
+    theme: "Thème de la carte",
+    copy: "Copier l'image",
+  },
+  update: {
+    available: "Nouvelle version disponible.",
+    reload: "Recharger",
+    later: "Plus tard",
+  },
+  advanced: {
+    title: "Réglages avancés",
+    coc: "Cercle de confusion de base (mm)",
+    cocManual: "Manuel",
+    cocAuto: "Assistant diffusion",
+    cocSource: "Source du CoC",
+    cocHint: "Référence APS-C : {apsc} mm · 24×36 : {ff} mm. Les recadrages (format, Actif) divisent ce CoC.",
+    activeCrop: "Recadrage Stabilisation Active (×)",
+    activeCropHint: "FX30 ≈ {crop}× par défaut.",
+    sensorW: "Largeur capteur (mm)",
+    sensorH: "Hauteur capteur (mm)",
+    inchFraction: "Précision des pouces (ft-in)",
+    inchFractionHint: "Arrondi des distances en pieds-pouces, ex. {example}.",
+    saveBody: "Enregistrer comme boîtier perso",
+    saveBodyPlaceholder: "ex. B-cam A7S III",
+    saveBodyHint: "Sauvegarde capteur, CoC et recadrage Actif actuels (stockage local du navigateur).",
+    customBodies: "Boîtiers perso",
+  },
+  bokeh: {
+    title: "Flou d'arrière-plan (bokeh)",
+    subject: "Sujet (MAP) à",
+    useFocus: "MAP actuelle",
+    background: "Arrière-plan à",
+    infinity: "à l'infini",
+    context: "{focal} mm f/{N} · {mode} : largeur livrée {width} mm, CoC {coc} µm",
+    notBehind: "L'arrière-plan doit être plus loin que le sujet.",
+    disc: "Disque de flou (capteur)",
+    framePct: "Part de la largeur d'image",
+    cocs: "Rapport au CoC",
+    looksSharp: "Flou inférieur au CoC : l'arrière-plan paraîtra net.",
+    sameFraming: "Même cadrage du sujet : flou en % de la largeur d'image",
+    cell: "sujet à {distance} · {disc} µm",
+    sameFramingHint: "Chaque focale et chaque mode gardent le sujet à la même taille dans l'image (la caméra se déplace) ; l'arrière-plan reste à la même distance derrière le sujet. Case colorée : réglages actuels.",
+  },
+  exposure: {
+    title: "Compagnon d'exposition (ND, obturateur, ISO)",
+    refAperture: "Ouverture de référence",
+    useCurrent: "Ouverture actuelle",
+    shutter: "Obturateur",
+    angle: "Angle",
+    speed: "Vitesse",
+    shutterAt: "{value} à {fps} i/s",
+    iso: "ISO de référence",
+    baseIso: "Base {iso}",
+    refNd: "ND de référence",
+    vndRange: "Plage du ND variable",
+    context: "Référence : exposition correcte mesurée. Cadence {fps} i/s, perte de transmission {loss} IL (T-stops).",
+    lost: "De {from} à {to} : {stops} IL de lumière en moins.",
+    gained: "De {from} à {to} : {stops} IL de lumière en plus.",
+    isoRow: "{iso} : {value}",
+    ndValue: "ND {stops} IL (ND{factor}, densité {density})",
+    noNd: "il manque {stops} IL même sans ND",
+    overShort: "hors plage du ND variable",
+    underShort: "sous le minimum du ND variable (le retirer ou ND fixe)",
+    keepNd: "En gardant le ND à {nd} IL : ISO {iso}",
+    rule: "Règle des 180° à {fps} i/s : {speed}",
+    overVnd: "ND nécessaire {stops} IL : au-delà du ND variable ({min}–{max} IL). Ajouter un ND fixe d'environ {extra} IL.",
+    tooDark: "Il manque {stops} IL même sans ND : ouvrir ou monter l'ISO.",
+    offRule: "Obturateur à {angle}° : {stops} IL d'écart avec la règle des 180° (flou de bougé différent).",
+    tooLong: "Obturation plus longue qu'une image à {fps} i/s : impossible en vidéo.",
+  },
+  shot: {
+    title: "Vérifier une prise (XML Sony, JPEG, ARW)",
+    hint: "Déposez le XML d'un clip (ex. C0001M01.XML), un JPEG ou un ARW n'importe où sur la page, ou choisissez-le. Lecture locale : rien n'est envoyé.",
+    choose: "Choisir un fichier…",
+    unsupported: "{name} : format non reconnu (XML Sony, JPEG ou ARW attendu).",
+    empty: "{name} : ni focale, ni ouverture, ni distance de MAP dans les métadonnées.",
+    unreadable: "{name} : lecture impossible.",
+    source: { xml: "XML de clip Sony", exif: "EXIF" },
+    focusAt: "MAP {distance}",
+    recorded: "Relevé : {values}",
+    dof: "À f/{N} : net de {near} à {far} (H = {H}).",
+    toInfinity: "MAP au-delà de l'hyperfocale : l'arrière-plan jusqu'à l'infini était net.",
+    notInfinity: "MAP en deçà de l'hyperfocale : net jusqu'à {far} seulement, l'infini était flou (H = {H}).",
+    focusMissing: "Distance de MAP absente des métadonnées : vérification faite avec la MAP actuelle ({focus}).",
+    subject: "Sujet flou à",
+    addSubject: "Indiquer la distance",
+    applied: "Focale, ouverture, mode et MAP relevés sont appliqués aux réglages ; le CoC et le recadrage restent ceux en cours.",
+  },
+  compare: {
+    title: "Comparaison A/B (jusqu'à 4 configurations)",
+    pin: "Épingler la configuration actuelle",
+    clear: "Tout retirer",
+    hint: "Épinglez une configuration, modifiez les réglages puis épinglez la suivante. Boîtier, format et CoC courants s'appliquent à tous les emplacements.",
+    full: "{n} emplacements occupés : retirez-en un pour épingler.",
+    focusAt: "MAP {distance}",
+    promote: "Appliquer",
+    remove: "Retirer l'emplacement {slot}",
+    legend: "Surligné : différent de l'emplacement {slot}. Schéma : H/2 (cercle vide) → H (cercle plein) de chaque emplacement.",
+  },
+  solver: {
+    title: "Solveur inverse : zone nette → ouverture et MAP",
+    near: "Net à partir de",
+    far: "Net jusqu'à",
+    toInfinity: "jusqu'à l'infini",
+    context: "Focale {focal} mm · CoC {coc} µm (recadrage ×{crop}) · {lens}",
+    invalid: "Zone invalide : la limite proche doit être plus courte que la limite lointaine.",
+    ok: "MAP à {focus} · ouverture minimale {N}",
+    lensLimited: " (f/{N} suffirait, limité par l'objectif)",
+    diffraction: "À f/{N}, la diffraction dépasse le CoC : la zone sera nette sur le papier mais adoucie.",
+    impossibleAtFocal: "Impossible à {focal} mm : il faudrait f/{N} (objectif limité à f/{minN}).",
+    shorter: "Focale la plus longue qui fonctionne : {focal} à f/{N}, MAP {focus}",
+    impossibleWithLens: "Impossible avec {lens} (f/{N} requis à {focal} mm, aucune focale de l'objectif ne suffit).",
+    compromise: "Meilleur compromis : f/{N}, MAP {focus} → net de {near} à {far}",
+  },
+  framing: {
+    title: "Cadrage : champ couvert, recul et valeurs de plan",
+    distance: "Distance du sujet",
+    atFocus: "= MAP",
+    formatCrop: " (format ×{crop})",
+    subjectLabel: "Sujet à faire entrer",
+    subjectAria: "Sujet",
+    subject: {
+      person: "Personne debout",
+      group: "Groupe (3 pers.)",
+      car: "Voiture (profil)",
+      facade: "Façade (3 étages)",
+      custom: "Personnalisé",
+    },
+    personHeight: "Taille de la personne",
+    fieldAt: "Champ à {distance}",
+    backoff: "Recul pour {subject}",
+    theSubject: "le sujet",
+    width: "largeur",
+    height: "hauteur",
+    shot: {
+      ECU: "Très gros plan (ECU)",
+      CU: "Gros plan (CU)",
+      MS: "Plan taille (MS)",
+      MLS: "Plan américain (MLS)",
+      WS: "Plan large (WS)",
+    },
+    hint: "Valeurs de plan : distance pour que la hauteur d'image couvre la part indiquée d'une personne de {height}. Colonne en gras : mode courant.",
+  },
+  planner: {
+    overlap: "chevauchement {distance}",
+    gap: "trou {distance}",
+    sheetTitle: "Fiche de points — {title}",
+    sheetIntro: "PdC à l'ouverture de prise de vue · dernière colonne : ouverture et MAP pour tenir ce repère et le suivant nets ensemble.",
+    mark: "Repère",
+    point: "Point",
+    near: "Proche",
+    far: "Loin",
+    next: "Vers le suivant",
+    both: "Les deux nets",
+    sharpZone: "Zone nette",
+    badDistance: "Distance illisible (ex. 1.8m, 180cm, 6' 4\", 6ft 4in).",
+    title: "Planificateur de points (bascule de point)",
+    namePlaceholder: "Repère (ex. Sujet C)",
+    addCurrent: "+ MAP courante",
+    unit: "Unité de la fiche",
+    print: "Imprimer la fiche",
+    beyondLens: "Au-delà de f/{N} ({lens})",
+    focus: "MAP",
+    hint: "Zones nettes à f/{N}, {focal} mm. « Trou » : entre deux repères, une zone n'est nette à aucun des deux points. Grisé : ouverture au-delà de l'objectif.",
+    defaultName: "Repère {n}",
+    focusName: "MAP {n}",
+    defaultMarks: { a: "Sujet A", b: "Sujet B" },
+  },
+  coc: {
+    delivery: {
+      label: "Diffusion type",
+      cinema: "Cinéma 4K (écran 10 m)",
+      tv: "TV 4K 65\"",
+      web: "Web 1080p (portable)",
+      social: "Réseaux 9:16 (téléphone)",
+    },
+    custom: "Personnalisé",
+    aspect: "Ratio de diffusion",
+    outputWidth: "Largeur de sortie (px)",
+    displayWidth: "Largeur de l'écran (m)",
+    viewingDistance: "Distance de visionnage",
+    criterion: "Critère",
+    strict: "Pixel-peeping (1 px de sortie)",
+    result: "Zone livrée {w}×{h} mm · vision : {viewing} mm · définition : {pixels} mm → {coc} ({limit}).",
+    limitStrict: "mode strict",
+    limitViewing: "limité par la vision",
+    limitPixels: "limité par la définition",
+  },
+  cheat: {
+    crop: " (recadrage {crop}×)",
+    focal: "Focale",
+    docTitle: "Aide-mémoire hyperfocale — {title}",
+    heading: "Hyperfocale — {title}",
+    legend: "Case : H (MAP) et limite proche H/2 · CoC {coc} mm · hachuré = ouverture impossible sur l'objectif.",
+    title: "Aide-mémoire hyperfocale (focale × ouverture)",
+    print: "Imprimer / PDF",
+    hint: "Case : H puis limite proche (H/2), en {unit}. Grisé = impossible sur {lens}.",
+  },
+  copy: {
+    summary: "Copier le résumé",
+    copied: "Copié ✔",
+    copying: "Copie…",
+    toast: "Copié dans le presse‑papiers",
+    manualTitle: "Copie manuelle",
+    manualHint: "Votre environnement bloque l’accès au presse‑papiers. Sélectionnez puis faites {keys}. Appuyez sur {esc} pour fermer.",
+    escKey: "Échap",
+  },
+  tests: {
+    title: "Tests (hyperfocale FX30)",
+    edge: "(bord)",
+    case: "Cas",
+    expected: "Attendu",
+    actual: "Obtenu",
+    tolerance: "Tolérance",
+    status: "Statut",
+    nearColumn: "Proche attendu / obtenu",
+    farColumn: "Loin attendu / obtenu",
+    allPass: "✅ Tous les tests passent",
+    failures: "❌ Échecs — vérifier formules/constantes",
+    hyperSummary: "Hyperfocale : {result}",
+    dofSummary: "Profondeur de champ : {result}",
+    property: "Propriété : s = H ⇒ near ≈ H/2",
+    ratio: "Ratio obtenu : {ratio} (attendu {expected} ± {tol})",
+    result: "{name} : {actual} (attendu {expected})",
+    dof: {
+      focus: "MAP {distance}",
+    },
+    crop: {
+      title: "Facteur de recadrage (diagonale vs 24×36)",
+    },
+    format: {
+      title: "Format d'enregistrement (recadrage total)",
+      noHfr: "Boîtier sans 4K 100/120p : cadence max 60p",
+      s35: "S35 ignoré sur APS-C, CIZ 4K plafonné",
+    },
+    coc: {
+      title: "Assistant CoC (diffusion)",
+      tv: "TV 4K 65\" à 2,5 m (vision)",
+      strict: "4K pixel-peeping = 1 px de sortie",
+      vertical: "9:16 : largeur livrée (mm)",
+      floor: "Écran lointain → plancher 2 px",
+    },
+    stops: {
+      title: "Échelles d'ouverture et T-stops",
+      third: "Tiers : 7,3 → 7,1 · 3,4 → 3,5 · 4,3 → 4,5",
+      half: "Demis : 3,1 → 3,3 · 9 → 9,5",
+      full: "Entiers : 6,5 → 5,6 · 7 → 8",
+      free: "Libre : arrondi au 1/10",
+      bounds: "Crans bornés par l'objectif (f/4,5 à f/22)",
+      tStop: "T = N · 2^(perte/2), aller-retour",
+      dofOnF: "Profondeur de champ calculée sur N, pas sur T",
+    },
+    shot: {
+      title: "Métadonnées de prise de vue",
+      xml: "XML Sony : 35 mm, f/4, MAP 3,2 m, Active, boîtier et objectif",
+      xmlT: "XML Sony : T-stop seul, MAP infinie",
+      jpeg: "EXIF d'un JPEG (APP1) : f/5,6, 35 mm, 3 m",
+      arw: "EXIF d'un ARW/TIFF gros-boutiste",
+      invalid: "Fichiers vides ou tronqués sans erreur",
+      check: "MAP au-delà / en deçà de H, valeurs relevées prioritaires",
+    },
+    compare: {
+      title: "Comparaison A/B",
+      sanitize: "Emplacements : invalides écartés, lettres uniques, 4 au plus",
+      engine: "Emplacement Active : CoC réduit et H identique au moteur",
+      differs: "Différences repérées par rapport au premier emplacement",
+    },
+    bokeh: {
+      title: "Flou d'arrière-plan",
+      disc: "Disque de flou : 0 à la MAP, CoC à l'infini quand MAP = H",
+      formula: "Disque de flou : 50 mm f/2, sujet 2 m, fond 10 m",
+      framing: "Même cadrage : grandissement rapporté à la largeur conservé",
+      longer: "À cadrage égal, la focale longue floute davantage le fond",
+    },
+    closeFocus: {
+      title: "Proche mise au point (lentille mince exacte)",
+      far: "MAP lointaine : accord avec le modèle simplifié (< 0,5 %)",
+      hyperfocal: "Hyperfocale exacte : f²/(Nc) + 2f + Nc, infini net au-delà",
+      magnification: "Grandissement 1:1 à 4f, aucun en deçà",
+      effective: "Ouverture effective N · (1 + m/P)",
+      close: "70 mm f/4 à 30 cm : profondeur ≈ 2Nc(1 + m/P)/m²",
+      ratio: "Rapport de reproduction et distances en mm",
+    },
+    exposure: {
+      title: "Compagnon d'exposition",
+      angle: "180° à 24 i/s = 1/48 s · 1/50 s = 172,8°",
+      stopDown: "f/2,8 → f/8 avec ND 6 IL : ND ≈ 3 IL",
+      dualBase: "Base 2500 : ND plus fort de log2(2500/800)",
+      isoKeep: "ND conservé : ISO × (8/2,8)²",
+      tStop: "Perte de transmission commune : même ND, T plus fermé",
+      overVnd: "Alertes : au-delà du ND variable, sous son minimum, lumière insuffisante",
+      vndOrder: "Plage VND inversée remise dans l'ordre",
+      rule: "Règle des 180° et écart en IL",
+    },
+    diffraction: {
+      title: "Diffraction (Airy, optimum)",
+      onset: "FX30 : diffraction visible au pixel dès",
+      limit: "Airy = CoC 0,019 mm à",
+      optimum: "Optimum 24 mm, 1,9 m → ∞",
+      stable: "Ouverture optimale appliquée deux fois : même f/",
+      f16: "f/16 signalé limitant (Airy > CoC)",
+    },
+    solver: {
+      title: "Solveur inverse",
+      basic: "35 mm, 2 → 6 m : MAP 3 m, f/10,9",
+      roundTrip: "Aller-retour via computeNearFarMeters",
+      shorter: "70 mm, 1 m → ∞ : repli sur ~28 mm (Tamron, f/22)",
+      compromise: "17 mm, 0,3 m → ∞ : compromis",
+      inverted: "Zone inversée refusée",
+    },
+    framing: {
+      title: "Cadrage",
+      field: "35 mm à 3,035 m : 2,01 × 1,34 m",
+      person: "Personne 1,75 m : recul limité par la hauteur",
+      active: "Actif ×1,1 : champ ÷1,1",
+      shots: "Valeurs de plan croissantes (ECU → WS)",
+    },
+    aspect: {
+      title: "Ratio de livraison",
+      sensor: "Sans ratio = capteur effectif entier",
+      scope: "2.39:1 : même hFOV que 16:9, vFOV réduit",
+      vertical: "9:16 : 7,44 × 13,22 mm",
+      ffEq: "Équiv. 24×36 plus long en 2.39:1",
+      frameLines: "Lignes de cadre : Actif ÷1,1, livré dans Actif",
+    },
+    imperial: {
+      title: "Pieds et pouces",
+      feetInches: "6' 4\" = 6ft 4in = 76 in",
+      fraction: "6' 4 1/2\" et 1/2\"",
+      metric: "1.9m = 190cm",
+      bareFeet: "« 6.5 » en pieds = 6,5 ft",
+      reject: "6' 14\", 1/0\", « abc » refusés",
+      format: "Arrondi au 1/2\" et au 1/16\"",
+      dist: "Distance affichée en ft-in",
+      ticks: "Graduations rondes en pieds",
+    },
+    planner: {
+      title: "Planificateur de points",
+      sorted: "Repères triés par distance",
+      overlap: "A 1,8 m → C 2 m : chevauchement à f/2,8",
+      gap: "C 2 m → B 4,2 m : trou à f/2,8",
+      common: "Ouverture commune = solveur inverse",
+      names: "Noms générés traduits après changement de langue",
+      feet: "1,93 m → 6' 4\"",
+    },
+    diagram: {
+      title: "Schéma interactif",
+      zoom: "Zoom ×2 autour de 20 m : 10 → 60 m",
+      pan: "Déplacement borné à 0 m",
+      logTicks: "Log 0,2 → 100 m : graduations 1-2-5",
+      linTicks: "Linéaire 0 → 100 m : pas de 20 m",
+      subject: "Sujet à 2 m, zone 1,6 → 2,5 m : net",
+    },
+    card: {
+      title: "Carte image",
+      escaped: "SVG autonome, texte échappé",
+      nested: "Schéma imbriqué et positionné",
+      bare: "Sans schéma : carte plus courte, fond blanc",
+    },
+    engine: {
+      title: "Moteur optique (src/optics.js)",
+    },
+    cheat: {
+      title: "Aide-mémoire (grille focale × ouverture)",
+      focals: "Focales 18-105 : 18, 20…70, 105",
+      reference: "35 mm f/8 Actif = H de référence (8,90 m)",
+      impossible: "f/2,8 marqué impossible sur un f/4",
+      csv: "CSV : en-tête + 2 modes × 8 focales",
+    },
+    lens: {
+      title: "Profils objectifs",
+      kitWide: "16-50 kit · f/max à 16 mm",
+      kitMid: "16-50 kit · f/max à 42,5 mm",
+      tamron: "Tamron · preset 24 mm f/1,4 → f/2,8",
+      sigma: "Sigma 16 · preset 24 mm → 16 mm",
+    },
+    link: {
+      title: "Permalien (URL ↔ état)",
+      roundTrip: "Aller-retour complet",
+      invalid: "Valeurs invalides ignorées / bornées",
+    },
+    presets: {
+      title: "Presets (validation import / stockage)",
+      invalid: "Entrées invalides écartées",
+      cleaned: "Nom nettoyé, MAP conservée",
+      dedup: "Id dédoublonné, valeurs bornées",
+      notArray: "Non-tableau refusé",
+      customBodies: "Boîtiers perso : mesures invalides écartées, bornées",
+      blankRename: "Renommage vide ignoré, espaces de tête retirés",
+      defaultNames: "Noms par défaut traduits tant qu'ils ne sont pas renommés",
+    },
+    i18n: {
+      title: "Traduction (catalogues, nombres)",
+      comma: "Français : 8,09 m (virgule décimale)",
+      point: "Anglais et sans langue : 8.09 m",
+      complete: "Tous les catalogues ont les mêmes clés",
+      params: "Paramètres interpolés, langue inconnue → français",
+      detect: "Langue du navigateur : en-GB → en, es-ES → fr",
+    },
+  },
+};
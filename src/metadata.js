@@ -0,0 +1,186 @@
+// Métadonnées de prise de vue lues localement (rien n'est envoyé) : fichiers XML Sony des clips XAVC
+// et EXIF des photos (JPEG, ARW). Chaque lecteur renvoie les mêmes champs, null quand l'information manque.
+import { parseDistanceMeters } from "./optics.js";
+
+const EXIF_READ_BYTES = 4 * 1024 * 1024; // IFD0 et EXIF sont en tête de fichier, inutile de lire un ARW entier
+const XML_SNIFF_BYTES = 512; // en-tête inspecté avant toute lecture texte
+const XML_MAX_BYTES = 1024 * 1024; // un XML compagnon fait quelques Ko ; au-delà (clip MP4 déposé par erreur…) : ignoré
+
+/**
+ * @typedef {{ source: "xml"|"exif", camera: string|null, lens: string|null, focal_mm: number|null,
+ *   N: number|null, T: number|null, focus_m: number|null, mode: "standard"|"active"|null }} ShotMetadata
+ *   `focus_m` peut valoir Infinity ; `mode` : stabilisation (Active recadre)
+ */
+
+function emptyMetadata(source) {
+  return { source, camera: null, lens: null, focal_mm: null, N: null, T: null, focus_m: null, mode: null };
+}
+
+/** Vrai si le fichier apporte au moins une valeur utilisable (focale, ouverture, MAP ou mode). */
+export function hasShotData(meta) {
+  return !!meta && [meta.focal_mm, meta.N, meta.T, meta.focus_m, meta.mode].some((v) => v != null);
+}
+
+/* ===================== XML Sony (XAVC) ===================== */
+// Noms des éléments « Item » (métadonnées objectif SMPTE RDD 18) et variantes rencontrées
+const XML_ITEMS = {
+  focal: ["LensZoomActualFocalLength", "FocalLength"],
+  N: ["IrisFNumber", "FNumber"],
+  T: ["IrisTNumber", "TNumber"],
+  focus: ["FocusPositionFromImagePlane", "FocusPositionFromFrontLensVertex", "FocusDistance", "SubjectDistance"],
+  mode: ["ImageStabilizerMode", "ImageStabilization", "SteadyShot"],
+};
+
+function escapeRegExp(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); }
+
+// Valeur d'un champ : <Item name="X" value="…"/>, <X value="…"/> ou <X>…</X>
+function xmlValue(text, name) {
+  const n = escapeRegExp(name);
+  const patterns = [
+    new RegExp(`<Item\\b[^>]*\\bname="${n}"[^>]*\\bvalue="([^"]*)"`, "i"),
+    new RegExp(`<Item\\b[^>]*\\bvalue="([^"]*)"[^>]*\\bname="${n}"`, "i"),
+    new RegExp(`<${n}\\b[^>]*\\bvalue="([^"]*)"`, "i"),
+    new RegExp(`<${n}\\b[^>]*>([^<]*)</${n}>`, "i"),
+  ];
+  for (const re of patterns) {
+    const m = text.match(re);
+    if (m && m[1].trim()) return m[1].trim();
+  }
+  return null;
+}
+
+function firstValue(text, names) {
+  for (const name of names) {
+    const v = xmlValue(text, name);
+    if (v != null) return v;
+  }
+  return null;
+}
+
+// « 35mm », « F4.0 », « T2.9 », « 4,0 » → nombre ; null si illisible
+function metaNumber(v) {
+  if (v == null) return null;
+  const m = String(v).replace(",", ".").match(/(\d+(?:\.\d+)?|\.\d+)/);
+  return m && Number(m[1]) > 0 ? Number(m[1]) : null;
+}
+
+// « 3.2m », « 320cm », « 3.2 » (m), « inf » / « ∞ » → Infinity
+function metaDistance(v) {
+  if (v == null) return null;
+  const s = String(v).trim().toLowerCase();
+  if (/^(inf|infinity|∞)/.test(s)) return Infinity;
+  const m = parseDistanceMeters(s.replace(/\s+/g, ""), "m");
+  return m > 0 ? m : null;
+}
+
+function metaMode(v) {
+  if (v == null) return null;
+  if (/activ/i.test(v)) return "active";
+  return /standard|^on$|^off$|normal/i.test(v.trim()) ? "standard" : null;
+}
+
+/**
+ * Lit le XML compagnon d'un clip Sony (M01.XML, NonRealTimeMeta).
+ * @param {string} text
+ * @returns {ShotMetadata}
+ */
+export function parseSonyXml(text) {
+  const out = emptyMetadata("xml");
+  const device = text.match(/<Device\b[^>]*\bmodelName="([^"]*)"/i);
+  const lens = text.match(/<Lens\b[^>]*\bmodelName="([^"]*)"/i);
+  out.camera = device ? device[1].trim() || null : null;
+  out.lens = lens ? lens[1].trim() || null : null;
+  out.focal_mm = metaNumber(firstValue(text, XML_ITEMS.focal));
+  out.N = metaNumber(firstValue(text, XML_ITEMS.N));
+  out.T = metaNumber(firstValue(text, XML_ITEMS.T));
+  out.focus_m = metaDistance(firstValue(text, XML_ITEMS.focus));
+  out.mode = metaMode(firstValue(text, XML_ITEMS.mode));
+  return out;
+}
+
+/* ===================== EXIF (JPEG, ARW/TIFF) ===================== */
+const TAG = { make: 0x010f, model: 0x0110, exifIfd: 0x8769, fNumber: 0x829d, subjectDistance: 0x9206, focalLength: 0x920a, lensModel: 0xa434 };
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Entrées d'un IFD → Map(tag → valeur) ; premier élément seulement pour les nombres
+function readIfd(view, tiff, offset, little) {
+  const tags = new Map();
+  const count = view.getUint16(tiff + offset, little);
+  for (let i = 0; i < count; i++) {
+    const entry = tiff + offset + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const n = view.getUint32(entry + 4, little);
+    const size = (TYPE_SIZES[type] || 0) * n;
+    if (!size) continue;
+    const at = size <= 4 ? entry + 8 : tiff + view.getUint32(entry + 8, little);
+    if (at + size > view.byteLength) continue;
+    if (type === 2) {
+      let s = "";
+      for (let k = 0; k < n; k++) { const c = view.getUint8(at + k); if (!c) break; s += String.fromCharCode(c); }
+      tags.set(tag, s.trim());
+    } else if (type === 3) tags.set(tag, view.getUint16(at, little));
+    else if (type === 4 || type === 9) tags.set(tag, view.getUint32(at, little));
+    else if (type === 5 || type === 10) {
+      const num = view.getUint32(at, little), den = view.getUint32(at + 4, little);
+      tags.set(tag, num === 0xffffffff ? Infinity : den ? num / den : NaN); // 0xFFFFFFFF : distance infinie
+    }
+  }
+  return tags;
+}
+
+function readTiff(view, tiff) {
+  const order = view.getUint16(tiff);
+  if (order !== 0x4949 && order !== 0x4d4d) return null;
+  const little = order === 0x4949;
+  if (view.getUint16(tiff + 2, little) !== 42) return null;
+  const ifd0 = readIfd(view, tiff, view.getUint32(tiff + 4, little), little);
+  const exif = ifd0.has(TAG.exifIfd) ? readIfd(view, tiff, ifd0.get(TAG.exifIfd), little) : new Map();
+  const out = emptyMetadata("exif");
+  const positive = (v) => (v > 0 ? v : null);
+  out.camera = [ifd0.get(TAG.make), ifd0.get(TAG.model)].filter(Boolean).join(" ") || null;
+  out.lens = exif.get(TAG.lensModel) || null;
+  out.focal_mm = positive(exif.get(TAG.focalLength));
+  out.N = positive(exif.get(TAG.fNumber));
+  out.focus_m = positive(exif.get(TAG.subjectDistance)); // 0 = inconnue
+  return out;
+}
+
+/**
+ * Lit l'EXIF d'un JPEG (segment APP1) ou d'un fichier TIFF/ARW.
+ * @param {ArrayBuffer} buffer début du fichier
+ * @returns {ShotMetadata|null} null si aucun bloc EXIF lisible
+ */
+export function parseExif(buffer) {
+  const view = new DataView(buffer);
+  try {
+    if (view.byteLength >= 4 && view.getUint16(0) === 0xffd8) {
+      for (let at = 2; at + 4 <= view.byteLength;) {
+        const marker = view.getUint16(at);
+        if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break; // données image : plus d'en-têtes
+        const length = view.getUint16(at + 2);
+        if (marker === 0xffe1 && view.getUint32(at + 4) === 0x45786966 && view.getUint16(at + 8) === 0) return readTiff(view, at + 10); // « Exif\0\0 »
+        at += 2 + length;
+      }
+      return null;
+    }
+    return view.byteLength >= 8 ? readTiff(view, 0) : null;
+  } catch (_) { return null; } // décalages hors du fichier (tronqué, corrompu)
+}
+
+/**
+ * Lit un fichier déposé : XML Sony, JPEG ou ARW (reconnus par leur contenu) ; un XML de plus de 1 Mo est refusé.
+ * @param {Blob} file
+ * @returns {Promise<ShotMetadata|null>} null si le format n'est pas reconnu
+ */
+export async function readShotMetadata(file) {
+  const head = new Uint8Array(await file.slice(0, EXIF_READ_BYTES).arrayBuffer());
+  const isJpeg = head[0] === 0xff && head[1] === 0xd8;
+  const isTiff = (head[0] === 0x49 && head[1] === 0x49) || (head[0] === 0x4d && head[1] === 0x4d);
+  if (isJpeg || isTiff) return parseExif(head.buffer);
+  // Jamais de `file.text()` sur un fichier inconnu : un clip de plusieurs Go serait décodé en entier
+  if (file.size > XML_MAX_BYTES) return null;
+  const sniff = await file.slice(0, XML_SNIFF_BYTES).text();
+  if (!/<\?xml|<NonRealTimeMeta/i.test(sniff)) return null;
+  return parseSonyXml(await file.text());
+}
@@ -0,0 +1,627 @@
+// Moteur optique FX30 — module autonome (aucune dépendance React / DOM).
+// Utilisé par l'interface (App.jsx) et par la CLI (bin/fx30-calc.js).
+//
+// Conventions d'unités : focales, capteurs et CoC en mm ; distances en m.
+// `crop` est un recadrage supplémentaire appliqué au capteur (ex. Stabilisation Active 1,10×) :
+// il réduit le capteur effectif et donc le CoC équivalent (coc_base / crop).
+
+/* ===================== Constantes ===================== */
+export const FT_PER_M = 3.280839895; // exact (1 ft = 0,3048 m)
+export const FF_DIAGONAL_MM = Math.hypot(36, 24); // 24×36 de référence
+
+/** Valeurs par défaut du FX30 (capteur Super 35 / APS-C). */
+export const FX30_DEFAULTS = Object.freeze({ sensorW_mm: 23.5, sensorH_mm: 15.6, coc_base_mm: 0.019, activeCrop: 1.10 });
+
+/* ===================== Formatage / unités ===================== */
+// Séparateur décimal par locale (« , » en français), mis en cache : Intl est coûteux à instancier
+const DECIMAL_SEPARATORS = new Map();
+function decimalSeparator(locale) {
+  if (!locale) return ".";
+  if (!DECIMAL_SEPARATORS.has(locale)) {
+    let sep = ".";
+    try {
+      const part = new Intl.NumberFormat(locale).formatToParts(1.5).find((p) => p.type === "decimal");
+      if (part) sep = part.value;
+    } catch (_) { /* locale inconnue → point */ }
+    DECIMAL_SEPARATORS.set(locale, sep);
+  }
+  return DECIMAL_SEPARATORS.get(locale);
+}
+
+/**
+ * Arrondi « lisible » : au plus `digits` décimales, sans zéros inutiles.
+ * Sans `locale`, le point décimal est conservé (CSV, URL, CLI).
+ * @param {number} num
+ * @param {number} [digits=2]
+ * @param {string} [locale] ex. "fr" → virgule décimale
+ * @returns {string} "—" si non fini
+ */
+export function toFixedSmart(num, digits = 2, locale) {
+  if (!isFinite(num)) return "—";
+  if (Math.abs(num) < 1e-9) return "0";
+  const p = Math.pow(10, digits);
+  const out = (Math.round(num * p) / p).toString();
+  const sep = decimalSeparator(locale);
+  return sep === "." ? out : out.replace(".", sep);
+}
+
+/**
+ * Distance affichable : mm sous 10 cm, cm sous 1 m, m sinon ; en pieds si `unit === "ft"`,
+ * décimaux par défaut (CLI) ou pieds-pouces si `inchFraction` est donné (interface).
+ * @param {number} meters
+ * @param {"m"|"ft"} unit
+ * @param {string} [locale] séparateur décimal (voir `toFixedSmart`)
+ * @param {number} [inchFraction] précision des pouces (voir `formatFeetInches`)
+ * @returns {string}
+ */
+export function formatDistanceMeters(meters, unit, locale, inchFraction) {
+  if (!isFinite(meters)) return "—";
+  if (unit === "ft") {
+    if (inchFraction) return formatFeetInches(meters, inchFraction);
+    const ft = meters * FT_PER_M;
+    return `${toFixedSmart(ft, ft < 10 ? 2 : 1, locale)} ft`;
+  }
+  if (meters < 0.1) return `${toFixedSmart(meters * 1000, meters < 0.01 ? 2 : 1, locale)} mm`; // profondeurs de champ en proxi
+  if (meters < 1) return `${toFixedSmart(meters * 100, 1, locale)} cm`;
+  return `${toFixedSmart(meters, meters < 10 ? 2 : 1, locale)} m`;
+}
+
+/** Comme `formatDistanceMeters`, mais affiche « ∞ » pour l'infini. */
+export function formatDistanceOrInf(meters, unit, locale, inchFraction) {
+  return meters === Infinity ? "∞" : formatDistanceMeters(meters, unit, locale, inchFraction);
+}
+
+/** Précisions de pouce proposées : 1", 1/2", 1/4", 1/8", 1/16". */
+export const INCH_FRACTIONS = [1, 2, 4, 8, 16];
+
+function gcd(a, b) { return b ? gcd(b, a % b) : a; }
+
+/**
+ * Pieds et pouces (« 6' 4" », « 6' 4 1/2" »), notation des pointeurs.
+ * @param {number} meters
+ * @param {number} [fraction=1] arrondi au 1/fraction de pouce (fraction réduite : 4/8 → 1/2)
+ * @returns {string} "∞" pour l'infini, "—" si non fini
+ */
+export function formatFeetInches(meters, fraction = 1) {
+  if (meters === Infinity) return "∞";
+  if (!isFinite(meters)) return "—";
+  const total = Math.round(meters * FT_PER_M * 12 * fraction); // en 1/fraction de pouce
+  const perFoot = 12 * fraction;
+  const ft = Math.floor(total / perFoot);
+  const rest = total - ft * perFoot;
+  const inches = Math.floor(rest / fraction);
+  const num = rest - inches * fraction;
+  if (!num) return `${ft}' ${inches}"`;
+  const g = gcd(num, fraction);
+  return `${ft}' ${inches ? `${inches} ` : ""}${num / g}/${fraction / g}"`;
+}
+
+export function metersToUnit(meters, unit) { return unit === "ft" ? meters * FT_PER_M : meters; }
+export function unitToMeters(value, unit) { return unit === "ft" ? value / FT_PER_M : value; }
+
+const DISTANCE_UNITS_M = { m: 1, cm: 0.01, mm: 0.001, ft: 1 / FT_PER_M, in: 1 / (FT_PER_M * 12) };
+
+// Pieds et/ou pouces : 6' 4", 6ft 4in, 6' 4 1/2", 6'4, 76in, 1/2" (apostrophes typographiques acceptées)
+const FEET_INCHES = /^(?:(\d+(?:[.,]\d+)?)\s*(?:'|′|’|feet|foot|ft)\s*)?(?:(\d+(?:[.,]\d+)?)?\s*(?:(\d+)\s*\/\s*(\d+))?\s*("|″|”|''|inches|inch|in)?)?$/;
+
+/**
+ * Lit une distance saisie (« 3m », « 300 cm », « 10ft », « 2,5 », « 6' 4" », « 6ft 4in », « 6' 4 1/2" »).
+ * @param {string|number} text
+ * @param {"m"|"ft"} [defaultUnit="m"] unité si aucune n'est précisée
+ * @returns {number} mètres, NaN si illisible (ou pouces ≥ 12 après des pieds)
+ */
+export function parseDistanceMeters(text, defaultUnit = "m") {
+  if (typeof text === "number") return unitToMeters(text, defaultUnit);
+  const str = String(text).trim().toLowerCase();
+  const m = str.match(/^(\d+(?:[.,]\d+)?|[.,]\d+)\s*(m|cm|mm|ft|in)?$/);
+  if (m) {
+    const value = Number(m[1].replace(",", "."));
+    return m[2] ? value * DISTANCE_UNITS_M[m[2]] : unitToMeters(value, defaultUnit);
+  }
+  const fi = str.match(FEET_INCHES);
+  if (!fi || !str) return NaN;
+  const [, feetRaw, inchRaw, fracNum, fracDen, inchMark] = fi;
+  const hasInches = inchRaw !== undefined || fracNum !== undefined;
+  // sans marque de pouce, un nombre n'est lu comme pouces qu'après des pieds (6'4)
+  if (hasInches && !inchMark && feetRaw === undefined) return NaN;
+  if (inchMark && !hasInches) return NaN;
+  if (fracDen !== undefined && (Number(fracDen) === 0 || Number(fracNum) >= Number(fracDen))) return NaN;
+  const feet = feetRaw === undefined ? 0 : Number(feetRaw.replace(",", "."));
+  const inches = (inchRaw === undefined ? 0 : Number(inchRaw.replace(",", "."))) + (fracNum === undefined ? 0 : Number(fracNum) / Number(fracDen));
+  if (feetRaw !== undefined && inches >= 12) return NaN;
+  return (feet * 12 + inches) * DISTANCE_UNITS_M.in;
+}
+
+function deg(x) { return (x * 180) / Math.PI; }
+
+/* ===================== Profondeur de champ ===================== */
+/**
+ * Hyperfocale H = f² / (N·c) + f, avec c = coc_base / crop.
+ * @param {{ focal_mm: number, N: number, coc_base_mm: number, crop?: number }} p
+ * @returns {number} H en mètres
+ */
+export function computeHyperfocalMeters({ focal_mm, N, coc_base_mm, crop = 1 }) {
+  // coc équiv = coc_base / crop
+  const f = focal_mm;
+  const c = coc_base_mm / crop;
+  const H_mm = (f * f) / (N * c) + f;
+  return H_mm / 1000;
+}
+
+/**
+ * Limites de netteté pour une MAP à `s_m` mètres.
+ * @param {{ focal_mm: number, N: number, coc_base_mm: number, crop?: number, s_m: number }} p
+ * @returns {{ H_m: number, near: number, far: number }} `far` vaut Infinity au-delà de H
+ */
+export function computeNearFarMeters({ focal_mm, N, coc_base_mm, crop = 1, s_m }) {
+  const H_m = computeHyperfocalMeters({ focal_mm, N, coc_base_mm, crop });
+  const f_m = focal_mm / 1000;
+  const s = s_m;
+  const near = (H_m * s) / (H_m + (s - f_m));
+  let far;
+  if (s <= H_m) {
+    const denom = H_m - (s - f_m);
+    far = denom <= 0 ? Infinity : (H_m * s) / denom;
+  } else {
+    far = Infinity;
+  }
+  return { H_m, near, far };
+}
+
+/**
+ * Solveur inverse : MAP et ouverture minimale pour rendre nette la zone [near, far].
+ * Inverse exact de `computeNearFarMeters` : 1/near + 1/far = 2/s et 1/near − 1/far = 2(s − f)/(H·s).
+ * @param {{ focal_mm: number, coc_base_mm: number, crop?: number, near_m: number, far_m: number }} p `far_m` peut valoir Infinity
+ * @returns {{ ok: boolean, s_m: number, H_m: number, N: number }} `N` : plus petit nombre d'ouverture suffisant ;
+ *   `ok` faux si la zone est invalide (near ≥ far, MAP en deçà de la focale…)
+ */
+export function solveFocusForRange({ focal_mm, coc_base_mm, crop = 1, near_m, far_m }) {
+  const f_m = focal_mm / 1000;
+  const k = 1 / near_m - (isFinite(far_m) ? 1 / far_m : 0);
+  const s_m = isFinite(far_m) ? (2 * near_m * far_m) / (near_m + far_m) : 2 * near_m;
+  if (!(near_m > 0) || !(k > 0) || !(s_m > f_m)) return { ok: false, s_m: NaN, H_m: NaN, N: NaN };
+  const H_m = (2 * (s_m - f_m)) / (s_m * k);
+  const c = coc_base_mm / crop;
+  const N = (focal_mm * focal_mm) / (c * (H_m * 1000 - focal_mm));
+  return { ok: H_m > f_m && N > 0, s_m, H_m, N };
+}
+
+/**
+ * Plus longue focale de [minFocal, maxFocal] qui tient la zone [near, far] à une ouverture `N_max` au plus
+ * (le nombre d'ouverture requis croît avec la focale → dichotomie).
+ * @param {{ minFocal: number, maxFocal: number, N_max: number, coc_base_mm: number, crop?: number, near_m: number, far_m: number }} p
+ * @returns {number} mm, NaN si même `minFocal` ne suffit pas
+ */
+export function longestFocalForRange({ minFocal, maxFocal, N_max, coc_base_mm, crop = 1, near_m, far_m }) {
+  const fits = (focal_mm) => {
+    const r = solveFocusForRange({ focal_mm, coc_base_mm, crop, near_m, far_m });
+    return r.ok && r.N <= N_max;
+  };
+  if (!fits(minFocal)) return NaN;
+  if (fits(maxFocal)) return maxFocal;
+  let lo = minFocal, hi = maxFocal;
+  while (hi - lo > 0.05) {
+    const mid = (lo + hi) / 2;
+    if (fits(mid)) lo = mid; else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Grille hyperfocale focale × ouverture (aide-mémoire).
+ * @param {{ focals: number[], apertures: number[], coc_base_mm: number, crop?: number }} p
+ * @returns {{ focal_mm: number, cells: { N: number, H_m: number, near_m: number }[] }[]} une ligne par focale
+ */
+export function computeHyperfocalGrid({ focals, apertures, coc_base_mm, crop = 1 }) {
+  return focals.map((focal_mm) => ({
+    focal_mm,
+    cells: apertures.map((N) => {
+      const H_m = computeHyperfocalMeters({ focal_mm, N, coc_base_mm, crop });
+      return { N, H_m, near_m: H_m / 2 };
+    }),
+  }));
+}
+
+/* ===================== Cadrage ===================== */
+/**
+ * Facteur de recadrage vs 24×36, basé sur la diagonale réelle du capteur.
+ * @param {number} sensorW_mm
+ * @param {number} sensorH_mm
+ * @returns {number}
+ */
+export function fullFrameCropFactor(sensorW_mm, sensorH_mm) {
+  const d = Math.hypot(sensorW_mm, sensorH_mm);
+  return d > 0 ? FF_DIAGONAL_MM / d : 1;
+}
+
+/**
+ * Focale équivalente 24×36 (diagonale), recadrage inclus.
+ * @param {{ focal_mm: number, sensorW_mm: number, sensorH_mm: number, crop?: number }} p
+ * @returns {number} mm
+ */
+export function fullFrameEquivalentFocal({ focal_mm, sensorW_mm, sensorH_mm, crop = 1 }) {
+  return focal_mm * fullFrameCropFactor(sensorW_mm, sensorH_mm) * crop;
+}
+
+/**
+ * Capteur effectif et angles de champ (degrés).
+ * @param {{ focal_mm: number, sensorW_mm: number, sensorH_mm: number, crop?: number }} p
+ * @returns {{ effW: number, effH: number, hFOV: number, vFOV: number, dFOV: number }}
+ */
+export function computeFieldOfView({ focal_mm, sensorW_mm, sensorH_mm, crop = 1 }) {
+  const effW = sensorW_mm / crop;
+  const effH = sensorH_mm / crop;
+  const angle = (size) => 2 * deg(Math.atan(size / (2 * focal_mm)));
+  return { effW, effH, hFOV: angle(effW), vFOV: angle(effH), dFOV: angle(Math.hypot(effW, effH)) };
+}
+
+/**
+ * Champ couvert (m) à une distance sujet, en lentille mince : grandissement f/(d−f).
+ * @param {{ focal_mm: number, effW: number, effH: number, distance_m: number }} p capteur effectif en mm
+ * @returns {{ width_m: number, height_m: number }} NaN si le sujet est en deçà de la focale
+ */
+export function frameSizeAtDistance({ focal_mm, effW, effH, distance_m }) {
+  const f_m = focal_mm / 1000;
+  if (!(distance_m > f_m)) return { width_m: NaN, height_m: NaN };
+  const k = (distance_m - f_m) / focal_mm; // m de scène par mm de capteur
+  return { width_m: effW * k, height_m: effH * k };
+}
+
+/**
+ * Distance minimale pour faire entrer un sujet (l × h en m) dans le cadre.
+ * @param {{ focal_mm: number, effW: number, effH: number, subjectW_m?: number, subjectH_m?: number }} p
+ * @returns {{ distance_m: number, limitedBy: "width"|"height" }} dimension qui impose le recul
+ */
+export function distanceToFit({ focal_mm, effW, effH, subjectW_m = 0, subjectH_m = 0 }) {
+  const byW = (subjectW_m * 1000) / effW;
+  const byH = (subjectH_m * 1000) / effH;
+  const ratio = Math.max(byW, byH);
+  return { distance_m: (focal_mm / 1000) * (1 + ratio), limitedBy: byW >= byH ? "width" : "height" };
+}
+
+/* ===================== Cercle de confusion ===================== */
+export const VIDEO_ASPECT = 16 / 9; // image enregistrée dans le capteur
+export const COC_ACUITY_ARCMIN = 2; // flou perçu par un spectateur attentif
+export const COC_PIXEL_FLOOR = 2; // en dessous de ~2 px de sortie, le flou est masqué par la mise à l'échelle
+export const COC_STRICT_PIXELS = 1; // « pixel-peeping » : 1 px de sortie
+
+/**
+ * Zone du capteur réellement livrée : image 16:9 enregistrée, puis recadrée au ratio de diffusion.
+ * @param {{ sensorW_mm: number, sensorH_mm: number, deliveryAspect: number }} p ratio largeur / hauteur
+ * @returns {{ usedW_mm: number, usedH_mm: number }}
+ */
+export function deliveryArea({ sensorW_mm, sensorH_mm, deliveryAspect }) {
+  const recW = Math.min(sensorW_mm, sensorH_mm * VIDEO_ASPECT);
+  const recH = recW / VIDEO_ASPECT;
+  return deliveryAspect >= VIDEO_ASPECT
+    ? { usedW_mm: recW, usedH_mm: recW / deliveryAspect }
+    : { usedW_mm: recH * deliveryAspect, usedH_mm: recH };
+}
+
+/**
+ * Angles de champ et équivalent 24×36 (diagonale) de la zone livrée, recadrages inclus.
+ * Sans ratio de diffusion (`deliveryAspect` nul) : capteur effectif entier.
+ * @param {{ focal_mm: number, sensorW_mm: number, sensorH_mm: number, crop?: number, deliveryAspect?: number|null }} p
+ * @returns {{ usedW_mm: number, usedH_mm: number, hFOV: number, vFOV: number, dFOV: number, ffEq_mm: number }}
+ */
+export function computeDeliveryFieldOfView({ focal_mm, sensorW_mm, sensorH_mm, crop = 1, deliveryAspect = null }) {
+  const { effW, effH } = computeFieldOfView({ focal_mm, sensorW_mm, sensorH_mm, crop });
+  const { usedW_mm, usedH_mm } = deliveryAspect
+    ? deliveryArea({ sensorW_mm: effW, sensorH_mm: effH, deliveryAspect })
+    : { usedW_mm: effW, usedH_mm: effH };
+  const { hFOV, vFOV, dFOV } = computeFieldOfView({ focal_mm, sensorW_mm: usedW_mm, sensorH_mm: usedH_mm });
+  return { usedW_mm, usedH_mm, hFOV, vFOV, dFOV, ffEq_mm: focal_mm * fullFrameCropFactor(usedW_mm, usedH_mm) };
+}
+
+/**
+ * CoC (mm, sur le capteur entier) déduit des conditions de diffusion.
+ * Critère de vision : flou d'angle `acuityArcmin` à la distance de visionnage, ramené au capteur.
+ * Critère de définition : `COC_PIXEL_FLOOR` pixels de sortie (ou 1 px en mode strict, qui l'emporte alors).
+ * @param {{ sensorW_mm: number, sensorH_mm: number, deliveryAspect: number, outputWidth_px: number,
+ *   displayWidth_m: number, viewingDistance_m: number, strict?: boolean, acuityArcmin?: number }} p
+ * @returns {{ coc_mm: number, byViewing_mm: number, byPixels_mm: number, limitedBy: "viewing"|"pixels",
+ *   usedW_mm: number, usedH_mm: number }}
+ */
+export function computeCocFromViewing({
+  sensorW_mm, sensorH_mm, deliveryAspect, outputWidth_px, displayWidth_m, viewingDistance_m,
+  strict = false, acuityArcmin = COC_ACUITY_ARCMIN,
+}) {
+  const { usedW_mm, usedH_mm } = deliveryArea({ sensorW_mm, sensorH_mm, deliveryAspect });
+  const pixel_mm = usedW_mm / outputWidth_px;
+  const blurOnDisplay_m = viewingDistance_m * Math.tan((acuityArcmin / 60) * (Math.PI / 180));
+  const byViewing_mm = (blurOnDisplay_m / displayWidth_m) * usedW_mm;
+  if (strict) {
+    const byPixels_mm = COC_STRICT_PIXELS * pixel_mm;
+    return { coc_mm: byPixels_mm, byViewing_mm, byPixels_mm, limitedBy: "pixels", usedW_mm, usedH_mm };
+  }
+  const byPixels_mm = COC_PIXEL_FLOOR * pixel_mm;
+  const limitedBy = byViewing_mm >= byPixels_mm ? "viewing" : "pixels";
+  return { coc_mm: Math.max(byViewing_mm, byPixels_mm), byViewing_mm, byPixels_mm, limitedBy, usedW_mm, usedH_mm };
+}
+
+/* ===================== Échelles d'ouverture et T-stops ===================== */
+// Valeurs gravées (arrondies) des échelles usuelles, en IL entiers, demis et tiers
+export const APERTURE_SCALES = Object.freeze({
+  full: [1, 1.4, 2, 2.8, 4, 5.6, 8, 11, 16, 22, 32],
+  half: [1, 1.2, 1.4, 1.7, 2, 2.4, 2.8, 3.3, 4, 4.8, 5.6, 6.7, 8, 9.5, 11, 13, 16, 19, 22, 27, 32],
+  third: [1, 1.1, 1.2, 1.4, 1.6, 1.8, 2, 2.2, 2.5, 2.8, 3.2, 3.5, 4, 4.5, 5, 5.6, 6.3, 7.1, 8, 9, 10, 11, 13, 14, 16, 18, 20, 22, 25, 29, 32],
+});
+
+/** Écart en IL entre deux ouvertures (positif si `b` est plus fermée) : 2 · log2(b / a). */
+export function stopsBetween(a, b) {
+  return 2 * Math.log2(b / a);
+}
+
+/**
+ * Valeur de l'échelle la plus proche en IL ; échelle inconnue (« libre ») → arrondi au 1/10.
+ * @param {number} N
+ * @param {"full"|"half"|"third"|"free"} [scale="third"]
+ * @returns {number}
+ */
+export function snapAperture(N, scale = "third") {
+  const values = APERTURE_SCALES[scale];
+  if (!values) return Math.round(N * 10) / 10;
+  return values.reduce((best, v) => (Math.abs(stopsBetween(N, v)) < Math.abs(stopsBetween(N, best)) ? v : best));
+}
+
+/**
+ * Crans proposés entre deux bornes, bornes comprises même hors échelle (pleine ouverture d'un zoom variable).
+ * @param {"full"|"half"|"third"} scale
+ * @param {number} minN ouverture maximale de l'objectif
+ * @param {number} maxN ouverture minimale de l'objectif
+ * @returns {number[]}
+ */
+export function apertureStops(scale, minN, maxN) {
+  const inside = (APERTURE_SCALES[scale] || []).filter((v) => v > minN + 0.005 && v < maxN - 0.005);
+  return maxN > minN ? [minN, ...inside, maxN] : [minN];
+}
+
+/**
+ * T-stop (lumière réellement transmise) d'une ouverture géométrique : T = N · 2^(perte / 2).
+ * La profondeur de champ dépend de N, l'exposition de T.
+ * @param {number} N
+ * @param {number} [loss_ev=0] perte de transmission de l'objectif (IL)
+ * @returns {number}
+ */
+export function tStopFromFNumber(N, loss_ev = 0) {
+  return N * Math.pow(2, loss_ev / 2);
+}
+
+/** Inverse de `tStopFromFNumber` : ouverture géométrique d'un T-stop. */
+export function fNumberFromTStop(T, loss_ev = 0) {
+  return T / Math.pow(2, loss_ev / 2);
+}
+
+/* ===================== Exposition ===================== */
+/** Durée d'obturation (s) d'un angle d'obturateur : angle / (360 · i/s) ; 180° à 24 i/s → 1/48 s. */
+export function shutterSecondsFromAngle(angle_deg, fps) {
+  return angle_deg / (360 * fps);
+}
+
+/** Angle d'obturateur (°) d'une durée d'obturation : 360 · i/s · durée. */
+export function shutterAngleFromSeconds(shutter_s, fps) {
+  return 360 * fps * shutter_s;
+}
+
+/**
+ * Lumière reçue par image, en IL relatifs (+1 = deux fois plus clair) : log2(durée · ISO / T²) − ND.
+ * @param {{ T: number, shutter_s: number, iso: number, nd_stops?: number }} p T-stop (ou N si la perte est ignorée)
+ * @returns {number}
+ */
+export function exposureStops({ T, shutter_s, iso, nd_stops = 0 }) {
+  return Math.log2((shutter_s * iso) / (T * T)) - nd_stops;
+}
+
+/**
+ * ND (IL) qui redonne l'exposition de référence avec le nouveau T, la nouvelle durée et le nouvel ISO.
+ * Négatif : il manque de la lumière même sans filtre.
+ * @param {{ ref: { T: number, shutter_s: number, iso: number, nd_stops?: number }, T: number, shutter_s: number, iso: number }} p
+ * @returns {number}
+ */
+export function ndForExposure({ ref, T, shutter_s, iso }) {
+  return exposureStops({ T, shutter_s, iso }) - exposureStops(ref);
+}
+
+/**
+ * ISO qui redonne l'exposition de référence avec le nouveau T, la nouvelle durée et le ND conservé.
+ * @param {{ ref: { T: number, shutter_s: number, iso: number, nd_stops?: number }, T: number, shutter_s: number, nd_stops?: number }} p
+ * @returns {number}
+ */
+export function isoForExposure({ ref, T, shutter_s, nd_stops = 0 }) {
+  return Math.pow(2, exposureStops(ref) + nd_stops) * (T * T) / shutter_s;
+}
+
+/** Facteur d'un ND de `stops` IL (ND8 = 3 IL) et densité optique (0,9). */
+export function ndFilterStrength(stops) {
+  return { factor: Math.pow(2, stops), density: stops * Math.log10(2) };
+}
+
+/* ===================== Proche mise au point (lentille mince exacte) ===================== */
+/**
+ * Grandissement pour une MAP à `s_m` mesurée depuis le plan du capteur (lentille mince : s = f · (2 + m + 1/m)).
+ * @param {{ focal_mm: number, s_m: number }} p
+ * @returns {number} NaN en deçà de 4f (aucune image nette possible)
+ */
+export function magnificationFromSensorDistance({ focal_mm, s_m }) {
+  const k = (s_m * 1000) / focal_mm - 2; // m + 1/m
+  if (!(k >= 2)) return NaN;
+  return (k - Math.sqrt(k * k - 4)) / 2;
+}
+
+/**
+ * Distance capteur–sujet (m) donnant le grandissement `m` : f · (2 + m + 1/m).
+ * @param {{ focal_mm: number, m: number }} p
+ * @returns {number}
+ */
+export function sensorDistanceForMagnification({ focal_mm, m }) {
+  return (focal_mm * (2 + m + 1 / m)) / 1000;
+}
+
+/**
+ * Ouverture effective (tirage) : N · (1 + m / P), P = grandissement pupillaire (pupille de sortie / d'entrée).
+ * @param {{ N: number, m: number, pupilMag?: number }} p
+ * @returns {number}
+ */
+export function effectiveAperture({ N, m, pupilMag = 1 }) {
+  return N * (1 + m / pupilMag);
+}
+
+/**
+ * Hyperfocale exacte (m, depuis le capteur) : MAP de grandissement N·c / f, où la limite lointaine atteint l'infini.
+ * Ne dépend pas du grandissement pupillaire.
+ * @param {{ focal_mm: number, N: number, coc_base_mm: number, crop?: number }} p
+ * @returns {number}
+ */
+export function computeHyperfocalExactMeters({ focal_mm, N, coc_base_mm, crop = 1 }) {
+  const c = coc_base_mm / crop;
+  return sensorDistanceForMagnification({ focal_mm, m: (N * c) / focal_mm });
+}
+
+/**
+ * Zone nette exacte (lentille mince, pupilles) pour une MAP à `s_m` mesurée depuis le capteur.
+ * Flou d'un point de grandissement m' : P · f · |m' − m| / (N · (m' + P)) ; les limites sont là où il égale le CoC.
+ * Tirage fixe (l'image de la MAP reste sur le capteur) ; distances depuis le capteur.
+ * @param {{ focal_mm: number, N: number, coc_base_mm: number, crop?: number, s_m: number, pupilMag?: number }} p
+ * @returns {{ m: number, Nw: number, H_m: number, near: number, far: number }} `Nw` : ouverture effective ;
+ *   `far` vaut Infinity au-delà de H ; NaN (sauf `H_m`) en deçà de 4f
+ */
+export function computeNearFarExact({ focal_mm, N, coc_base_mm, crop = 1, s_m, pupilMag = 1 }) {
+  const c = coc_base_mm / crop;
+  const f = focal_mm, P = pupilMag;
+  const H_m = computeHyperfocalExactMeters({ focal_mm, N, coc_base_mm, crop });
+  const m = magnificationFromSensorDistance({ focal_mm, s_m });
+  if (isNaN(m)) return { m, Nw: NaN, H_m, near: NaN, far: NaN };
+  const v = f * (1 + m); // tirage (mm)
+  const toSensor = (mp) => (f * (1 + 1 / mp) + v) / 1000;
+  const mNear = (P * (f * m + c * N)) / (P * f - c * N);
+  const mFar = (P * (f * m - c * N)) / (P * f + c * N);
+  return { m, Nw: effectiveAperture({ N, m, pupilMag: P }), H_m, near: mNear > 0 ? toSensor(mNear) : NaN, far: mFar > 0 ? toSensor(mFar) : Infinity };
+}
+
+/* ===================== Diffraction ===================== */
+export const AIRY_WAVELENGTH_MM = 0.00055; // vert, 550 nm
+export const DIFFRACTION_PIXEL_ONSET = 2; // Airy > 2 photosites (Nyquist) → perte visible au pixel
+
+/**
+ * Diamètre du disque d'Airy (jusqu'au premier anneau sombre) : 2,44 · λ · N.
+ * @param {number} N
+ * @param {number} [wavelength_mm=AIRY_WAVELENGTH_MM]
+ * @returns {number} mm
+ */
+export function airyDiskDiameterMm(N, wavelength_mm = AIRY_WAVELENGTH_MM) {
+  return 2.44 * wavelength_mm * N;
+}
+
+/**
+ * Compare le disque d'Airy au CoC et au pas des photosites.
+ * @param {{ N: number, coc_mm: number, pixelPitch_mm?: number|null }} p
+ * @returns {{ airy_mm: number, airyPx: number, exceedsCoc: boolean, visibleAtPixel: boolean,
+ *   onsetN: number, limitN: number }} `onsetN` : ouverture où la diffraction devient visible au pixel ;
+ *   `limitN` : ouverture où Airy atteint le CoC (NaN si le pas est inconnu)
+ */
+export function diffractionAnalysis({ N, coc_mm, pixelPitch_mm = null }) {
+  const airy_mm = airyDiskDiameterMm(N);
+  const perN = airyDiskDiameterMm(1);
+  const hasPitch = pixelPitch_mm != null && pixelPitch_mm > 0;
+  return {
+    airy_mm,
+    airyPx: hasPitch ? airy_mm / pixelPitch_mm : NaN,
+    exceedsCoc: airy_mm > coc_mm,
+    visibleAtPixel: hasPitch && airy_mm > DIFFRACTION_PIXEL_ONSET * pixelPitch_mm,
+    onsetN: hasPitch ? (DIFFRACTION_PIXEL_ONSET * pixelPitch_mm) / perN : NaN,
+    limitN: coc_mm / perN,
+  };
+}
+
+/**
+ * Flou de défocalisation (mm, sur le capteur) aux limites d'une zone [near, far]
+ * lorsque la MAP est à la moyenne harmonique des deux distances : f² · (1/near − 1/far) / (2N).
+ * @param {{ focal_mm: number, N: number, near_m: number, far_m: number }} p `far_m` peut valoir Infinity
+ * @returns {number}
+ */
+export function defocusBlurForRangeMm({ focal_mm, N, near_m, far_m }) {
+  const span = 1 / (near_m * 1000) - (isFinite(far_m) ? 1 / (far_m * 1000) : 0);
+  return (focal_mm * focal_mm * span) / (2 * N);
+}
+
+/**
+ * Ouverture donnant le flou total le plus faible sur la zone [near, far] :
+ * défocalisation (∝ 1/N) et diffraction (∝ N) combinées en somme quadratique → optimum quand elles sont égales.
+ * @param {{ focal_mm: number, near_m: number, far_m: number }} p
+ * @returns {{ N: number, blur_mm: number, focus_m: number }} `focus_m` : MAP (moyenne harmonique)
+ */
+export function optimalApertureForRange({ focal_mm, near_m, far_m }) {
+  const defocusAtN1 = defocusBlurForRangeMm({ focal_mm, N: 1, near_m, far_m });
+  const N = Math.sqrt(defocusAtN1 / airyDiskDiameterMm(1));
+  const blur_mm = Math.hypot(defocusAtN1 / N, airyDiskDiameterMm(N));
+  const focus_m = isFinite(far_m) ? (2 * near_m * far_m) / (near_m + far_m) : 2 * near_m;
+  return { N, blur_mm, focus_m };
+}
+
+/* ===================== Flou d'arrière-plan ===================== */
+/**
+ * Diamètre du disque de flou (mm, sur le capteur) d'un point à `d_m` pour une MAP à `s_m` :
+ * f² · |d − s| / (N · d · (s − f)) ; à l'infini f² / (N · (s − f)), soit le CoC quand s = H.
+ * @param {{ focal_mm: number, N: number, s_m: number, d_m: number }} p `d_m` peut valoir Infinity
+ * @returns {number} 0 à la MAP ; NaN si la MAP est en deçà de la focale
+ */
+export function blurDiscDiameterMm({ focal_mm, N, s_m, d_m }) {
+  const s = s_m * 1000;
+  if (s <= focal_mm) return NaN;
+  const atInfinity = (focal_mm * focal_mm) / (N * (s - focal_mm));
+  return isFinite(d_m) ? (atInfinity * Math.abs(d_m * 1000 - s)) / (d_m * 1000) : atInfinity;
+}
+
+/**
+ * Grandissement d'un sujet à `s_m` (taille sur le capteur / taille réelle) : f / (s − f).
+ * @param {{ focal_mm: number, s_m: number }} p
+ * @returns {number} NaN si la MAP est en deçà de la focale
+ */
+export function magnificationAt({ focal_mm, s_m }) {
+  const s = s_m * 1000;
+  return s > focal_mm ? focal_mm / (s - focal_mm) : NaN;
+}
+
+/**
+ * Distance (m) donnant le grandissement `magnification` : f · (1 + 1/m).
+ * @param {{ focal_mm: number, magnification: number }} p
+ * @returns {number}
+ */
+export function distanceForMagnification({ focal_mm, magnification }) {
+  return (focal_mm * (1 + 1 / magnification)) / 1000;
+}
+
+/* ===================== Calcul complet ===================== */
+/**
+ * Tous les résultats pour une configuration (ce qu'affiche l'interface).
+ * @param {{ focal_mm: number, N: number, coc_base_mm?: number, sensorW_mm?: number, sensorH_mm?: number, crop?: number, s_m?: number }} p
+ *   valeurs FX30 par défaut ; `s_m` optionnel (distance de MAP)
+ * @returns {{ focal_mm: number, N: number, crop: number, coc_mm: number, H_m: number, nearAtH_m: number,
+ *   effW: number, effH: number, hFOV: number, vFOV: number, dFOV: number, ffEq_mm: number,
+ *   dof: null | { s_m: number, near: number, far: number, total: number } }}
+ */
+export function computeOptics({
+  focal_mm, N,
+  coc_base_mm = FX30_DEFAULTS.coc_base_mm,
+  sensorW_mm = FX30_DEFAULTS.sensorW_mm,
+  sensorH_mm = FX30_DEFAULTS.sensorH_mm,
+  crop = 1,
+  s_m,
+}) {
+  const H_m = computeHyperfocalMeters({ focal_mm, N, coc_base_mm, crop });
+  const fov = computeFieldOfView({ focal_mm, sensorW_mm, sensorH_mm, crop });
+  let dof = null;
+  if (s_m != null && isFinite(s_m)) {
+    const { near, far } = computeNearFarMeters({ focal_mm, N, coc_base_mm, crop, s_m });
+    dof = { s_m, near, far, total: far - near };
+  }
+  return {
+    focal_mm, N, crop,
+    coc_mm: coc_base_mm / crop,
+    H_m,
+    nearAtH_m: H_m / 2,
+    ...fov,
+    ffEq_mm: fullFrameEquivalentFocal({ focal_mm, sensorW_mm, sensorH_mm, crop }),
+    dof,
+  };
+}
@@ -0,0 +1,54 @@
+// Application installable hors ligne : enregistrement du service worker (build uniquement)
+// et annonce d'une nouvelle version en attente, que l'interface propose d'appliquer.
+
+let pendingUpdate = null;
+const listeners = new Set();
+
+function announce(apply) {
+  pendingUpdate = apply;
+  listeners.forEach((listener) => listener(apply));
+}
+
+/**
+ * Abonnement aux mises à jour : `listener(apply)` est appelé quand une nouvelle version est prête ;
+ * `apply()` l'active puis recharge la page.
+ * @param {(apply: () => void) => void} listener
+ * @returns {() => void} désabonnement
+ */
+export function onUpdateAvailable(listener) {
+  listeners.add(listener);
+  if (pendingUpdate) listener(pendingUpdate);
+  return () => listeners.delete(listener);
+}
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  const base = import.meta.env.BASE_URL;
+  let accepted = false;
+
+  const offer = (worker) => announce(() => {
+    accepted = true;
+    worker.postMessage({ type: "SKIP_WAITING" });
+  });
+
+  // Le nouveau worker prend la main → rechargement, seulement si l'utilisateur l'a demandé
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (accepted) window.location.reload();
+  });
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`${base}sw.js`, { scope: base }).then((reg) => {
+      if (reg.waiting && navigator.serviceWorker.controller) offer(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          // Sans contrôleur, c'est la première installation : rien à annoncer
+          if (worker.state === "installed" && navigator.serviceWorker.controller) offer(worker);
+        });
+      });
+      // Appli laissée ouverte longtemps : vérifie les nouvelles versions toutes les heures
+      setInterval(() => reg.update().catch(() => {}), 60 * 60 * 1000);
+    }).catch(() => { /* pas de service worker : l'appli reste utilisable en ligne */ });
+  });
+}
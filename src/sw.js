@@ -0,0 +1,39 @@
+// Service worker FX30 Hyperfocale — copié dans le build par vite.config.js, qui injecte la version
+// et la liste à précacher (tous les fichiers du build, relatifs au scope).
+// Hors ligne : tout est servi depuis le cache. Mise à jour : la nouvelle version reste « en attente »
+// jusqu'à ce que l'utilisateur l'accepte dans l'application (message SKIP_WAITING).
+
+const VERSION = __BUILD_VERSION__;
+const PRECACHE = __PRECACHE_MANIFEST__;
+const CACHE = `fx30-${VERSION}`;
+const SHELL = new URL("./", self.registration.scope).href; // index.html
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then((cache) => cache.addAll(PRECACHE.map((path) => new Request(new URL(path, self.registration.scope), { cache: "reload" })))),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => k.startsWith("fx30-") && k !== CACHE).map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+  // Navigation (permalien compris) : coquille en cache, les paramètres sont lus côté client
+  const key = req.mode === "navigate" ? SHELL : req;
+  event.respondWith(
+    caches.open(CACHE)
+      .then((cache) => cache.match(key, { ignoreSearch: req.mode === "navigate" }))
+      .then((res) => res || fetch(req)),
+  );
+});
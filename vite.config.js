@@ -1,8 +1,40 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { join, relative, sep } from 'node:path'
+
+// Émet sw.js dans le build : précache de tous les fichiers générés et de public/,
+// version = empreinte du contenu (un nouveau build ⇒ un nouveau cache ⇒ mise à jour proposée)
+function serviceWorker() {
+  return {
+    name: 'fx30-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const files = []
+      for (const [fileName, item] of Object.entries(bundle)) {
+        hash.update(fileName).update(item.type === 'chunk' ? item.code : item.source)
+        if (fileName !== 'index.html') files.push(fileName)
+      }
+      const publicDir = 'public'
+      for (const d of readdirSync(publicDir, { recursive: true, withFileTypes: true })) {
+        if (!d.isFile()) continue
+        const path = join(d.parentPath ?? d.path, d.name)
+        hash.update(path).update(readFileSync(path))
+        files.push(relative(publicDir, path).split(sep).join('/'))
+      }
+      const source = readFileSync('src/sw.js', 'utf8')
+        .replace('__BUILD_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+        .replace('__PRECACHE_MANIFEST__', JSON.stringify(['./', ...files.sort()]))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/FX30-Hyperfocale-Cadrage-Calcul-instantan-/',
   build: { outDir: 'docs' }
 })